@@ -0,0 +1,138 @@
+import fs from 'fs';
+import path from 'path';
+
+/* ---------------- Currency rates ----------------
+   Offers can be placed in EUR, GBP or USD; everything is compared in EUR.
+   The rate table comes from CURRENCY_RATES_FILE and/or CURRENCY_RATES_URL
+   (refreshed every CURRENCY_RATES_REFRESH_MINUTES). Both use the same shape,
+   where each rate is the number of EUR for one unit of that currency:
+
+   { "base": "EUR", "asOf": "2026-10-01T00:00:00Z", "rates": { "GBP": 1.17, "USD": 0.92 } }
+
+   If a refresh fails the last good table is kept. */
+
+export const BASE_CURRENCY = 'EUR';
+
+export const CURRENCY_SYMBOLS = { EUR: '€', GBP: '£', USD: '$' };
+
+const SYMBOL_TO_CURRENCY = Object.fromEntries(Object.entries(CURRENCY_SYMBOLS).map(([code, sym]) => [sym, code]));
+
+export function normalizeCurrency(raw) {
+  const value = String((typeof raw === 'string' ? raw : raw?.name) || '').trim().toUpperCase();
+  if (!value) return null;
+  if (SYMBOL_TO_CURRENCY[value]) return SYMBOL_TO_CURRENCY[value];
+  return CURRENCY_SYMBOLS[value] ? value : null;
+}
+
+/**
+ * Parse an amount typed by a seller: "140", "140,50", "£120", "120 GBP", "$ 99".
+ * Returns { amount, currency } where currency is null if none was given,
+ * or null if the text is not a single amount with at most one known currency.
+ */
+export function parseMoney(text) {
+  const match = String(text || '')
+    .trim()
+    .match(/^([€£$]|[A-Za-z]{3})?\s*(\d+(?:[.,]\d+)?)\s*([€£$]|[A-Za-z]{3})?$/);
+  if (!match) return null;
+
+  const [, prefix, number, suffix] = match;
+  if (prefix && suffix) return null;
+
+  const marker = prefix || suffix;
+  const currency = marker ? normalizeCurrency(marker) : null;
+  if (marker && !currency) return null;
+
+  const amount = parseFloat(number.replace(',', '.'));
+  return Number.isFinite(amount) ? { amount, currency } : null;
+}
+
+export function formatMoney(amount, currency = BASE_CURRENCY, { decimals = 0 } = {}) {
+  if (!Number.isFinite(amount)) return '-';
+  const value = decimals ? amount.toFixed(decimals) : String(Math.floor(amount));
+  return `${CURRENCY_SYMBOLS[currency] || `${currency} `}${value}`;
+}
+
+function parseRateTable(table, source) {
+  if (!table || typeof table !== 'object' || typeof table.rates !== 'object') {
+    throw new Error(`${source}: expected { base, rates }`);
+  }
+  if (normalizeCurrency(table.base || BASE_CURRENCY) !== BASE_CURRENCY) {
+    throw new Error(`${source}: base currency must be ${BASE_CURRENCY}`);
+  }
+
+  const rates = new Map([[BASE_CURRENCY, 1]]);
+
+  for (const [code, rate] of Object.entries(table.rates)) {
+    const currency = normalizeCurrency(code);
+    if (!currency) throw new Error(`${source}: unsupported currency ${code}`);
+    if (!Number.isFinite(rate) || rate <= 0) throw new Error(`${source}: rate for ${code} must be a positive number`);
+    if (currency !== BASE_CURRENCY) rates.set(currency, rate);
+  }
+
+  const asOf = table.asOf ? new Date(table.asOf) : new Date();
+  return { rates, asOf: Number.isNaN(asOf.getTime()) ? new Date() : asOf, source };
+}
+
+export function createCurrencyRates({ file, url, refreshMinutes = 60, fetch }) {
+  let table = { rates: new Map([[BASE_CURRENCY, 1]]), asOf: new Date(), source: 'built-in' };
+  let timer = null;
+
+  function loadFile() {
+    if (!file) return;
+    const resolved = path.resolve(file);
+    table = parseRateTable(JSON.parse(fs.readFileSync(resolved, 'utf8')), resolved);
+    console.log(`💱 Loaded currency rates from ${resolved}: ${describe()}`);
+  }
+
+  async function refresh() {
+    if (!url) return;
+    try {
+      const resp = await fetch(url);
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+      table = parseRateTable(await resp.json(), url);
+      console.log(`💱 Refreshed currency rates: ${describe()}`);
+    } catch (err) {
+      console.error(`Currency rate refresh failed (keeping rates from ${table.source}):`, err.message || err);
+    }
+  }
+
+  function start() {
+    if (!url || timer) return;
+    refresh();
+    const intervalMs = Math.max(1, Number(refreshMinutes) || 60) * 60 * 1000;
+    timer = setInterval(refresh, intervalMs);
+    timer.unref?.();
+  }
+
+  function describe() {
+    return [...table.rates].filter(([c]) => c !== BASE_CURRENCY).map(([c, r]) => `${c}=${r}`).join(', ') || 'EUR only';
+  }
+
+  function isSupported(currency) {
+    return table.rates.has(normalizeCurrency(currency));
+  }
+
+  function supportedCurrencies() {
+    return [...table.rates.keys()];
+  }
+
+  /**
+   * Convert `amount` in `currency` to EUR. Returns { amount, rate, asOf }
+   * or null when no rate is configured for that currency.
+   */
+  function toBase(amount, currency) {
+    const code = normalizeCurrency(currency) || BASE_CURRENCY;
+    const rate = table.rates.get(code);
+    if (!rate || !Number.isFinite(amount)) return null;
+    return { amount: amount * rate, rate, asOf: table.asOf };
+  }
+
+  function fromBase(amountEur, currency) {
+    const rate = table.rates.get(normalizeCurrency(currency) || BASE_CURRENCY);
+    return rate && Number.isFinite(amountEur) ? amountEur / rate : null;
+  }
+
+  loadFile();
+
+  return { start, refresh, isSupported, supportedCurrencies, toBase, fromBase };
+}
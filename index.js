@@ -2,7 +2,10 @@ import 'dotenv/config';
 import express from 'express';
 import morgan from 'morgan';
 import Airtable from 'airtable';
-import fetch from 'node-fetch';
+import nodeFetch from 'node-fetch';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
 import {
   Client,
   GatewayIntentBits,
@@ -16,12 +19,34 @@ import {
   TextInputStyle,
   Events,
   PermissionsBitField,
-  MessageFlags
+  MessageFlags,
+  SlashCommandBuilder,
+  AttachmentBuilder
 } from 'discord.js';
+import {
+  isSimulationEnabled,
+  applySimulationEnv,
+  createSimulatedClient,
+  runScenarios
+} from './simulation.js';
+import { loadPricingRules } from './pricing-rules.js';
+import {
+  BASE_CURRENCY,
+  CURRENCY_SYMBOLS,
+  normalizeCurrency,
+  parseMoney,
+  formatMoney,
+  createCurrencyRates
+} from './currency-rates.js';
 
 
 /* ---------------- ENV CONFIG ---------------- */
 
+// SIMULATION_MODE=true runs against a fake Discord gateway, in-memory storage and
+// mocked outbound HTTP, then executes the scenarios in SIMULATION_SCENARIOS.
+const isSimulation = isSimulationEnabled();
+if (isSimulation) applySimulationEnv();
+
 const {
   DISCORD_TOKEN,
   DISCORD_DEALS_CHANNEL_ID,
@@ -32,15 +57,60 @@ const {
   AIRTABLE_ORDERS_TABLE,
   AIRTABLE_MEMBER_WTBS_TABLE,
   AIRTABLE_PARTNERS_TABLE,
+  AIRTABLE_PARTNER_DELIVERIES_TABLE,
+  AIRTABLE_DEALS_TABLE,
+  AIRTABLE_OFFER_EVENTS_TABLE,
   PAYOUT_CATEGORY_ID,
   PROCESS_DEAL_WEBHOOK_URL,
   MEMBER_WTB_CATEGORY_ID,
   KC_PORTAL_BASE_URL,
   KC_PORTAL_SECRET,
+  DISCORD_GUILD_ID,
+  SELLER_LINK_CODE_TTL_MINUTES = 15,
+  OFFER_INDEX_RECONCILE_MINUTES = 5,
+  WEBHOOK_SECRET,
+  WEBHOOK_KEY_PORTAL,
+  WEBHOOK_KEY_AIRTABLE,
+  WEBHOOK_KEY_WMS,
+  WEBHOOK_KEY_ADMIN,
+  WEBHOOK_TOLERANCE_SECONDS = 300,
+  STORAGE_BACKEND = 'airtable',
+  STORAGE_FILE = './data/wtb-store.json',
+  SIMULATION_SCENARIOS = './scenarios',
+  PRICING_RULES_FILE,
+  PARTNER_WTB_RETRACT_MODE = 'close',
+  PARTNER_RETRY_MAX_ATTEMPTS = 6,
+  PARTNER_RETRY_BASE_SECONDS = 30,
+  PARTNER_RETRY_MAX_DELAY_MINUTES = 60,
+  PARTNER_DEACTIVATE_AFTER_FAILURES = 3,
+  PARTNER_QUEUE_POLL_SECONDS = 30,
+  WTB_TTL_HOURS_ORDER = 336,
+  WTB_TTL_HOURS_MEMBER_WTB = 336,
+  WTB_EXPIRY_CHECK_MINUTES = 5,
+  WTB_STAFF_ROLE_ID,
+  DEAL_CHANNEL_GRACE_HOURS = 24,
+  DEAL_CHANNEL_CHECK_MINUTES = 10,
+  LABEL_POLL_MINUTES = 5,
+  LABEL_POLL_AFTER_MINUTES = 10,
+  OFFER_RATE_LIMIT_COUNT = 5,
+  OFFER_RATE_LIMIT_WINDOW_SECONDS = 60,
+  OFFER_COOLDOWN_SECONDS = 300,
+  OFFER_FLOOR_PERCENT = 50,
+  OFFER_MODERATION_CHANNEL_ID,
+  SELLER_STANDING_WINDOW_DAYS = 90,
+  SELLER_PROBATION_AFTER_ISSUES = 2,
+  SELLER_BLOCK_AFTER_ISSUES = 4,
+  SELLER_TRUSTED_AFTER_DEALS = 10,
+  SELLER_LATE_SHIPMENT_HOURS = 72,
+  CURRENCY_RATES_FILE,
+  CURRENCY_RATES_URL,
+  CURRENCY_RATES_REFRESH_MINUTES = 60,
   PORT = 10000
 } = process.env;
 
-if (!DISCORD_TOKEN || !DISCORD_DEALS_CHANNEL_ID || !AIRTABLE_API_KEY || !AIRTABLE_BASE_ID) {
+const usesAirtable = !['memory', 'json'].includes(STORAGE_BACKEND);
+
+if (!DISCORD_TOKEN || !DISCORD_DEALS_CHANNEL_ID || (usesAirtable && (!AIRTABLE_API_KEY || !AIRTABLE_BASE_ID))) {
   console.error('❌ Missing required environment variables.');
   process.exit(1);
 }
@@ -50,6 +120,12 @@ const dealsChannelIds = String(DISCORD_DEALS_CHANNEL_ID)
   .map((id) => id.trim())
   .filter(Boolean);
 
+// Staff roles (comma-separated) can see every deal channel and use the staff controls
+const staffRoleIds = String(WTB_STAFF_ROLE_ID || '')
+  .split(',')
+  .map((id) => id.trim())
+  .filter(Boolean);
+
 // ---------------- Brand → channel routing (WTB) ----------------
 
 const WTB_DEFAULT_CHANNEL_ID = process.env.WTB_DEFAULT_CHANNEL_ID || dealsChannelIds[0];
@@ -106,23 +182,438 @@ const WTB_URL =
 
 const INVITE_URL = 'https://discord.gg/GZY9NBpYUS';
 
-/* ---------------- Airtable ---------------- */
-
-const base = new Airtable({ apiKey: AIRTABLE_API_KEY }).base(AIRTABLE_BASE_ID);
+/* ---------------- Airtable field mappings ---------------- */
 
 const sellerOffersTableName = AIRTABLE_SELLER_OFFERS_TABLE || 'Seller Offers';
 const sellersTableName = AIRTABLE_SELLERS_TABLE || 'Sellers Database';
 const ordersTableName = AIRTABLE_ORDERS_TABLE || 'Unfulfilled Orders Log';
 const memberWtbsTableName = AIRTABLE_MEMBER_WTBS_TABLE || 'Member WTBs';
 const partnersTableName = AIRTABLE_PARTNERS_TABLE || 'Partnerships';
+const partnerDeliveriesTableName = AIRTABLE_PARTNER_DELIVERIES_TABLE || 'Partner Deliveries';
+const dealsTableName = AIRTABLE_DEALS_TABLE || 'Deals';
+const offerEventsTableName = AIRTABLE_OFFER_EVENTS_TABLE || 'Offer Events';
 
+// Shared by Orders and Member WTBs (the two offer "sources")
 const ORDER_FIELD_SELLER_MSG_IDS = 'Seller Offer Message ID';
 const ORDER_FIELD_BUTTONS_DISABLED = 'Seller Offer Buttons Disabled';
 const ORDER_FIELD_CURRENT_LOWEST_OFFER = 'Current Lowest Offer';
 const ORDER_FIELD_WTB_CHANNEL_ID = 'WTB Channel ID';
-
+const ORDER_FIELD_OFFER_MESSAGE_URL = 'Offer Message URL';
+const ORDER_FIELD_FULFILLMENT_STATUS = 'Fulfillment Status';
+const ORDER_FIELD_PRODUCT_NAME = 'Product Name';
+const ORDER_FIELD_SKU = 'SKU';
+const ORDER_FIELD_SIZE = 'Size';
+const ORDER_FIELD_BRAND = 'Brand';
+const ORDER_FIELD_CURRENT_LOWEST_SOURCE_PRICE = 'Current Lowest Source Price';
+const ORDER_FIELD_MAX_BUYING_PRICE = 'Maximum Buying Price';
+const ORDER_FIELD_MAX_PRICE = 'Max Price';
+// Optional market price (EUR) the lowball floor is measured against; falls back to Maximum Buying Price
+const ORDER_FIELD_MARKET_REFERENCE_PRICE = 'Market Reference Price';
+
+const ORDER_FIELD_ORDER_ID = 'Order ID';
+// Expiry: an explicit WTB Expires At wins, otherwise WTB Posted At + the source type's TTL
+const ORDER_FIELD_EXPIRES_AT = 'WTB Expires At';
+const ORDER_FIELD_POSTED_AT = 'WTB Posted At';
+const ORDER_FIELD_EXPIRED_AT = 'WTB Expired At';
+// JSON map of partner record ID -> { messageId, status, postedAt, closedAt }
+const ORDER_FIELD_PARTNER_POSTS = 'Partner WTB Posts';
+
+const MEMBER_WTB_FIELD_MEMBER_WTB_ID = 'Member WTB ID';
+const MEMBER_WTB_FIELD_WTB_ID = 'WTB ID';
+const MEMBER_WTB_FIELD_PICTURE = 'Picture';
+const MEMBER_WTB_FIELD_OFFER_MARGIN = 'Offer Margin';
+const MEMBER_WTB_FIELD_BUYING_FILTER = 'Buying Inventory Filter';
+const MEMBER_WTB_FIELD_AUTO_ACCEPT = 'Auto Accept Seller Offers?';
+const MEMBER_WTB_FIELD_CURRENT_LOWEST_NORMALIZED = 'Current Lowest Normalized';
+const MEMBER_WTB_FIELD_CURRENT_LOWEST_SELLER_OFFER = 'Current Lowest Seller Offer';
+const MEMBER_WTB_FIELD_NEW_OFFER_AVAILABLE = 'New Offer Available';
+const MEMBER_WTB_FIELD_OFFER_SENT = 'Offer Sent?';
+const MEMBER_WTB_FIELD_LOWEST_OFFER = 'Lowest Offer';
+const MEMBER_WTB_FIELD_LOWEST_OFFER_NORMALIZED = 'Lowest Offer Normalized';
+const MEMBER_WTB_FIELD_LOWEST_OFFER_VAT_TYPE = 'Lowest Offer VAT Type';
+const MEMBER_WTB_FIELD_LOWEST_OFFER_SELLER_ID = 'Lowest Offer Seller ID';
+const MEMBER_WTB_FIELD_DEAL_CHANNEL_ID = 'WTB Created Channel ID';
+
+// Deals: one record per payout channel (order) or Member WTB deal channel
+const DEAL_FIELD_SOURCE_TYPE = 'Source Type'; // order | member_wtb
+const DEAL_FIELD_SOURCE_RECORD_ID = 'Source Record ID';
+const DEAL_FIELD_ORDER_ID = 'Order ID';
+const DEAL_FIELD_SELLER_OFFER_ID = 'Seller Offer Record ID';
+const DEAL_FIELD_SELLER_CODE = 'Seller Code';
+const DEAL_FIELD_SELLER_DISCORD_ID = 'Seller Discord ID';
+const DEAL_FIELD_PRODUCT_NAME = 'Product Name';
+const DEAL_FIELD_SKU = 'SKU';
+const DEAL_FIELD_SIZE = 'Size';
+const DEAL_FIELD_BRAND = 'Brand';
+const DEAL_FIELD_IMAGE_URL = 'Image URL';
+const DEAL_FIELD_PAYOUT = 'Payout'; // in Payout Currency
+const DEAL_FIELD_PAYOUT_CURRENCY = 'Payout Currency';
+const DEAL_FIELD_FX_RATE = 'FX Rate to EUR';
+const DEAL_FIELD_VAT_TYPE = 'VAT Type';
+const DEAL_FIELD_STATUS = 'Status'; // open | processed | cancelled
+const DEAL_FIELD_CHANNEL_ID = 'Channel ID';
+const DEAL_FIELD_MESSAGE_ID = 'Deal Message ID';
+const DEAL_FIELD_CREATED_AT = 'Created At';
+const DEAL_FIELD_PROCESSED_AT = 'Processed At';
+const DEAL_FIELD_LABEL_REQUESTED_AT = 'Label Requested At';
+const DEAL_FIELD_CHANNEL_STATUS = 'Channel Status'; // locked | deleted (empty while open)
+const DEAL_FIELD_CHANNEL_DELETE_AT = 'Channel Delete At';
+const DEAL_FIELD_CHANNEL_EVENTS = 'Channel Events'; // JSON list of button clicks / staff commands
+const DEAL_FIELD_TRANSCRIPT = 'Transcript'; // attachment field
+const DEAL_FIELD_CANCELLED_AT = 'Cancelled At';
+const DEAL_FIELD_CANCELLED_BY = 'Cancelled By'; // Discord user ID of the staff member
+const DEAL_FIELD_CANCEL_REASON = 'Cancel Reason';
+const DEAL_FIELD_ADJUSTED_PAYOUT = 'Adjusted Payout'; // EUR, replaces Payout once set
+const DEAL_FIELD_PAYOUT_ADJUST_REASON = 'Payout Adjust Reason';
+const DEAL_FIELD_LABEL_REQUEST_ID = 'Label Request ID'; // returned by the WMS
+const DEAL_FIELD_LABEL_STATUS = 'Label Status'; // requested | ready | failed
+const DEAL_FIELD_LABEL_ERROR = 'Label Error';
+const DEAL_FIELD_CARRIER = 'Carrier';
+const DEAL_FIELD_TRACKING_NUMBER = 'Tracking Number';
+const DEAL_FIELD_LABEL_URL = 'Label URL';
+const DEAL_FIELD_SHIPMENT_STATUS = 'Shipment Status'; // latest tracking event, see SHIPMENT_EVENTS
+const DEAL_FIELD_SHIPMENT_EVENTS = 'Shipment Events'; // JSON list of tracking events
+const DEAL_FIELD_SHIPMENT_MESSAGE_ID = 'Shipment Message ID'; // the "Shipment status" embed in the deal channel
+const DEAL_FIELD_STAFF_CHECK = 'Staff Check'; // why a deal created from a legacy button needs a look (empty otherwise)
+
+// Shipping label details, mirrored onto the Order / Member WTB once the label is ready
+const ORDER_FIELD_CARRIER = 'Carrier';
+const ORDER_FIELD_TRACKING_NUMBER = 'Tracking Number';
+const ORDER_FIELD_LABEL_URL = 'Label URL';
+const ORDER_FIELD_SHIPMENT_STATUS = 'Shipment Status';
+
+const SELLER_OFFERS_FIELD_LINKED_ORDERS = 'Linked Orders';
 const SELLER_OFFERS_FIELD_LINKED_MEMBER_WTBS = 'Member WTBs';
 
+const OFFER_FIELD_AMOUNT = 'Seller Offer';
+const OFFER_FIELD_VAT_TYPE = 'Offer VAT Type';
+const OFFER_FIELD_NORMALIZED = 'Offer Cost (Normalized)';
+const OFFER_FIELD_DATE = 'Offer Date';
+const OFFER_FIELD_SELLER = 'Seller ID';
+const OFFER_FIELD_STATUS = 'Offer Status';
+const OFFER_FIELD_WITHDRAWN_AT = 'Withdrawn At';
+const OFFER_FIELD_CURRENCY = 'Offer Currency';
+const OFFER_FIELD_AMOUNT_EUR = 'Seller Offer (EUR)';
+const OFFER_FIELD_FX_RATE = 'FX Rate to EUR';
+const OFFER_FIELD_FX_RATE_AS_OF = 'FX Rate As Of';
+const OFFER_FIELD_HOLD_REASON = 'Hold Reason';
+const OFFER_FIELD_REVIEWED_BY = 'Reviewed By'; // Discord user ID of the staff member
+const OFFER_FIELD_REVIEWED_AT = 'Reviewed At';
+const OFFER_FIELD_REVIEW_MESSAGE_ID = 'Review Message ID'; // moderation channel post
+
+const OFFER_STATUS_ACTIVE = 'Active';
+const OFFER_STATUS_WITHDRAWN = 'Withdrawn';
+// Held offers wait in the moderation channel and never count towards the lowest
+const OFFER_STATUS_PENDING_REVIEW = 'Pending Review';
+const OFFER_STATUS_REJECTED = 'Rejected';
+
+// Offer Events: append-only history of every offer attempt (records are never updated)
+const OFFER_EVENT_FIELD_TYPE = 'Event'; // placed | updated | held | approved | rejected | withdrawn
+const OFFER_EVENT_FIELD_REASON = 'Reason'; // rejection or hold code, e.g. too_high, rate_limited, below_floor, moderation
+const OFFER_EVENT_FIELD_MESSAGE = 'Message';
+const OFFER_EVENT_FIELD_SOURCE_TYPE = 'Source Type';
+const OFFER_EVENT_FIELD_RECORD_ID = 'Record ID';
+const OFFER_EVENT_FIELD_OFFER_ID = 'Seller Offer Record ID';
+const OFFER_EVENT_FIELD_SELLER_ID = 'Seller Record ID';
+const OFFER_EVENT_FIELD_SELLER_CODE = 'Seller Code';
+const OFFER_EVENT_FIELD_DISCORD_ID = 'Discord User ID';
+const OFFER_EVENT_FIELD_CHANNEL = 'Channel'; // discord | portal
+const OFFER_EVENT_FIELD_AMOUNT = 'Amount';
+const OFFER_EVENT_FIELD_CURRENCY = 'Currency';
+const OFFER_EVENT_FIELD_AMOUNT_EUR = 'Amount (EUR)';
+const OFFER_EVENT_FIELD_VAT_TYPE = 'VAT Type';
+const OFFER_EVENT_FIELD_PREVIOUS = 'Previous Offer'; // what an update replaced, e.g. "€180 (Margin)"
+const OFFER_EVENT_FIELD_AT = 'Occurred At';
+
+const PARTNER_FIELD_NAME = 'Name';
+const PARTNER_FIELD_WEBHOOK_URL = 'WTB Webhook URL';
+const PARTNER_FIELD_ACTIVE = 'Active?';
+const PARTNER_FIELD_INVITE_URL = 'Invite URL';
+const PARTNER_FIELD_LAST_POST_AT = 'Last Post At';
+const PARTNER_FIELD_WEBHOOK_FAILURES = 'Consecutive Webhook Failures';
+const PARTNER_FIELD_DEACTIVATION_REASON = 'Deactivation Reason';
+// Optional WTB filters; an empty filter field means "everything"
+const PARTNER_FIELD_FILTER_BRANDS = 'Filter Brands';
+const PARTNER_FIELD_FILTER_MIN_PRICE = 'Filter Min Price';
+const PARTNER_FIELD_FILTER_MAX_PRICE = 'Filter Max Price';
+const PARTNER_FIELD_FILTER_SIZES = 'Filter Sizes'; // e.g. "40-45, 47 1/3, 11.5"
+const PARTNER_FIELD_FILTER_SOURCE_TYPES = 'Filter Source Types'; // order | member_wtb
+
+const DELIVERY_FIELD_PARTNER = 'Partner';
+const DELIVERY_FIELD_SOURCE_TYPE = 'Source Type';
+const DELIVERY_FIELD_RECORD_ID = 'Record ID';
+const DELIVERY_FIELD_KIND = 'Kind'; // post | close | delete
+const DELIVERY_FIELD_PAYLOAD = 'Payload';
+const DELIVERY_FIELD_STATUS = 'Status'; // pending | delivered | dead
+const DELIVERY_FIELD_ATTEMPTS = 'Attempts';
+const DELIVERY_FIELD_NEXT_ATTEMPT_AT = 'Next Attempt At';
+const DELIVERY_FIELD_LAST_STATUS = 'Last HTTP Status';
+const DELIVERY_FIELD_LAST_ERROR = 'Last Error';
+const DELIVERY_FIELD_CREATED_AT = 'Created At';
+const DELIVERY_FIELD_DELIVERED_AT = 'Delivered At';
+
+const SELLER_FIELD_SELLER_ID = 'Seller ID';
+const SELLER_FIELD_DISCORD_ID = 'Discord ID';
+const SELLER_FIELD_DISCORD_VERIFIED = 'Discord Verified';
+const SELLER_FIELD_DISCORD_LINKED_AT = 'Discord Linked At';
+const SELLER_FIELD_LINK_CODE_HASH = 'Discord Link Code Hash';
+const SELLER_FIELD_LINK_CODE_EXPIRES_AT = 'Discord Link Code Expires At';
+const SELLER_FIELD_OUTBID_DMS_DISABLED = 'Outbid DMs Disabled';
+const SELLER_FIELD_COUNTRY = 'Country';
+const SELLER_FIELD_CURRENCY = 'Currency';
+const SELLER_FIELD_STANDING = 'Standing'; // trusted | standard | probation | blocked; empty = standard
+const SELLER_FIELD_STANDING_LOCKED = 'Standing Locked'; // set by staff: not recomputed from deals
+const SELLER_FIELD_STANDING_REASON = 'Standing Reason';
+const SELLER_FIELD_STANDING_UPDATED_AT = 'Standing Updated At';
+const SELLER_FIELD_DEALS_COMPLETED = 'Deals Completed';
+const SELLER_FIELD_DEAL_ISSUES = 'Deal Issues'; // cancellations, QC failures and late shipments in the standing window
+
+/* ---------------- Storage ---------------- */
+/* Repositories for Orders, Member WTBs, Seller Offers, Sellers, Partners,
+   Partner Deliveries, Deals and Offer Events.
+   STORAGE_BACKEND=airtable (default) talks to Airtable, `memory` keeps records in
+   process (seeded from STORAGE_FILE if it exists) and `json` also writes every
+   change back to STORAGE_FILE. Records always have Airtable's { id, get(field) } shape.
+
+   Queries are plain objects: { [field]: value } matches equality, true/false a
+   checkbox, { contains: 'x' } a substring and { notEmpty: true } a filled field.
+   attach(id, field, { filename, contentType, content }) appends a file to an
+   attachment field. The memory backend's setLatency(ms) delays every call
+   (the simulation uses it to replay concurrent submissions). */
+
+function escapeFormulaValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+function queryToFormula(query = {}) {
+  const parts = Object.entries(query).map(([field, cond]) => {
+    if (cond === true) return `{${field}}`;
+    if (cond === false) return `NOT({${field}})`;
+    if (cond && typeof cond === 'object' && 'contains' in cond) {
+      return `SEARCH("${escapeFormulaValue(cond.contains)}", {${field}})`;
+    }
+    if (cond && typeof cond === 'object' && cond.notEmpty) return `{${field}} != ''`;
+    return `{${field}} = "${escapeFormulaValue(cond)}"`;
+  });
+
+  if (parts.length <= 1) return parts[0] || '';
+  return `AND(${parts.join(', ')})`;
+}
+
+function createAirtableRepository(base, tableName) {
+  const table = () => base(tableName);
+  const selectOptions = (query) => {
+    const formula = queryToFormula(query);
+    return formula ? { filterByFormula: formula } : {};
+  };
+
+  return {
+    async find(id) {
+      try {
+        return await table().find(id);
+      } catch (err) {
+        if (err?.statusCode === 404) return null;
+        throw err;
+      }
+    },
+
+    list: (query) => table().select(selectOptions(query)).all(),
+
+    async findFirst(query) {
+      const records = await table().select({ ...selectOptions(query), maxRecords: 1 }).firstPage();
+      return records[0] || null;
+    },
+
+    create: (fields) => table().create(fields),
+    update: (id, fields) => table().update(id, fields),
+
+    // Airtable's content API takes the file inline (base64, max 5 MB)
+    async attach(id, field, { filename, contentType, content }) {
+      const resp = await fetch(
+        `https://content.airtable.com/v0/${AIRTABLE_BASE_ID}/${id}/${encodeURIComponent(field)}/uploadAttachment`,
+        {
+          method: 'POST',
+          headers: { Authorization: `Bearer ${AIRTABLE_API_KEY}`, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ contentType, filename, file: Buffer.from(content).toString('base64') })
+        }
+      );
+
+      if (!resp.ok) {
+        const data = await resp.json().catch(() => ({}));
+        throw new Error(`Attachment upload to ${tableName}.${field} failed: HTTP ${resp.status} ${data?.error?.message || ''}`.trim());
+      }
+    }
+  };
+}
+
+const RECORD_ID_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+function generateRecordId() {
+  return `rec${Array.from(crypto.randomBytes(14), (b) => RECORD_ID_ALPHABET[b % RECORD_ID_ALPHABET.length]).join('')}`;
+}
+
+function isEmptyFieldValue(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && !value.length);
+}
+
+function matchesQuery(fields, query = {}) {
+  return Object.entries(query).every(([field, cond]) => {
+    const value = fields[field];
+
+    if (cond === true) return !!value;
+    if (cond === false) return !value;
+    if (cond && typeof cond === 'object' && 'contains' in cond) {
+      return String(value ?? '').includes(String(cond.contains));
+    }
+    if (cond && typeof cond === 'object' && cond.notEmpty) return !isEmptyFieldValue(value);
+
+    return String(value ?? '') === String(cond);
+  });
+}
+
+function createMemoryRepository(tables, tableName, onChange, timing = { latencyMs: 0 }) {
+  if (!tables[tableName]) tables[tableName] = {};
+  const rows = tables[tableName];
+
+  // Optional round-trip delay so concurrent requests interleave like they do against Airtable
+  const roundTrip = () => (timing.latencyMs > 0 ? new Promise((resolve) => setTimeout(resolve, timing.latencyMs)) : null);
+
+  // Like Airtable, every read returns a snapshot and cleared fields disappear
+  const toRecord = (id) => {
+    const fields = structuredClone(rows[id]);
+    return { id, fields, get: (field) => fields[field] };
+  };
+
+  const writeRow = (id, fields) => {
+    rows[id] = Object.fromEntries(
+      Object.entries(structuredClone(fields)).filter(([, value]) => !isEmptyFieldValue(value))
+    );
+  };
+
+  return {
+    async find(id) {
+      await roundTrip();
+      return rows[id] ? toRecord(id) : null;
+    },
+
+    async list(query) {
+      await roundTrip();
+      return Object.keys(rows).filter((id) => matchesQuery(rows[id], query)).map(toRecord);
+    },
+
+    async findFirst(query) {
+      await roundTrip();
+      const id = Object.keys(rows).find((key) => matchesQuery(rows[key], query));
+      return id ? toRecord(id) : null;
+    },
+
+    async create(fields) {
+      await roundTrip();
+      const id = generateRecordId();
+      writeRow(id, fields);
+      onChange();
+      return toRecord(id);
+    },
+
+    async update(id, fields) {
+      await roundTrip();
+      if (!rows[id]) {
+        const err = new Error(`Record ${id} not found in ${tableName}`);
+        err.statusCode = 404;
+        throw err;
+      }
+
+      writeRow(id, { ...rows[id], ...fields });
+      onChange();
+      return toRecord(id);
+    },
+
+    // Stored Airtable-style as { id, filename, type, size, url } with a data: URL
+    async attach(id, field, { filename, contentType, content }) {
+      const data = Buffer.from(content);
+      const attachment = {
+        id: `att${generateRecordId().slice(3)}`,
+        filename,
+        type: contentType,
+        size: data.length,
+        url: `data:${contentType};base64,${data.toString('base64')}`
+      };
+
+      await this.update(id, { [field]: [...(rows[id]?.[field] || []), attachment] });
+    }
+  };
+}
+
+function loadStorageFile(file) {
+  if (!fs.existsSync(file)) return {};
+
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8')) || {};
+  } catch (e) {
+    console.warn(`⚠️ STORAGE_FILE ${file} is not valid JSON, starting empty:`, e.message);
+    return {};
+  }
+}
+
+function writeStorageFile(file, tables) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(tables, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+function createStorage() {
+  const tableNames = {
+    orders: ordersTableName,
+    memberWtbs: memberWtbsTableName,
+    offers: sellerOffersTableName,
+    sellers: sellersTableName,
+    partners: partnersTableName,
+    deliveries: partnerDeliveriesTableName,
+    deals: dealsTableName,
+    offerEvents: offerEventsTableName
+  };
+
+  if (!usesAirtable) {
+    const file = path.resolve(STORAGE_FILE);
+    const tables = isSimulation ? {} : loadStorageFile(file);
+    const onChange = STORAGE_BACKEND === 'json' ? () => writeStorageFile(file, tables) : () => {};
+    const timing = { latencyMs: 0 };
+
+    console.log(`🗄️ Using ${STORAGE_BACKEND} storage (${isSimulation ? 'simulation' : file})`);
+
+    return {
+      backend: STORAGE_BACKEND,
+      ...Object.fromEntries(
+        Object.entries(tableNames).map(([key, name]) => [key, createMemoryRepository(tables, name, onChange, timing)])
+      ),
+      // Replace every table's contents in place (repositories keep their row maps)
+      reset(seed = {}) {
+        for (const [key, name] of Object.entries(tableNames)) {
+          const rows = tables[name];
+          for (const id of Object.keys(rows)) delete rows[id];
+          Object.assign(rows, structuredClone(seed[key] || {}));
+        }
+        onChange();
+      },
+      setLatency(ms) {
+        timing.latencyMs = Math.max(0, Number(ms) || 0);
+      }
+    };
+  }
+
+  const base = new Airtable({ apiKey: AIRTABLE_API_KEY }).base(AIRTABLE_BASE_ID);
+
+  return {
+    backend: 'airtable',
+    ...Object.fromEntries(
+      Object.entries(tableNames).map(([key, name]) => [key, createAirtableRepository(base, name)])
+    )
+  };
+}
+
+const db = createStorage();
+
 function normalizeSourceType(sourceType) {
   return sourceType === 'member_wtb' ? 'member_wtb' : 'order';
 }
@@ -135,8 +626,8 @@ function getSourceConfig(sourceType) {
       sourceType: 'member_wtb',
       tableName: memberWtbsTableName,
       linkedOfferField: SELLER_OFFERS_FIELD_LINKED_MEMBER_WTBS,
-      currentLowestField: 'Current Lowest Offer',
-      lowestOfferField: 'Lowest Offer',
+      currentLowestField: ORDER_FIELD_CURRENT_LOWEST_OFFER,
+      lowestOfferField: MEMBER_WTB_FIELD_LOWEST_OFFER,
       messageIdField: ORDER_FIELD_SELLER_MSG_IDS,
       buttonsDisabledField: ORDER_FIELD_BUTTONS_DISABLED,
       channelIdField: ORDER_FIELD_WTB_CHANNEL_ID
@@ -146,7 +637,7 @@ function getSourceConfig(sourceType) {
   return {
     sourceType: 'order',
     tableName: ordersTableName,
-    linkedOfferField: 'Linked Orders',
+    linkedOfferField: SELLER_OFFERS_FIELD_LINKED_ORDERS,
     currentLowestField: ORDER_FIELD_CURRENT_LOWEST_OFFER,
     lowestOfferField: null,
     messageIdField: ORDER_FIELD_SELLER_MSG_IDS,
@@ -155,18 +646,62 @@ function getSourceConfig(sourceType) {
   };
 }
 
-function getSourceTable(sourceType) {
-  return base(getSourceConfig(sourceType).tableName);
+function getSourceRepo(sourceType) {
+  return normalizeSourceType(sourceType) === 'member_wtb' ? db.memberWtbs : db.orders;
 }
 
-const PARTNER_FIELD_WEBHOOK_URL = 'WTB Webhook URL';
-const PARTNER_FIELD_ACTIVE = 'Active?';
-const PARTNER_FIELD_INVITE_URL = 'Invite URL';
-const PARTNER_FIELD_LAST_POST_AT = 'Last Post At';
-
 /* ---------------- Utilities ---------------- */
 
-const MIN_UNDERCUT_STEP = 2.5;
+let pricing;
+try {
+  pricing = loadPricingRules(PRICING_RULES_FILE, { normalizeBrand });
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
+
+// Seller's country for VAT purposes; unknown/missing falls back to the rules' default
+function getSellerCountry(sellerRecord) {
+  return pricing.resolveCountry(sellerRecord?.get?.(SELLER_FIELD_COUNTRY));
+}
+
+let fx;
+try {
+  fx = createCurrencyRates({
+    file: CURRENCY_RATES_FILE,
+    url: CURRENCY_RATES_URL,
+    refreshMinutes: CURRENCY_RATES_REFRESH_MINUTES,
+    fetch: (url, options) => fetch(url, options)
+  });
+} catch (err) {
+  console.error(`❌ Invalid currency rates: ${err.message}`);
+  process.exit(1);
+}
+
+// Currency a seller offers in unless they type another one
+function getSellerCurrency(sellerRecord) {
+  return normalizeCurrency(sellerRecord?.get?.(SELLER_FIELD_CURRENCY)) || BASE_CURRENCY;
+}
+
+/**
+ * An offer amount with its EUR equivalent: "£120 (≈ €140)", or "€140" for euros.
+ * Pass the rate stored on the offer to show what it was compared at.
+ */
+function formatOfferAmount(amount, currency, rate = null) {
+  const code = normalizeCurrency(currency) || BASE_CURRENCY;
+  if (code === BASE_CURRENCY) return formatMoney(amount);
+
+  const eur = Number.isFinite(rate) ? amount * rate : fx.toBase(amount, code)?.amount;
+  return `${formatMoney(amount, code)}${Number.isFinite(eur) ? ` (≈ ${formatMoney(eur)})` : ''}`;
+}
+
+// A EUR limit as a seller in `currency` sees it: "£102 (≈ €120)", or "€120"
+function formatEurForCurrency(amountEur, currency) {
+  const code = normalizeCurrency(currency) || BASE_CURRENCY;
+  const local = code === BASE_CURRENCY ? null : fx.fromBase(amountEur, code);
+  if (!Number.isFinite(local)) return formatMoney(amountEur);
+  return `${formatMoney(local, code)} (≈ ${formatMoney(amountEur)})`;
+}
 
 function normalizeVatType(raw) {
   if (!raw) return null;
@@ -199,8 +734,24 @@ function getAllowedVatTypesText(filter) {
   return 'Margin, VAT0 or VAT21';
 }
 
+const WTB_STATUS_EXPIRED = 'Expired';
+const MEMBER_WTB_CLOSED_STATUSES = ['Confirmed', 'Allocated', 'Fulfilled', 'Cancelled', WTB_STATUS_EXPIRED];
+
+function isSourceOpenForOffers(sourceType, record) {
+  if (!record) return false;
+  if (record.get(ORDER_FIELD_BUTTONS_DISABLED) === true) return false;
+
+  const status = String(record.get(ORDER_FIELD_FULFILLMENT_STATUS) || '').trim();
+
+  if (normalizeSourceType(sourceType) === 'member_wtb') {
+    return !MEMBER_WTB_CLOSED_STATUSES.includes(status);
+  }
+
+  return status === 'Outsource';
+}
+
 function isMemberWtbAutoAccept(record) {
-  return record?.get?.('Auto Accept Seller Offers?') === true;
+  return record?.get?.(MEMBER_WTB_FIELD_AUTO_ACCEPT) === true;
 }
 
 function sanitizeChannelName(value) {
@@ -222,36 +773,28 @@ function parseNumeric(value) {
 }
 
 /**
- * Normalize an offer for comparison:
- * - VAT0 → *1.21
- * - Margin/VAT21 → as-is (treated as gross)
- */
-function getNormalized(price, vatType) {
-  if (!Number.isFinite(price)) return null;
-  if (vatType === 'VAT0') return price * 1.21;
-  return price;
-}
-
-/**
- * Format lowest offer incl. VAT conversions
+ * Format lowest offer incl. VAT conversions for a seller in `country`
  * (used in the undercut error messaging).
  */
-function formatLowestForDisplay(lowest) {
+function formatLowestForDisplay(lowest, country) {
   if (!lowest || typeof lowest.raw !== 'number') return 'N/A';
 
   let displayType = lowest.vatType;
   if (lowest.vatType === 'VAT21') displayType = 'Margin';
 
-  const baseStr = `€${Math.floor(lowest.raw)}${displayType ? ` (${displayType})` : ''}`;
+  const original = lowest.original?.currency && lowest.original.currency !== BASE_CURRENCY
+    ? `offered as ${formatMoney(lowest.original.amount, lowest.original.currency)}`
+    : null;
+  const notes = [displayType, original].filter(Boolean);
+
+  const baseStr = `€${Math.floor(lowest.raw)}${notes.length ? ` (${notes.join(', ')})` : ''}`;
 
   if (lowest.vatType === 'VAT21') {
-    const asVat0 = lowest.raw / 1.21;
-    return `${baseStr} / €${Math.floor(asVat0)} (VAT0)`;
+    return `${baseStr} / €${pricing.getMaxForSeller(lowest.normalized, 'VAT0', country)} (VAT0)`;
   }
 
   if (lowest.vatType === 'VAT0') {
-    const asMargin = lowest.raw * 1.21;
-    return `${baseStr} / €${Math.floor(asMargin)} (Margin)`;
+    return `${baseStr} / €${Math.floor(lowest.normalized)} (Margin)`;
   }
 
   return baseStr;
@@ -277,29 +820,274 @@ async function safeDMWithRetry(user, content, retryCustomId) {
 
 /* ---------------- Discord ---------------- */
 
-const client = new Client({
-  intents: [GatewayIntentBits.Guilds, GatewayIntentBits.GuildMessages],
-  partials: [Partials.Channel]
-});
+const client = isSimulation
+  ? createSimulatedClient()
+  : new Client({
+    intents: [GatewayIntentBits.Guilds, GatewayIntentBits.GuildMessages],
+    partials: [Partials.Channel]
+  });
+
+// Outbound HTTP (portal, WMS, partner webhooks); answered by mocks in simulation mode
+const fetch = isSimulation ? (url, options) => client.fetch(url, options) : nodeFetch;
+
+function addWtbRecordOptions(sub) {
+  return sub
+    .addStringOption((opt) =>
+      opt.setName('record').setDescription('Airtable record ID, Order ID or Member WTB ID').setRequired(true)
+    )
+    .addStringOption((opt) =>
+      opt
+        .setName('source')
+        .setDescription('Which table the record is in (default: look in both)')
+        .setRequired(false)
+        .addChoices({ name: 'Order', value: 'order' }, { name: 'Member WTB', value: 'member_wtb' })
+    );
+}
+
+const slashCommands = [
+  new SlashCommandBuilder()
+    .setName('link-seller')
+    .setDescription('Link your Discord account to your Seller ID')
+    .addStringOption((opt) =>
+      opt
+        .setName('code')
+        .setDescription('One-time link code from the seller portal')
+        .setRequired(true)
+    ),
+  new SlashCommandBuilder()
+    .setName('my-offers')
+    .setDescription('Show your offers and whether you are still the lowest'),
+  new SlashCommandBuilder()
+    .setName('outbid-alerts')
+    .setDescription('Turn DMs about being outbid on or off')
+    .addBooleanOption((opt) =>
+      opt
+        .setName('enabled')
+        .setDescription('Receive a DM when someone undercuts your offer')
+        .setRequired(true)
+    ),
+  new SlashCommandBuilder()
+    .setName('wtb')
+    .setDescription('Staff: manage WTB posts')
+    .addSubcommand((sub) => addWtbRecordOptions(sub.setName('close').setDescription('Disable the Offer buttons on a WTB')))
+    .addSubcommand((sub) => addWtbRecordOptions(sub.setName('reopen').setDescription('Re-enable the Offer buttons on a WTB')))
+    .addSubcommand((sub) => addWtbRecordOptions(sub.setName('repost').setDescription('Post the WTB again in its routed channel')))
+    .addSubcommand((sub) => addWtbRecordOptions(sub.setName('info').setDescription('Show offers, the lowest offer and message links'))),
+  new SlashCommandBuilder()
+    .setName('offer-history')
+    .setDescription('Staff: show every offer placed, updated, rejected or withdrawn')
+    .addStringOption((opt) =>
+      opt.setName('record').setDescription('Airtable record ID, Order ID or Member WTB ID').setRequired(false)
+    )
+    .addStringOption((opt) => opt.setName('seller').setDescription('Seller ID or seller record ID').setRequired(false))
+    .addStringOption((opt) =>
+      opt
+        .setName('source')
+        .setDescription('Which table the record is in (default: look in both)')
+        .setRequired(false)
+        .addChoices({ name: 'Order', value: 'order' }, { name: 'Member WTB', value: 'member_wtb' })
+    ),
+  new SlashCommandBuilder()
+    .setName('seller-standing')
+    .setDescription('Staff: show a seller\'s standing, or set it by hand')
+    .addStringOption((opt) => opt.setName('seller').setDescription('Seller ID or seller record ID').setRequired(true))
+    .addStringOption((opt) =>
+      opt
+        .setName('standing')
+        .setDescription('New standing (Automatic: recompute from deals again)')
+        .setRequired(false)
+        .addChoices(
+          { name: 'Trusted', value: 'trusted' },
+          { name: 'Standard', value: 'standard' },
+          { name: 'Probation', value: 'probation' },
+          { name: 'Blocked', value: 'blocked' },
+          { name: 'Automatic', value: 'auto' }
+        )
+    )
+    .addStringOption((opt) => opt.setName('reason').setDescription('Why (saved on the seller)').setRequired(false)),
+  new SlashCommandBuilder()
+    .setName('close-deal')
+    .setDescription('Staff: archive this deal channel and delete it after the grace period')
+    .addStringOption((opt) =>
+      opt
+        .setName('reason')
+        .setDescription('Why the deal is being closed (saved in the transcript)')
+        .setRequired(false)
+    )
+];
+
+async function registerSlashCommands(c) {
+  const body = slashCommands.map((cmd) => cmd.toJSON());
+
+  if (DISCORD_GUILD_ID) {
+    const guild = await c.guilds.fetch(DISCORD_GUILD_ID).catch(() => null);
+    if (guild) {
+      await guild.commands.set(body);
+      return;
+    }
+    console.warn(`⚠️ DISCORD_GUILD_ID ${DISCORD_GUILD_ID} not found, registering commands globally`);
+  }
+
+  await c.application.commands.set(body);
+}
 
-client.once(Events.ClientReady, (c) => {
+client.once(Events.ClientReady, async (c) => {
   console.log(`🤖 WTB Seller Offer Bot logged in as ${c.user.tag}`);
+
+  try {
+    await registerSlashCommands(c);
+    console.log(`✅ Registered ${slashCommands.length} slash command(s)`);
+  } catch (err) {
+    console.error('Failed to register slash commands:', err);
+  }
 });
 
 client.login(DISCORD_TOKEN);
 
+/* ---------------- Offer index ---------------- */
+/* In-process index of Seller Offers so lookups don't scan the whole table.
+   Warmed at startup, updated on every offer write the bot makes and
+   periodically rebuilt from Airtable to pick up edits made elsewhere. */
+
+const offerIndex = {
+  byId: new Map(),
+  bySource: new Map(), // `${sourceType}:${recordId}` -> Set of offer ids
+  bySeller: new Map(), // seller record id -> Set of offer ids
+  syncing: null,
+  writesDuringSync: null,
+  lastSyncedAt: null
+};
+
+function linkedRecordIds(links) {
+  if (!Array.isArray(links)) return [];
+  return links.map((l) => (typeof l === 'string' ? l : l?.id)).filter(Boolean);
+}
+
+function addToIndexSet(map, key, offerId) {
+  if (!map.has(key)) map.set(key, new Set());
+  map.get(key).add(offerId);
+}
+
+function removeFromIndexSet(map, key, offerId) {
+  const set = map.get(key);
+  if (!set) return;
+  set.delete(offerId);
+  if (!set.size) map.delete(key);
+}
+
+function offerIndexKeys(rec) {
+  const sourceKeys = [];
+  for (const sourceType of ['order', 'member_wtb']) {
+    for (const id of linkedRecordIds(rec.get(getSourceConfig(sourceType).linkedOfferField))) {
+      sourceKeys.push(`${sourceType}:${id}`);
+    }
+  }
+
+  return { sourceKeys, sellerKeys: linkedRecordIds(rec.get(OFFER_FIELD_SELLER)) };
+}
+
+function unindexOffer(offerId) {
+  const previous = offerIndex.byId.get(offerId);
+  if (!previous) return;
+
+  const { sourceKeys, sellerKeys } = offerIndexKeys(previous);
+  for (const key of sourceKeys) removeFromIndexSet(offerIndex.bySource, key, offerId);
+  for (const key of sellerKeys) removeFromIndexSet(offerIndex.bySeller, key, offerId);
+
+  offerIndex.byId.delete(offerId);
+}
+
+/**
+ * Upsert a Seller Offer record into the index. Returns the record so
+ * writes can be wrapped: `indexOffer(await db.offers.update(...))`.
+ */
+function indexOffer(rec) {
+  if (!rec?.id) return rec;
+
+  unindexOffer(rec.id);
+
+  const { sourceKeys, sellerKeys } = offerIndexKeys(rec);
+  for (const key of sourceKeys) addToIndexSet(offerIndex.bySource, key, rec.id);
+  for (const key of sellerKeys) addToIndexSet(offerIndex.bySeller, key, rec.id);
+
+  offerIndex.byId.set(rec.id, rec);
+  offerIndex.writesDuringSync?.set(rec.id, rec);
+
+  return rec;
+}
+
+async function rebuildOfferIndex() {
+  if (offerIndex.syncing) return offerIndex.syncing;
+
+  offerIndex.writesDuringSync = new Map();
+
+  offerIndex.syncing = (async () => {
+    try {
+      const records = await db.offers.list();
+      const writes = offerIndex.writesDuringSync;
+
+      offerIndex.writesDuringSync = null;
+      offerIndex.byId = new Map();
+      offerIndex.bySource = new Map();
+      offerIndex.bySeller = new Map();
+
+      for (const rec of records) indexOffer(rec);
+
+      // Writes the bot made while the snapshot was downloading win over it
+      for (const rec of writes.values()) indexOffer(rec);
+
+      offerIndex.lastSyncedAt = new Date();
+      console.log(`🗂️ Offer index synced: ${offerIndex.byId.size} offers`);
+    } finally {
+      offerIndex.writesDuringSync = null;
+      offerIndex.syncing = null;
+    }
+  })();
+
+  return offerIndex.syncing;
+}
+
+async function ensureOfferIndex() {
+  if (offerIndex.lastSyncedAt) return;
+  await rebuildOfferIndex();
+}
+
+function startOfferIndexReconcile() {
+  ensureOfferIndex().catch((err) => console.error('Offer index warm-up failed:', err));
+
+  const minutes = Number(OFFER_INDEX_RECONCILE_MINUTES);
+  if (!Number.isFinite(minutes) || minutes <= 0) return;
+
+  setInterval(() => {
+    rebuildOfferIndex().catch((err) => console.error('Offer index reconcile failed:', err));
+  }, minutes * 60 * 1000);
+}
+
+async function getIndexedOffersForSource(sourceType, recordId) {
+  await ensureOfferIndex();
+  const ids = offerIndex.bySource.get(`${normalizeSourceType(sourceType)}:${recordId}`);
+  return ids ? [...ids].map((id) => offerIndex.byId.get(id)).filter(Boolean) : [];
+}
+
+async function getIndexedOffersForSeller(sellerRecordId) {
+  await ensureOfferIndex();
+  const ids = offerIndex.bySeller.get(sellerRecordId);
+  return ids ? [...ids].map((id) => offerIndex.byId.get(id)).filter(Boolean) : [];
+}
+
 /* ---------------- Lowest offer calculation ---------------- */
 
 async function getCurrentLowest(sourceType, recordId, excludeOfferRecordId = null) {
   if (!recordId) return null;
 
   const config = getSourceConfig(sourceType);
-  const offers = await base(sellerOffersTableName).select().all();
+  const offers = await getIndexedOffersForSource(sourceType, recordId);
 
   let best = null;
 
   for (const rec of offers) {
     if (excludeOfferRecordId && rec.id === excludeOfferRecordId) continue;
+    if (!isOfferCountable(rec)) continue;
 
     const links = rec.get(config.linkedOfferField);
     if (!Array.isArray(links)) continue;
@@ -310,35 +1098,46 @@ async function getCurrentLowest(sourceType, recordId, excludeOfferRecordId = nul
 
     if (!matches) continue;
 
-    const price = parseNumeric(rec.get('Seller Offer'));
-    const vatRaw = rec.get('Offer VAT Type');
+    const price = parseNumeric(rec.get(OFFER_FIELD_AMOUNT));
+    const vatRaw = rec.get(OFFER_FIELD_VAT_TYPE);
     const vat = typeof vatRaw === 'string' ? vatRaw : vatRaw?.name;
     const vatNorm = normalizeVatType(vat);
 
     if (!price) continue;
 
-    const normalized = getNormalized(price, vatNorm);
+    // Offers without a currency predate multi-currency and are euros
+    const currency = normalizeCurrency(rec.get(OFFER_FIELD_CURRENCY)) || BASE_CURRENCY;
+    const priceEur =
+      parseNumeric(rec.get(OFFER_FIELD_AMOUNT_EUR)) ??
+      (currency === BASE_CURRENCY ? price : fx.toBase(price, currency)?.amount);
+
+    // Normalized at placement with the seller's country rate; recompute only for legacy offers
+    const normalized = parseNumeric(rec.get(OFFER_FIELD_NORMALIZED)) ?? pricing.getNormalized(priceEur, vatNorm);
     if (!Number.isFinite(normalized)) continue;
 
     if (!best || normalized < best.normalized) {
-      best = { normalized, raw: price, vatType: vatNorm };
+      best = {
+        normalized,
+        raw: priceEur,
+        original: { amount: price, currency },
+        vatType: vatNorm,
+        offerId: rec.id,
+        sellerRecordId: Array.isArray(rec.get(OFFER_FIELD_SELLER)) ? rec.get(OFFER_FIELD_SELLER)[0] : null
+      };
     }
   }
 
   if (best) return best;
 
-  const record = await getSourceTable(sourceType).find(recordId).catch(() => null);
+  const record = await getSourceRepo(sourceType).find(recordId).catch(() => null);
   if (!record) return null;
 
-  const maxPrice =
-    parseNumeric(record.get('Current Lowest Source Price')) ??
-    parseNumeric(record.get('Maximum Buying Price')) ??
-    parseNumeric(record.get('Max Price'));
+  const maxPrice = getSourceMaxPrice(record);
 
   if (!Number.isFinite(maxPrice)) return null;
 
   if (normalizeSourceType(sourceType) === 'member_wtb') {
-    const offerMargin = parseNumeric(record.get('Offer Margin')) ?? 10;
+    const offerMargin = parseNumeric(record.get(MEMBER_WTB_FIELD_OFFER_MARGIN)) ?? 10;
     const maxSellerOffer = Math.max(0, maxPrice - offerMargin);
 
     return {
@@ -351,15 +1150,24 @@ async function getCurrentLowest(sourceType, recordId, excludeOfferRecordId = nul
   return { normalized: maxPrice, raw: maxPrice, vatType: 'Margin' };
 }
 
+// Price the WTB is sourced at (EUR), or null if the record has none
+function getSourceMaxPrice(record) {
+  return (
+    parseNumeric(record.get(ORDER_FIELD_CURRENT_LOWEST_SOURCE_PRICE)) ??
+    parseNumeric(record.get(ORDER_FIELD_MAX_BUYING_PRICE)) ??
+    parseNumeric(record.get(ORDER_FIELD_MAX_PRICE))
+  );
+}
+
 async function findExistingSellerOffer(sourceType, recordId, sellerRecordId) {
   if (!recordId || !sellerRecordId) return null;
 
   const config = getSourceConfig(sourceType);
-  const offers = await base(sellerOffersTableName).select().all();
+  const offers = await getIndexedOffersForSource(sourceType, recordId);
 
   return offers.find((rec) => {
     const linkedRecords = rec.get(config.linkedOfferField);
-    const linkedSellers = rec.get('Seller ID');
+    const linkedSellers = rec.get(OFFER_FIELD_SELLER);
 
     const matchesRecord =
       Array.isArray(linkedRecords) &&
@@ -377,71 +1185,227 @@ async function findExistingSellerOffer(sourceType, recordId, sellerRecordId) {
   }) || null;
 }
 
-/* ---------------- Disable messages (your server) ---------------- */
+function getOfferStatus(rec) {
+  const raw = rec?.get?.(OFFER_FIELD_STATUS);
+  return typeof raw === 'string' ? raw : raw?.name;
+}
 
-async function disableSellerOfferMessages(recordId, sourceType = 'order') {
-  const config = getSourceConfig(sourceType);
-  const order = await getSourceTable(sourceType).find(recordId).catch(() => null);
-  if (!order) return;
+function isOfferWithdrawn(rec) {
+  return getOfferStatus(rec) === OFFER_STATUS_WITHDRAWN;
+}
 
-  const rawIds = order.get(ORDER_FIELD_SELLER_MSG_IDS);
-  if (!rawIds) {
-    await getSourceTable(sourceType).update(recordId, { [ORDER_FIELD_BUTTONS_DISABLED]: true }).catch(() => null);
-    return;
+// Withdrawn, held and rejected offers are kept but never become the lowest
+function isOfferCountable(rec) {
+  return ![OFFER_STATUS_WITHDRAWN, OFFER_STATUS_PENDING_REVIEW, OFFER_STATUS_REJECTED].includes(getOfferStatus(rec));
+}
+
+/**
+ * The source record a Seller Offer is linked to: { sourceType, recordId }.
+ */
+function getOfferSource(offer) {
+  for (const sourceType of ['order', 'member_wtb']) {
+    const [recordId] = linkedRecordIds(offer.get(getSourceConfig(sourceType).linkedOfferField));
+    if (recordId) return { sourceType, recordId };
   }
 
-  const msgIds = String(rawIds).split(',').map((x) => x.trim()).filter(Boolean);
+  return { sourceType: null, recordId: null };
+}
 
-  // NEW: find the one channel where the WTB message was posted
-  const storedChannelId = order.get(ORDER_FIELD_WTB_CHANNEL_ID);
-  const targetChannelId = storedChannelId || dealsChannelIds[0];
+function linksInclude(links, recordId) {
+  return (
+    Array.isArray(links) &&
+    links.some((item) => (typeof item === 'string' ? item === recordId : item?.id === recordId))
+  );
+}
 
-  const channel = await client.channels.fetch(targetChannelId).catch(() => null);
-  if (!channel || !channel.isTextBased?.()) {
-    console.warn(`⚠️ disableSellerOfferMessages: channel not found: ${targetChannelId}`);
-    await getSourceTable(sourceType).update(recordId, { [ORDER_FIELD_BUTTONS_DISABLED]: true }).catch(() => null);
-    return;
-  }
+/**
+ * All Seller Offers placed by a seller, across both source types.
+ * Each entry is { offer, sourceType, recordId }.
+ */
+async function findSellerOffers(sellerRecordId) {
+  if (!sellerRecordId) return [];
 
-  for (const id of msgIds) {
-    const msg = await channel.messages.fetch(id).catch(() => null);
-    if (!msg) continue;
+  const offers = await getIndexedOffersForSeller(sellerRecordId);
+  const result = [];
 
-    const disabled = msg.components.map((row) =>
-      new ActionRowBuilder().addComponents(
-        ...row.components.map((btn) => ButtonBuilder.from(btn).setDisabled(true))
-      )
-    );
+  for (const rec of offers) {
+    if (!linksInclude(rec.get(OFFER_FIELD_SELLER), sellerRecordId)) continue;
 
-    await msg.edit({ components: disabled }).catch(() => null);
+    for (const sourceType of ['order', 'member_wtb']) {
+      const links = rec.get(getSourceConfig(sourceType).linkedOfferField);
+      if (!Array.isArray(links) || !links.length) continue;
+
+      const recordId = typeof links[0] === 'string' ? links[0] : links[0]?.id;
+      if (recordId) result.push({ offer: rec, sourceType, recordId });
+    }
   }
 
-  await getSourceTable(sourceType).update(recordId, { [ORDER_FIELD_BUTTONS_DISABLED]: true }).catch(() => null);
+  return result;
 }
 
+/* ---------------- Seller ↔ Discord linking ---------------- */
 
-/* ---------------- Update "Current Lowest Offer" in your server embeds ---------------- */
-
-async function updateLowestOfferDisplays(orderId) {
-  if (!orderId) return;
+const LINK_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
 
-  const order = await base(ordersTableName).find(orderId).catch(() => null);
-  if (!order) return;
+function generateLinkCode(length = 8) {
+  const bytes = crypto.randomBytes(length);
+  let code = '';
+  for (const b of bytes) code += LINK_CODE_ALPHABET[b % LINK_CODE_ALPHABET.length];
+  return code;
+}
 
-  const currentLowestRaw = order.get(ORDER_FIELD_CURRENT_LOWEST_OFFER);
-  const currentLowestNumber = parseNumeric(currentLowestRaw);
-  
-  const currentLowestDisplay = Number.isFinite(currentLowestNumber)
-    ? `€${Math.floor(currentLowestNumber)}`
-    : 'No offers yet';
+function hashLinkCode(code) {
+  const clean = String(code || '').trim().toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return crypto.createHash('sha256').update(clean).digest('hex');
+}
 
-  const rawInternalIds = order.get(ORDER_FIELD_SELLER_MSG_IDS);
-  if (!rawInternalIds) return;
+/**
+ * Issue a one-time link code for a seller (called by the portal).
+ * Only the hash is stored on the Sellers Database record.
+ */
+async function issueSellerLinkCode(sellerRecordId) {
+  const code = generateLinkCode();
+  const ttlMinutes = Number(SELLER_LINK_CODE_TTL_MINUTES) || 15;
+  const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000).toISOString();
+
+  await db.sellers.update(sellerRecordId, {
+    [SELLER_FIELD_LINK_CODE_HASH]: hashLinkCode(code),
+    [SELLER_FIELD_LINK_CODE_EXPIRES_AT]: expiresAt
+  });
 
-  const msgIds = String(rawInternalIds)
-    .split(',')
-    .map((x) => x.trim())
-    .filter(Boolean);
+  return { code, expiresAt };
+}
+
+/**
+ * Redeem a link code for a Discord user.
+ * Returns { ok, sellerRecord } or { ok: false, error }.
+ */
+async function redeemSellerLinkCode(discordUserId, code) {
+  const codeHash = hashLinkCode(code);
+
+  const sellerRecord = await db.sellers.findFirst({ [SELLER_FIELD_LINK_CODE_HASH]: codeHash });
+  if (!sellerRecord) {
+    return { ok: false, error: 'This link code is invalid or has already been used.' };
+  }
+
+  const expiresAt = Date.parse(sellerRecord.get(SELLER_FIELD_LINK_CODE_EXPIRES_AT) || '');
+  if (!Number.isFinite(expiresAt) || expiresAt < Date.now()) {
+    return { ok: false, error: 'This link code has expired. Please generate a new one in the portal.' };
+  }
+
+  const alreadyLinked = await findLinkedSeller(discordUserId);
+  if (alreadyLinked && alreadyLinked.id !== sellerRecord.id) {
+    return {
+      ok: false,
+      error: `Your Discord account is already linked to ${alreadyLinked.get(SELLER_FIELD_SELLER_ID) || 'another seller'}.`
+    };
+  }
+
+  await db.sellers.update(sellerRecord.id, {
+    [SELLER_FIELD_DISCORD_ID]: discordUserId,
+    [SELLER_FIELD_DISCORD_VERIFIED]: true,
+    [SELLER_FIELD_DISCORD_LINKED_AT]: new Date().toISOString(),
+    [SELLER_FIELD_LINK_CODE_HASH]: '',
+    [SELLER_FIELD_LINK_CODE_EXPIRES_AT]: null
+  });
+
+  return { ok: true, sellerRecord };
+}
+
+async function findLinkedSeller(discordUserId) {
+  if (!/^\d+$/.test(String(discordUserId || ''))) return null;
+
+  return db.sellers.findFirst({
+    [SELLER_FIELD_DISCORD_ID]: discordUserId,
+    [SELLER_FIELD_DISCORD_VERIFIED]: true
+  });
+}
+
+// The seller's Discord ID only if they linked it themselves (/link-seller); legacy
+// IDs typed in by whoever created the seller are never trusted
+function getVerifiedDiscordId(sellerRecord) {
+  if (sellerRecord?.get(SELLER_FIELD_DISCORD_VERIFIED) !== true) return null;
+
+  const discordUserId = String(sellerRecord.get(SELLER_FIELD_DISCORD_ID) || '').trim();
+  return /^\d+$/.test(discordUserId) ? discordUserId : null;
+}
+
+/* ---------------- Disable messages (your server) ---------------- */
+
+async function disableSellerOfferMessages(recordId, sourceType = 'order') {
+  const config = getSourceConfig(sourceType);
+  const order = await getSourceRepo(sourceType).find(recordId).catch(() => null);
+  if (!order) return;
+
+  await retractPartnerPosts(sourceType, order).catch((err) => console.error('Partner post retract failed:', err));
+
+  const rawIds = order.get(ORDER_FIELD_SELLER_MSG_IDS);
+  if (!rawIds) {
+    await getSourceRepo(sourceType).update(recordId, { [ORDER_FIELD_BUTTONS_DISABLED]: true }).catch(() => null);
+    return;
+  }
+
+  const msgIds = String(rawIds).split(',').map((x) => x.trim()).filter(Boolean);
+
+  // NEW: find the one channel where the WTB message was posted
+  const storedChannelId = order.get(ORDER_FIELD_WTB_CHANNEL_ID);
+  const targetChannelId = storedChannelId || dealsChannelIds[0];
+
+  const channel = await client.channels.fetch(targetChannelId).catch(() => null);
+  if (!channel || !channel.isTextBased?.()) {
+    console.warn(`⚠️ disableSellerOfferMessages: channel not found: ${targetChannelId}`);
+    await getSourceRepo(sourceType).update(recordId, { [ORDER_FIELD_BUTTONS_DISABLED]: true }).catch(() => null);
+    return;
+  }
+
+  for (const id of msgIds) {
+    const msg = await channel.messages.fetch(id).catch(() => null);
+    if (!msg) continue;
+
+    const disabled = msg.components.map((row) =>
+      new ActionRowBuilder().addComponents(
+        ...row.components.map((btn) => ButtonBuilder.from(btn).setDisabled(true))
+      )
+    );
+
+    await msg.edit({ components: disabled }).catch(() => null);
+  }
+
+  await getSourceRepo(sourceType).update(recordId, { [ORDER_FIELD_BUTTONS_DISABLED]: true }).catch(() => null);
+}
+
+
+/* ---------------- Update "Current Lowest Offer" in your server embeds ---------------- */
+
+// "Current Lowest Offer" embed value; foreign-currency offers also show what was offered
+async function formatCurrentLowestForEmbed(sourceType, record) {
+  const config = getSourceConfig(sourceType);
+  const currentLowestNumber = parseNumeric(record.get(config.currentLowestField));
+  if (!Number.isFinite(currentLowestNumber)) return 'No offers yet';
+
+  const lowest = await getCurrentLowest(sourceType, record.id).catch(() => null);
+  const original = lowest?.offerId ? lowest.original : null;
+
+  return original && original.currency !== BASE_CURRENCY
+    ? `€${Math.floor(currentLowestNumber)} (offered as ${formatMoney(original.amount, original.currency)})`
+    : `€${Math.floor(currentLowestNumber)}`;
+}
+
+async function updateLowestOfferDisplays(orderId, sourceType = 'order') {
+  if (!orderId) return;
+
+  const order = await getSourceRepo(sourceType).find(orderId).catch(() => null);
+  if (!order) return;
+
+  const currentLowestDisplay = await formatCurrentLowestForEmbed(sourceType, order);
+
+  const rawInternalIds = order.get(ORDER_FIELD_SELLER_MSG_IDS);
+  if (!rawInternalIds) return;
+
+  const msgIds = String(rawInternalIds)
+    .split(',')
+    .map((x) => x.trim())
+    .filter(Boolean);
 
   // find the one channel where the WTB message was posted
   const storedChannelId = order.get(ORDER_FIELD_WTB_CHANNEL_ID);
@@ -476,836 +1440,4905 @@ async function updateLowestOfferDisplays(orderId) {
 }
 
 
-/* ---------------- Helper: get active partners ---------------- */
+/* ---------------- Withdraw offers ---------------- */
 
-async function getActivePartners() {
-  const records = await base(partnersTableName)
-    .select({
-      filterByFormula: `AND({${PARTNER_FIELD_ACTIVE}}, {${PARTNER_FIELD_WEBHOOK_URL}} != '')`
-    })
-    .all();
+/**
+ * Recompute the lowest (ignoring withdrawn offers) and write it back
+ * onto the source record, then refresh the WTB embed.
+ */
+async function refreshSourceLowest(sourceType, recordId) {
+  const cleanSourceType = normalizeSourceType(sourceType);
+  const config = getSourceConfig(cleanSourceType);
 
-  return records.map((rec) => ({
-    id: rec.id,
-    name: rec.get('Name') || rec.id,
-    webhookUrl: String(rec.get(PARTNER_FIELD_WEBHOOK_URL) || '').trim(),
-    inviteUrl: String(rec.get(PARTNER_FIELD_INVITE_URL) || '').trim(), // ✅ NEW
-  })).filter(p => !!p.webhookUrl);
-}
+  const lowest = await getCurrentLowest(cleanSourceType, recordId);
+  const hasOffer = !!lowest?.offerId;
 
+  const updateFields = {
+    [config.currentLowestField]: hasOffer ? lowest.raw : null
+  };
 
-/* ---------------- Express API ---------------- */
+  if (cleanSourceType === 'member_wtb') {
+    updateFields[MEMBER_WTB_FIELD_CURRENT_LOWEST_NORMALIZED] = hasOffer ? lowest.normalized : null;
+    updateFields[MEMBER_WTB_FIELD_CURRENT_LOWEST_SELLER_OFFER] = hasOffer ? [lowest.offerId] : [];
 
-const app = express();
-app.use(morgan('combined'));
-app.use(express.json({ limit: '2mb' }));
+    updateFields[MEMBER_WTB_FIELD_LOWEST_OFFER] = hasOffer ? lowest.raw : null;
+    updateFields[MEMBER_WTB_FIELD_LOWEST_OFFER_NORMALIZED] = hasOffer ? lowest.normalized : null;
+    updateFields[MEMBER_WTB_FIELD_LOWEST_OFFER_VAT_TYPE] = hasOffer ? lowest.vatType : null;
+    updateFields[MEMBER_WTB_FIELD_LOWEST_OFFER_SELLER_ID] = hasOffer && lowest.sellerRecordId ? [lowest.sellerRecordId] : [];
+  }
 
-app.get('/', (_req, res) => res.send('WTB Seller Offers Bot OK'));
+  await getSourceRepo(cleanSourceType).update(recordId, updateFields);
+  await updateLowestOfferDisplays(recordId, cleanSourceType);
 
-/* ---------------- POST /partner-offer-deal ---------------- */
-/* Internal WTB in your own server */
+  return hasOffer ? lowest : null;
+}
 
-async function sendOfferDeal(req, res) {
-  try {
-    const {
-      productName,
-      sku,
-      size,
-      brand,
-      imageUrl,
-      recordId,
-      sourceType = 'order'
-    } = req.body || {};
-    
-    const cleanSourceType = normalizeSourceType(sourceType);
-    const config = getSourceConfig(cleanSourceType);
-
-    // Read current lowest from the order (for initial embed)
-    let currentLowestDisplay = 'No offers yet';
-    if (recordId) {
-      const order = await getSourceTable(cleanSourceType).find(recordId).catch(() => null);
-      if (order) {
-        const rawLowest = order.get(config.currentLowestField);
-        if (rawLowest) {
-          const rawLowestNumber = parseNumeric(rawLowest);
-        
-          if (Number.isFinite(rawLowestNumber)) {
-            currentLowestDisplay = `€${Math.floor(rawLowestNumber)}`;
-          }
-        }
-      }
-    }
+/**
+ * Withdraw a seller's offer.
+ * Returns { ok, ... } or { ok: false, status, error }.
+ */
+async function withdrawSellerOffer({ offerRecordId, sellerRecordId, origin = {} }) {
+  const offer = await db.offers.find(offerRecordId).catch(() => null);
 
-    const embed = new EmbedBuilder()
-      .setTitle('🔥 NEW WTB DEAL 🔥')
-      .setDescription(`**${productName}**\n${sku}\n${size}\n${brand}`)
-      .setColor(0xf1c40f)
-      .addFields({
-        name: 'Current Lowest Offer',
-        value: `${currentLowestDisplay}\n\nClick below to submit your offer.`,
-        inline: false
-      });
+  if (!offer) {
+    return { ok: false, status: 404, code: 'not_found', error: 'Offer not found.' };
+  }
 
-    if (imageUrl) embed.setImage(imageUrl);
+  if (!linksInclude(offer.get(OFFER_FIELD_SELLER), sellerRecordId)) {
+    return { ok: false, status: 403, code: 'forbidden', error: 'This offer does not belong to you.' };
+  }
 
-    const messageIds = [];
-    const messageUrls = [];
-    
-    const targetChannelId = pickWTBChannelId(brand);
-    console.log(`📌 WTB create: brand="${brand || ''}" -> channelId=${targetChannelId}`);
-    
-    const channel = await client.channels.fetch(targetChannelId).catch(() => null);
-    if (!channel || !channel.isTextBased?.()) {
-      return res.status(404).json({
-        error: `WTB channel not found or not text-based: ${targetChannelId}`
-      });
+  const { sourceType, recordId } = getOfferSource(offer);
+
+  const withdraw = async () => {
+    const fresh = offerIndex.byId.get(offer.id) || offer;
+
+    if (isOfferWithdrawn(fresh)) {
+      return { ok: false, status: 409, code: 'already_withdrawn', error: 'This offer has already been withdrawn.' };
     }
-    
-    console.log(`✅ WTB channel resolved: #${channel.name} (${channel.id})`);
 
-    
-    const row = new ActionRowBuilder().addComponents(
-      new ButtonBuilder()
-        .setCustomId(`seller_offer:${cleanSourceType}:${recordId}`)
-        .setLabel('Offer')
-        .setStyle(ButtonStyle.Success),
-      new ButtonBuilder().setLabel("See All WTB's").setStyle(ButtonStyle.Link).setURL(WTB_URL)
-    );
-    
-    const msg = await channel.send({ embeds: [embed], components: [row] });
-    
-    messageIds.push(msg.id);
-    messageUrls.push(msg.url);
-
-    if (recordId) {
-      const updateFields = {
-        [config.messageIdField]: messageIds.join(','),
-        [config.buttonsDisabledField]: false,
-        [config.channelIdField]: targetChannelId
+    const sourceRecord = recordId
+      ? await getSourceRepo(sourceType).find(recordId).catch(() => null)
+      : null;
+
+    if (sourceRecord && !isSourceOpenForOffers(sourceType, sourceRecord)) {
+      return {
+        ok: false,
+        status: 409,
+        code: 'closed',
+        error: 'This deal has already been confirmed or closed. The offer can no longer be withdrawn.'
       };
-    
-      if (messageUrls.length > 0) updateFields['Offer Message URL'] = messageUrls[0];
-    
-      await getSourceTable(cleanSourceType).update(recordId, updateFields);
     }
 
-    return res.json({ ok: true, messageIds, messageUrls });
-  } catch (err) {
-    console.error(err);
-    return res.status(500).json({ error: 'Internal error' });
-  }
+    indexOffer(
+      await db.offers.update(offer.id, {
+        [OFFER_FIELD_STATUS]: OFFER_STATUS_WITHDRAWN,
+        [OFFER_FIELD_WITHDRAWN_AT]: new Date().toISOString()
+      })
+    );
+
+    const lowest = sourceRecord ? await refreshSourceLowest(sourceType, recordId) : null;
+
+    await recordOfferEvent({
+      type: OFFER_EVENT_WITHDRAWN,
+      origin,
+      sourceType,
+      recordId,
+      offerId: offer.id,
+      sellerRecord: await db.sellers.find(sellerRecordId).catch(() => null),
+      sellerRecordId,
+      amount: parseNumeric(fresh.get(OFFER_FIELD_AMOUNT)),
+      currency: fresh.get(OFFER_FIELD_CURRENCY),
+      amountEur: parseNumeric(fresh.get(OFFER_FIELD_AMOUNT_EUR)),
+      vatType: fresh.get(OFFER_FIELD_VAT_TYPE) || null
+    });
+
+    return { ok: true, offerRecordId: offer.id, sourceType, recordId, lowest };
+  };
+
+  return recordId ? withSourceRecordLock(sourceType, recordId, withdraw) : withdraw();
 }
 
-app.post('/partner-offer-deal', sendOfferDeal);
-app.post('/partner-deal', sendOfferDeal);
+/* ---------------- Outbid notifications ---------------- */
 
-/* ---------------- POST /partner-wtb ---------------- */
-/* Sends WTB embed into partner servers via webhooks (LINKS IN EMBED TEXT, NO BUTTONS) */
+/**
+ * DM the seller who held the lowest before `newLowest` took over.
+ * Both lowests are { normalized, raw, vatType, offerId, sellerRecordId }.
+ */
+async function notifyOutbidSeller({ sourceType, recordId, sourceRecord, previousLowest, newLowest }) {
+  if (!previousLowest?.offerId || !previousLowest.sellerRecordId || !newLowest) return;
+  if (previousLowest.sellerRecordId === newLowest.sellerRecordId) return;
+  if (!(newLowest.normalized < previousLowest.normalized)) return;
+
+  const sellerRecord = await db.sellers.find(previousLowest.sellerRecordId).catch(() => null);
+  if (!sellerRecord || sellerRecord.get(SELLER_FIELD_OUTBID_DMS_DISABLED) === true) return;
+
+  const discordUserId = getVerifiedDiscordId(sellerRecord);
+  if (!discordUserId) return;
+
+  const user = await client.users.fetch(discordUserId).catch(() => null);
+  if (!user) return;
+
+  const country = getSellerCountry(sellerRecord);
+  const sellerCurrency = getSellerCurrency(sellerRecord);
+  const undercutBy = previousLowest.normalized - newLowest.normalized;
+  const undercutStep = pricing.getUndercutStep({
+    brand: sourceRecord?.get(ORDER_FIELD_BRAND),
+    price: newLowest.normalized
+  });
+  const maxAllowedGross = newLowest.normalized - undercutStep;
 
-app.post('/partner-wtb', async (req, res) => {
-  try {
-    const { productName, sku, size, brand, imageUrl, recordId } = req.body || {};
+  const content =
+    `📉 You've been outbid on **${sourceRecord?.get(ORDER_FIELD_PRODUCT_NAME) || 'a WTB'}**` +
+    ` (${sourceRecord?.get(ORDER_FIELD_SKU) || '-'} / ${sourceRecord?.get(ORDER_FIELD_SIZE) || '-'}).\n` +
+    `New lowest: **${formatLowestForDisplay(newLowest, country)}**, €${undercutBy.toFixed(2)} below your offer.\n` +
+    `To take the lowest back, offer at most **${formatEurForCurrency(pricing.getMaxForSeller(maxAllowedGross, 'Margin', country), sellerCurrency)} (Margin)` +
+    ` / ${formatEurForCurrency(pricing.getMaxForSeller(maxAllowedGross, 'VAT0', country), sellerCurrency)} (VAT0)**.\n\n` +
+    `Don't want these messages? Use \`/outbid-alerts enabled:False\`.`;
 
-    if (!recordId) return res.status(400).json({ error: 'recordId is required' });
+  await safeDMWithRetry(user, content, `seller_offer:${normalizeSourceType(sourceType)}:${recordId}`);
+}
 
-    // Optional: keep this if you want to ensure record exists
-    const order = await base(ordersTableName).find(recordId).catch(() => null);
-    if (!order) return res.status(404).json({ error: 'Order not found in Airtable' });
+/* ---------------- Offer history ---------------- */
+/* Seller Offer rows are overwritten on resubmit, so every placement, update,
+   hold, staff review, rejection and withdrawal is also written to Offer Events, with who did it and
+   whether it came from Discord or the portal. Events are only ever created. */
 
-    const partners = await getActivePartners();
-    if (!partners.length) return res.json({ ok: true, message: 'No active partners found', sent: [] });
+const OFFER_EVENT_PLACED = 'placed';
+const OFFER_EVENT_UPDATED = 'updated';
+const OFFER_EVENT_REJECTED = 'rejected';
+const OFFER_EVENT_WITHDRAWN = 'withdrawn';
+const OFFER_EVENT_HELD = 'held';
+const OFFER_EVENT_APPROVED = 'approved';
 
-    const sentByPartner = [];
+const OFFER_CHANNEL_DISCORD = 'discord';
+const OFFER_CHANNEL_PORTAL = 'portal';
 
-    for (const partner of partners) {
-      const joinUrl = partner.inviteUrl || INVITE_URL;
-    
-      const embed = {
-        title: '🔥 NEW WTB 🔥',
-        color: 0xffed00,
-        thumbnail: {
-          url: 'https://i.imgur.com/JOFvdG2.png'
-        },
-        description:
-          `**${productName || '-'}**\n` +
-          `SKU: ${sku || '-'}\n` +
-          `Size: ${size || '-'}\n` +
-          `Brand: ${brand || '-'}\n\n` +
-          `**Sell Now:** [click here](${joinUrl})`,
-        ...(imageUrl ? { image: { url: imageUrl } } : {}),
-        footer: {
-          text: '© 2026 Kickz Caviar — All rights reserved'
-        }
-      };
-    
-      const payload = { embeds: [embed] };
-    
-      const resp = await fetch(`${partner.webhookUrl}?wait=true`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
-      }).catch((err) => {
-        console.error(`Error sending partner webhook (${partner.name}):`, err);
-        return null;
-      });
-    
-      if (!resp || !resp.ok) {
-        console.warn(`⚠️ Failed sending WTB to partner ${partner.name} (${partner.id})`);
-        continue;
-      }
-    
-      // ✅ Success: store timestamp
-      await base(partnersTableName)
-        .update(partner.id, { [PARTNER_FIELD_LAST_POST_AT]: new Date().toISOString() })
-        .catch(() => null);
-    }
+const OFFER_HISTORY_LIMIT = 200;
 
-    return res.json({ ok: true });
+function describeOffer(amount, currency, vatType, rate = null) {
+  if (!Number.isFinite(amount)) return null;
+  return `${formatOfferAmount(amount, currency, rate)}${vatType ? ` (${vatType})` : ''}`;
+}
+
+/**
+ * Append one event. `origin` is { channel: 'discord' | 'portal', discordUserId }.
+ * Never throws: a failed audit write is logged and the offer flow carries on.
+ */
+async function recordOfferEvent({
+  type,
+  origin = {},
+  sourceType = null,
+  recordId = null,
+  offerId = null,
+  sellerRecord = null,
+  sellerRecordId = sellerRecord?.id || null,
+  amount = null,
+  currency = null,
+  amountEur = null,
+  vatType = null,
+  reason = null,
+  message = null,
+  previous = null
+}) {
+  try {
+    await db.offerEvents.create({
+      [OFFER_EVENT_FIELD_TYPE]: type,
+      [OFFER_EVENT_FIELD_REASON]: reason,
+      [OFFER_EVENT_FIELD_MESSAGE]: message,
+      [OFFER_EVENT_FIELD_SOURCE_TYPE]: sourceType ? normalizeSourceType(sourceType) : null,
+      [OFFER_EVENT_FIELD_RECORD_ID]: recordId,
+      [OFFER_EVENT_FIELD_OFFER_ID]: offerId,
+      [OFFER_EVENT_FIELD_SELLER_ID]: sellerRecordId,
+      [OFFER_EVENT_FIELD_SELLER_CODE]: sellerRecord?.get(SELLER_FIELD_SELLER_ID) || null,
+      [OFFER_EVENT_FIELD_DISCORD_ID]: origin.discordUserId || null,
+      [OFFER_EVENT_FIELD_CHANNEL]: origin.channel || null,
+      [OFFER_EVENT_FIELD_AMOUNT]: Number.isFinite(amount) ? amount : null,
+      [OFFER_EVENT_FIELD_CURRENCY]: Number.isFinite(amount) ? normalizeCurrency(currency) || BASE_CURRENCY : null,
+      [OFFER_EVENT_FIELD_AMOUNT_EUR]: Number.isFinite(amountEur) ? amountEur : null,
+      [OFFER_EVENT_FIELD_VAT_TYPE]: vatType,
+      [OFFER_EVENT_FIELD_PREVIOUS]: previous,
+      [OFFER_EVENT_FIELD_AT]: new Date().toISOString()
+    });
   } catch (err) {
-    console.error('Error in /partner-wtb:', err);
-    return res.status(500).json({ error: 'Internal error' });
+    console.error(`Recording offer event (${type}${reason ? `: ${reason}` : ''}) failed:`, err);
   }
-});
+}
 
-/* ---------------- POST /seller-offer/place-from-portal ---------------- */
+function summarizeOfferEvent(record) {
+  return {
+    id: record.id,
+    type: record.get(OFFER_EVENT_FIELD_TYPE),
+    reason: record.get(OFFER_EVENT_FIELD_REASON) || null,
+    message: record.get(OFFER_EVENT_FIELD_MESSAGE) || null,
+    sourceType: record.get(OFFER_EVENT_FIELD_SOURCE_TYPE) || null,
+    recordId: record.get(OFFER_EVENT_FIELD_RECORD_ID) || null,
+    offerId: record.get(OFFER_EVENT_FIELD_OFFER_ID) || null,
+    sellerRecordId: record.get(OFFER_EVENT_FIELD_SELLER_ID) || null,
+    sellerCode: record.get(OFFER_EVENT_FIELD_SELLER_CODE) || null,
+    discordUserId: record.get(OFFER_EVENT_FIELD_DISCORD_ID) || null,
+    channel: record.get(OFFER_EVENT_FIELD_CHANNEL) || null,
+    amount: parseNumeric(record.get(OFFER_EVENT_FIELD_AMOUNT)),
+    currency: record.get(OFFER_EVENT_FIELD_CURRENCY) || null,
+    amountEur: parseNumeric(record.get(OFFER_EVENT_FIELD_AMOUNT_EUR)),
+    vatType: record.get(OFFER_EVENT_FIELD_VAT_TYPE) || null,
+    previous: record.get(OFFER_EVENT_FIELD_PREVIOUS) || null,
+    at: record.get(OFFER_EVENT_FIELD_AT)
+  };
+}
 
-app.post('/seller-offer/place-from-portal', async (req, res) => {
-  try {
-    const {
-      orderRecordId,
-      sellerRecordId,
-      offerAmount,
-      vatType,
-      sourceType = 'order'
-    } = req.body || {};
-    
-    const cleanSourceType = normalizeSourceType(sourceType);
-    const config = getSourceConfig(cleanSourceType);
+// Newest first; filter by source record and/or seller record
+async function listOfferEvents({ recordId = null, sellerRecordId = null }) {
+  const query = {};
+  if (recordId) query[OFFER_EVENT_FIELD_RECORD_ID] = recordId;
+  if (sellerRecordId) query[OFFER_EVENT_FIELD_SELLER_ID] = sellerRecordId;
+
+  // Reversed first so events written in the same millisecond still come out newest first
+  const records = await db.offerEvents.list(query);
+  return records
+    .map(summarizeOfferEvent)
+    .reverse()
+    .sort((a, b) => String(b.at || '').localeCompare(String(a.at || '')));
+}
 
-    if (!orderRecordId) {
-      return res.status(400).json({ error: 'Missing orderRecordId' });
-    }
+// Seller record ID or Seller ID (e.g. SE-00001)
+async function resolveSellerRef(ref) {
+  const value = String(ref || '').trim();
+  if (!value) return null;
+  if (AIRTABLE_RECORD_ID_RE.test(value)) return db.sellers.find(value).catch(() => null);
+  return db.sellers.findFirst({ [SELLER_FIELD_SELLER_ID]: value }).catch(() => null);
+}
 
-    if (!sellerRecordId) {
-      return res.status(400).json({ error: 'Missing sellerRecordId' });
-    }
+/**
+ * Turn staff input (record: record ID / Order ID / Member WTB ID, seller:
+ * record ID / Seller ID) into listOfferEvents filters. Record IDs that no
+ * longer resolve are still searched, so rejections for unknown records show up.
+ * Returns { ok: true, recordId, sellerRecordId } or { ok: false, status, code, error }.
+ */
+async function resolveOfferHistoryFilters({ record, seller, sourceType = null }) {
+  const recordRef = String(record || '').trim();
+  const sellerRef = String(seller || '').trim();
 
-    const normalizedVatType = normalizeVatType(String(vatType || '').trim());
+  if (!recordRef && !sellerRef) {
+    return { ok: false, status: 400, code: 'validation_failed', error: 'Give a record, a seller, or both.' };
+  }
 
-    if (!normalizedVatType) {
-      return res.status(400).json({
-        error: 'VAT Type must be one of: Margin, VAT0, VAT21.'
-      });
-    }
+  let recordId = null;
+  if (recordRef) {
+    const found = await resolveWtbRecord(recordRef, sourceType);
+    recordId = found?.record.id || (AIRTABLE_RECORD_ID_RE.test(recordRef) ? recordRef : null);
+    if (!recordId) return { ok: false, status: 404, code: 'not_found', error: `No WTB found for \`${recordRef}\`.` };
+  }
 
-    const offerPrice = parseNumeric(offerAmount);
+  let sellerRecordId = null;
+  if (sellerRef) {
+    const found = await resolveSellerRef(sellerRef);
+    sellerRecordId = found?.id || (AIRTABLE_RECORD_ID_RE.test(sellerRef) ? sellerRef : null);
+    if (!sellerRecordId) return { ok: false, status: 404, code: 'not_found', error: `No seller found for \`${sellerRef}\`.` };
+  }
 
-    if (!Number.isFinite(offerPrice) || offerPrice <= 0) {
-      return res.status(400).json({
-        error: 'Invalid offer amount.'
-      });
-    }
+  return { ok: true, recordId, sellerRecordId };
+}
 
-    const orderRecord = await getSourceTable(cleanSourceType).find(orderRecordId).catch(() => null);
+const OFFER_EVENT_EMOJI = { placed: '🟢', updated: '🔁', held: '🕵️', approved: '✅', rejected: '⛔', withdrawn: '↩️' };
+
+function formatOfferEventLine(e, { showRecord, showSeller }) {
+  const when = parseDateField(e.at);
+  const parts = [
+    `${when ? `<t:${Math.floor(when.getTime() / 1000)}:f>` : e.at} ${OFFER_EVENT_EMOJI[e.type] || '•'} **${e.type}**` +
+      (e.reason ? ` (${e.reason})` : ''),
+    describeOffer(e.amount, e.currency, e.vatType) || null,
+    e.previous ? `was ${e.previous}` : null,
+    showSeller ? e.sellerCode || e.sellerRecordId || (e.discordUserId ? `<@${e.discordUserId}>` : null) : null,
+    showRecord && e.recordId ? `${e.sourceType === 'member_wtb' ? 'Member WTB' : 'Order'} ${e.recordId}` : null,
+    `via ${e.channel === OFFER_CHANNEL_PORTAL ? 'portal' : e.channel === OFFER_CHANNEL_DISCORD ? 'Discord' : 'unknown'}` +
+      (e.discordUserId && e.channel === OFFER_CHANNEL_DISCORD ? ` by <@${e.discordUserId}>` : '')
+  ];
+
+  return parts.filter(Boolean).join(' · ');
+}
 
-    if (!orderRecord) {
-      return res.status(404).json({
-        error: 'Order not found.'
-      });
-    }
+const OFFER_HISTORY_DISCORD_LIMIT = 20;
 
-    if (cleanSourceType === 'member_wtb') {
-      const buyingFilter = String(orderRecord.get('Buying Inventory Filter') || '').trim();
-    
-      if (!isVatTypeAllowedForMemberWtbFilter(buyingFilter, normalizedVatType)) {
-        return res.status(400).json({
-          error: `This buyer does not accept ${normalizedVatType} offers for this WTB.`,
-          details: `Allowed VAT type: ${getAllowedVatTypesText(buyingFilter)}.`
-        });
-      }
-    }
+async function buildOfferHistoryReply(filters) {
+  const events = await listOfferEvents(filters);
 
-    const sellerRecord = await base(sellersTableName).find(sellerRecordId).catch(() => null);
+  if (!events.length) return { content: 'ℹ️ No offer history found.' };
 
-    if (!sellerRecord) {
-      return res.status(404).json({
-        error: 'Seller not found.'
-      });
-    }
+  const shown = events.slice(0, OFFER_HISTORY_DISCORD_LIMIT);
+  const lines = shown.map((e) => formatOfferEventLine(e, { showRecord: !filters.recordId, showSeller: !filters.sellerRecordId }));
 
-    const fulfillmentStatus = String(orderRecord.get('Fulfillment Status') || '').trim();
+  const embed = new EmbedBuilder()
+    .setTitle('📜 Offer history')
+    .setDescription(lines.join('\n').slice(0, 4000))
+    .setColor(0x34495e);
 
-    if (cleanSourceType === 'order' && fulfillmentStatus !== 'Outsource') {
-      return res.status(409).json({
-        error: 'This order is no longer open for offers.'
-      });
-    }
-    
-    if (cleanSourceType === 'member_wtb' && ['Confirmed', 'Allocated', 'Fulfilled', 'Cancelled'].includes(fulfillmentStatus)) {
-      return res.status(409).json({
-        error: 'This WTB is no longer open for offers.'
-      });
-    }
+  if (events.length > shown.length) {
+    embed.setFooter({ text: `Showing the ${shown.length} most recent of ${events.length} events` });
+  }
 
-    const normalizedOffer = getNormalized(offerPrice, normalizedVatType);
+  return { embeds: [embed] };
+}
 
-    if (!Number.isFinite(normalizedOffer)) {
-      return res.status(400).json({
-        error: 'Could not normalize offer amount.'
-      });
-    }
+/* ---------------- Offer placement ---------------- */
+/* Shared by the Discord offer modal and the portal endpoint. Submissions
+   for the same source record run one at a time, so the lowest an offer is
+   validated against cannot change before that offer is written. */
 
-    const existingOffer = await findExistingSellerOffer(cleanSourceType, orderRecord.id, sellerRecord.id);
-    const lowest = await getCurrentLowest(cleanSourceType, orderRecordId, existingOffer?.id || null);
+const keyedLocks = new Map();
 
-    if (lowest) {
-      const isFirstMemberWtbOffer =
-        cleanSourceType === "member_wtb" &&
-        !existingOffer &&
-        parseNumeric(orderRecord.get("Current Lowest Offer")) === null &&
-        parseNumeric(orderRecord.get("Lowest Offer")) === null;
-    
-      const maxAllowedGross = isFirstMemberWtbOffer
-        ? lowest.normalized
-        : lowest.normalized - MIN_UNDERCUT_STEP;
+// Runs fn after every earlier call with the same key has settled
+function withKeyedLock(key, fn) {
+  const previous = keyedLocks.get(key) || Promise.resolve();
 
-      if (normalizedOffer > maxAllowedGross + 1e-9) {
-        let maxForSeller = maxAllowedGross;
+  const run = previous.then(fn);
+  const tail = run.catch(() => null);
 
-        if (normalizedVatType === 'VAT0') {
-          maxForSeller = maxAllowedGross / 1.21;
-        }
+  keyedLocks.set(key, tail);
+  tail.then(() => {
+    if (keyedLocks.get(key) === tail) keyedLocks.delete(key);
+  });
 
-        const maxForSellerRounded = Math.floor(maxForSeller);
+  return run;
+}
 
-        return res.status(400).json({
-          error: 'Offer is too high.',
-          details:
-            `Offers must undercut the current lowest offer by at least €2.50.\n` +
-            `Max allowed offer: €${maxForSellerRounded} (${normalizedVatType}).`
-        });
-      }
-    }
+function withSourceRecordLock(sourceType, recordId, fn) {
+  return withKeyedLock(`${normalizeSourceType(sourceType)}:${recordId}`, fn);
+}
 
-    const fields = {
-      'Seller Offer': offerPrice,
-      'Offer VAT Type': normalizedVatType,
-      'Offer Cost (Normalized)': normalizedOffer,
-      'Offer Date': new Date().toISOString(),
-      'Seller ID': [sellerRecord.id],
-      [config.linkedOfferField]: [orderRecord.id]
-    };
+/**
+ * Validate and save a seller's offer on a source record.
+ *
+ * Returns { ok: true, action, held, savedOffer, normalizedOffer, sourceRecord, dealChannelId }
+ * or { ok: false, status, code, error, ... } when the offer is rejected.
+ * `held` offers (below the lowball floor, or from a seller on probation)
+ * wait for staff review instead of becoming the lowest. Blocked sellers
+ * are refused before anything else is checked.
+ * `autoAccept` ({ discordUserId, imageUrl }) opens the deal channel right away
+ * for Member WTBs that auto-accept seller offers.
+ */
+async function placeSellerOffer({ sourceType, recordId, sellerRecord, offerPrice, vatType, currency = null, autoAccept = null, origin = {} }) {
+  const cleanSourceType = normalizeSourceType(sourceType);
 
-    let savedOffer;
+  let result;
 
-    if (existingOffer) {
-      savedOffer = await base(sellerOffersTableName).update(existingOffer.id, fields);
-    } else {
-      savedOffer = await base(sellerOffersTableName).create(fields);
-    }
+  if (getSellerStanding(sellerRecord) === SELLER_STANDING_BLOCKED) {
+    result = {
+      ok: false,
+      status: 403,
+      code: 'seller_blocked',
+      error: 'Your seller account is blocked from placing offers. Please contact staff.'
+    };
+  } else {
+    const rateLimit = checkOfferRateLimit([
+      origin.discordUserId ? `discord:${origin.discordUserId}` : null,
+      `seller:${sellerRecord.id}`
+    ]);
+
+    result = !rateLimit.ok
+      ? {
+        ok: false,
+        status: 429,
+        code: 'rate_limited',
+        error: `Too many offers in a short time. Try again in ${formatWaitTime(rateLimit.retryAfterSeconds)}.`,
+        retryAfterSeconds: rateLimit.retryAfterSeconds
+      }
+      : await withSourceRecordLock(cleanSourceType, recordId, () =>
+        placeSellerOfferLocked({
+          sourceType: cleanSourceType,
+          recordId,
+          sellerRecord,
+          offerPrice,
+          vatType,
+          currency,
+          autoAccept
+        })
+      );
+  }
 
-    if (cleanSourceType === "member_wtb") {
-      const lowestAfterSave = await getCurrentLowest(cleanSourceType, orderRecordId);
-    
-      if (lowestAfterSave && Number.isFinite(lowestAfterSave.raw)) {
-        await getSourceTable(cleanSourceType).update(orderRecordId, {
-          "Current Lowest Offer": lowestAfterSave.raw,
-          "Current Lowest Normalized": lowestAfterSave.normalized,
-          "Current Lowest Seller Offer": [savedOffer.id],
-    
-          "New Offer Available": false,
-          "Offer Sent?": true,
-    
-          "Lowest Offer": lowestAfterSave.raw,
-          "Lowest Offer Normalized": lowestAfterSave.normalized,
-          "Lowest Offer VAT Type": lowestAfterSave.vatType,
-          "Lowest Offer Seller ID": [sellerRecord.id]
-        });
-    
-        if (
-          !isMemberWtbAutoAccept(orderRecord) &&
-          KC_PORTAL_BASE_URL &&
-          KC_PORTAL_SECRET
-        ) {
-          await fetch(`${KC_PORTAL_BASE_URL}/api/member-wtb/send-current-offer-to-buyer`, {
-            method: "POST",
-            headers: {
-              "Content-Type": "application/json",
-              "x-kc-secret": KC_PORTAL_SECRET
-            },
-            body: JSON.stringify({
-              member_wtb_record_id: orderRecordId
-            })
-          }).catch((err) => {
-            console.error("Failed to send current offer to buyer:", err);
-          });
-        }
+  const event = { origin, sourceType: cleanSourceType, recordId, sellerRecord, amount: offerPrice, vatType };
+
+  if (!result.ok) {
+    await recordOfferEvent({
+      ...event,
+      type: OFFER_EVENT_REJECTED,
+      currency: result.currency || currency || getSellerCurrency(sellerRecord),
+      reason: result.code,
+      message: result.code === 'too_high'
+        ? `${result.error} Max allowed: ${formatEurForCurrency(result.maxForSeller, result.currency)} (${vatType}).`
+        : result.error
+    });
+  } else {
+    const previous = result.previousOffer;
+
+    await recordOfferEvent({
+      ...event,
+      type: result.held ? OFFER_EVENT_HELD : previous ? OFFER_EVENT_UPDATED : OFFER_EVENT_PLACED,
+      reason: result.held ? result.holdCode : null,
+      message: result.held ? result.holdReason : null,
+      offerId: result.savedOffer.id,
+      currency: result.currency,
+      amountEur: result.offerAmountEur,
+      previous: previous
+        ? describeOffer(
+          parseNumeric(previous.get(OFFER_FIELD_AMOUNT)),
+          previous.get(OFFER_FIELD_CURRENCY),
+          previous.get(OFFER_FIELD_VAT_TYPE),
+          parseNumeric(previous.get(OFFER_FIELD_FX_RATE))
+        )
+        : null
+    });
+  }
+
+  if (result.held) {
+    await postOfferForReview({ ...result, sourceType: cleanSourceType, recordId, sellerRecord, offerPrice, vatType, origin })
+      .catch((err) => console.error('Posting offer for review failed:', err));
+  } else if (result.ok) {
+    await notifyOutbidSeller({
+      sourceType: cleanSourceType,
+      recordId,
+      sourceRecord: result.sourceRecord,
+      previousLowest: result.previousLowest,
+      newLowest: {
+        normalized: result.normalizedOffer,
+        raw: result.offerAmountEur,
+        original: { amount: offerPrice, currency: result.currency },
+        vatType,
+        offerId: result.savedOffer.id,
+        sellerRecordId: sellerRecord.id
       }
+    }).catch((err) => console.error('Outbid notification failed:', err));
+  }
+
+  return result;
+}
+
+// Ask the portal to send the Member WTB's current lowest to the buyer
+async function sendCurrentOfferToBuyer(recordId) {
+  if (!KC_PORTAL_BASE_URL || !KC_PORTAL_SECRET) return;
+
+  await fetch(`${KC_PORTAL_BASE_URL}/api/member-wtb/send-current-offer-to-buyer`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-kc-secret': KC_PORTAL_SECRET
+    },
+    body: JSON.stringify({
+      member_wtb_record_id: recordId
+    })
+  }).catch((err) => {
+    console.error('Failed to send current offer to buyer:', err);
+  });
+}
+
+async function placeSellerOfferLocked({ sourceType, recordId, sellerRecord, offerPrice, vatType, currency, autoAccept }) {
+  const config = getSourceConfig(sourceType);
+  const sourceRecord = await getSourceRepo(sourceType).find(recordId).catch(() => null);
+
+  if (!sourceRecord) {
+    return {
+      ok: false,
+      status: 404,
+      code: 'not_found',
+      error: sourceType === 'member_wtb' ? 'Member WTB not found.' : 'Order not found.'
+    };
+  }
+
+  if (!isSourceOpenForOffers(sourceType, sourceRecord)) {
+    return {
+      ok: false,
+      status: 409,
+      code: 'closed',
+      error: sourceType === 'member_wtb'
+        ? 'This WTB is no longer open for offers.'
+        : 'This order is no longer open for offers.'
+    };
+  }
+
+  if (sourceType === 'member_wtb') {
+    const buyingFilter = String(sourceRecord.get(MEMBER_WTB_FIELD_BUYING_FILTER) || '').trim();
+
+    if (!isVatTypeAllowedForMemberWtbFilter(buyingFilter, vatType)) {
+      return {
+        ok: false,
+        status: 400,
+        code: 'vat_not_allowed',
+        error: `This buyer does not accept ${vatType} offers for this WTB.`,
+        allowedVatTypes: getAllowedVatTypesText(buyingFilter)
+      };
     }
-    
-    return res.json({
+  }
+
+  const offerCurrency = normalizeCurrency(currency) || getSellerCurrency(sellerRecord);
+  const converted = fx.toBase(offerPrice, offerCurrency);
+
+  if (!converted) {
+    return {
+      ok: false,
+      status: 400,
+      code: 'unsupported_currency',
+      error: `Offers in ${offerCurrency} are not accepted right now. Use ${fx.supportedCurrencies().join(', ')}.`
+    };
+  }
+
+  const country = getSellerCountry(sellerRecord);
+  const normalizedOffer = pricing.getNormalized(converted.amount, vatType, country);
+
+  if (!Number.isFinite(normalizedOffer)) {
+    return { ok: false, status: 400, code: 'invalid_amount', error: 'Could not normalize offer amount.' };
+  }
+
+  const existingOffer = await findExistingSellerOffer(sourceType, recordId, sellerRecord.id);
+  const lowest = await getCurrentLowest(sourceType, recordId, existingOffer?.id || null);
+
+  if (lowest) {
+    const isFirstMemberWtbOffer =
+      sourceType === 'member_wtb' &&
+      !existingOffer &&
+      parseNumeric(sourceRecord.get(ORDER_FIELD_CURRENT_LOWEST_OFFER)) === null &&
+      parseNumeric(sourceRecord.get(MEMBER_WTB_FIELD_LOWEST_OFFER)) === null;
+
+    const undercutStep = isFirstMemberWtbOffer
+      ? 0
+      : pricing.getUndercutStep({ brand: sourceRecord.get(ORDER_FIELD_BRAND), price: lowest.normalized });
+    const maxAllowedGross = lowest.normalized - undercutStep;
+
+    if (normalizedOffer > maxAllowedGross + 1e-9) {
+      return {
+        ok: false,
+        status: 400,
+        code: 'too_high',
+        error: 'Offer is too high.',
+        lowest,
+        isFirstMemberWtbOffer,
+        undercutStep,
+        country,
+        currency: offerCurrency,
+        maxForSeller: pricing.getMaxForSeller(maxAllowedGross, vatType, country)
+      };
+    }
+  }
+
+  // Trusted sellers skip the lowball check; every offer from a seller on probation is reviewed
+  const standing = getSellerStanding(sellerRecord);
+  const floor = standing === SELLER_STANDING_TRUSTED ? null : getOfferFloor(sourceRecord);
+  const belowFloor = !!floor && normalizedOffer < floor.amount - 1e-9;
+  const holdCode = standing === SELLER_STANDING_PROBATION ? 'probation' : belowFloor ? 'below_floor' : null;
+  const held = !!holdCode;
+  const holdReason = [
+    holdCode === 'probation' ? 'Seller is on probation.' : null,
+    belowFloor
+      ? `Normalized €${normalizedOffer.toFixed(2)} is below the €${floor.amount.toFixed(2)} floor` +
+        ` (${floor.percent}% of the ${floor.basis} €${floor.reference.toFixed(2)}).`
+      : null
+  ].filter(Boolean).join(' ') || null;
+
+  const fields = {
+    [OFFER_FIELD_AMOUNT]: offerPrice,
+    [OFFER_FIELD_CURRENCY]: offerCurrency,
+    [OFFER_FIELD_AMOUNT_EUR]: converted.amount,
+    [OFFER_FIELD_FX_RATE]: converted.rate,
+    [OFFER_FIELD_FX_RATE_AS_OF]: converted.asOf.toISOString(),
+    [OFFER_FIELD_VAT_TYPE]: vatType,
+    [OFFER_FIELD_NORMALIZED]: normalizedOffer,
+    [OFFER_FIELD_DATE]: new Date().toISOString(),
+    [OFFER_FIELD_STATUS]: held ? OFFER_STATUS_PENDING_REVIEW : OFFER_STATUS_ACTIVE,
+    [OFFER_FIELD_HOLD_REASON]: holdReason,
+    [OFFER_FIELD_REVIEWED_BY]: null,
+    [OFFER_FIELD_REVIEWED_AT]: null,
+    [OFFER_FIELD_REVIEW_MESSAGE_ID]: null,
+    [OFFER_FIELD_SELLER]: [sellerRecord.id],
+    [config.linkedOfferField]: [recordId]
+  };
+
+  const savedOffer = existingOffer
+    ? indexOffer(await db.offers.update(existingOffer.id, fields))
+    : indexOffer(await db.offers.create(fields));
+
+  if (held) {
+    // The seller's previous offer may have been the lowest; it no longer counts
+    if (existingOffer) await refreshSourceLowest(sourceType, recordId);
+
+    return {
       ok: true,
       action: existingOffer ? 'updated' : 'created',
-      offerRecordId: savedOffer.id,
-      offerAmount: offerPrice,
-      vatType: normalizedVatType,
+      held: true,
+      holdCode,
+      holdReason,
+      savedOffer,
       normalizedOffer,
-      sourceType: cleanSourceType
-    });
-  } catch (err) {
-    console.error('Portal offer submit failed:', err);
+      currency: offerCurrency,
+      fxRate: converted.rate,
+      offerAmountEur: converted.amount,
+      sourceRecord,
+      previousLowest: lowest,
+      previousOffer: existingOffer,
+      dealChannelId: null
+    };
+  }
 
-    return res.status(500).json({
-      error: 'Offer submit failed.',
-      details: err.message
-    });
+  if (sourceType === 'member_wtb') {
+    const lowestAfterSave = await getCurrentLowest(sourceType, recordId);
+
+    if (lowestAfterSave && Number.isFinite(lowestAfterSave.raw)) {
+      await getSourceRepo(sourceType).update(recordId, {
+        [ORDER_FIELD_CURRENT_LOWEST_OFFER]: lowestAfterSave.raw,
+        [MEMBER_WTB_FIELD_CURRENT_LOWEST_NORMALIZED]: lowestAfterSave.normalized,
+        [MEMBER_WTB_FIELD_CURRENT_LOWEST_SELLER_OFFER]: [savedOffer.id],
+
+        [MEMBER_WTB_FIELD_NEW_OFFER_AVAILABLE]: false,
+        [MEMBER_WTB_FIELD_OFFER_SENT]: true,
+
+        [MEMBER_WTB_FIELD_LOWEST_OFFER]: lowestAfterSave.raw,
+        [MEMBER_WTB_FIELD_LOWEST_OFFER_NORMALIZED]: lowestAfterSave.normalized,
+        [MEMBER_WTB_FIELD_LOWEST_OFFER_VAT_TYPE]: lowestAfterSave.vatType,
+        [MEMBER_WTB_FIELD_LOWEST_OFFER_SELLER_ID]: [sellerRecord.id]
+      });
+
+      if (!isMemberWtbAutoAccept(sourceRecord)) {
+        await sendCurrentOfferToBuyer(recordId);
+      }
+    }
   }
-});
 
-/* ---------------- POST /seller-offer/disable ---------------- */
+  let dealChannelId = null;
 
-app.post('/seller-offer/disable', async (req, res) => {
-  const {
-    recordId,
-    sourceType = 'order'
-  } = req.body || {};
+  if (autoAccept && sourceType === 'member_wtb' && isMemberWtbAutoAccept(sourceRecord)) {
+    const result = await createMemberWtbDealChannel({
+      memberWtbRecord: sourceRecord,
+      sellerRecord,
+      sellerOfferRecordId: savedOffer.id,
+      sellerCode: sellerRecord.get(SELLER_FIELD_SELLER_ID) || sellerRecord.id,
+      discordUserId: autoAccept.discordUserId,
+      offerPrice,
+      currency: offerCurrency,
+      fxRate: converted.rate,
+      vatType,
+      imageUrl: autoAccept.imageUrl || null
+    });
 
-  if (!recordId) {
-    return res.status(400).json({ error: 'Missing recordId' });
+    await disableSellerOfferMessages(recordId, sourceType);
+
+    await getSourceRepo(sourceType).update(recordId, {
+      [ORDER_FIELD_FULFILLMENT_STATUS]: 'Confirmed'
+    }).catch(() => null);
+
+    dealChannelId = result.channelId;
   }
 
-  await disableSellerOfferMessages(recordId, sourceType);
+  return {
+    ok: true,
+    action: existingOffer ? 'updated' : 'created',
+    held: false,
+    savedOffer,
+    normalizedOffer,
+    currency: offerCurrency,
+    fxRate: converted.rate,
+    offerAmountEur: converted.amount,
+    sourceRecord,
+    previousLowest: lowest,
+    previousOffer: existingOffer,
+    dealChannelId
+  };
+}
 
-  return res.json({ ok: true });
-});
+/* ---------------- Offer rate limits ---------------- */
+/* Submissions are counted per Discord user and per seller in memory. Going over
+   OFFER_RATE_LIMIT_COUNT within the window starts a cooldown for that key, and
+   attempts during the cooldown are refused (and still show in the offer history). */
 
-/* ---------------- POST /payout-channel ---------------- */
+const offerRateBuckets = new Map(); // key -> { hits: [ms], cooldownUntil: ms }
 
-app.post('/payout-channel', async (req, res) => {
-  try {
-    const { orderId, productName, sku, size, brand, payout, sellerCode, imageUrl, discordUserId, vatType } =
-      req.body || {};
+/**
+ * Count one submission against every key. Returns { ok: true } or
+ * { ok: false, retryAfterSeconds } if any key is over its limit or cooling down.
+ */
+function checkOfferRateLimit(keys, now = Date.now()) {
+  const limit = Number(OFFER_RATE_LIMIT_COUNT);
+  if (!Number.isFinite(limit) || limit <= 0) return { ok: true };
 
-    const category = await client.channels.fetch(PAYOUT_CATEGORY_ID).catch(() => null);
-    if (!category || !category.guild) return res.status(500).json({ error: 'Invalid payout category' });
+  const windowMs = Math.max(1, Number(OFFER_RATE_LIMIT_WINDOW_SECONDS) || 60) * 1000;
+  const cooldownMs = Math.max(0, Number(OFFER_COOLDOWN_SECONDS) || 0) * 1000;
+  let retryAfterMs = 0;
 
-    const guild = category.guild;
+  for (const key of keys.filter(Boolean)) {
+    const bucket = offerRateBuckets.get(key) || { hits: [], cooldownUntil: 0 };
+    bucket.hits = bucket.hits.filter((t) => t > now - windowMs);
 
-    await guild.members.fetch(discordUserId).catch(() => null);
+    if (bucket.cooldownUntil > now) {
+      retryAfterMs = Math.max(retryAfterMs, bucket.cooldownUntil - now);
+    } else {
+      bucket.hits.push(now);
 
-    const channel = await guild.channels.create({
-      name: `wtb-${String(orderId || '').toLowerCase()}`,
-      parent: category.id,
-      permissionOverwrites: [
-        { id: guild.roles.everyone, deny: [PermissionsBitField.Flags.ViewChannel] },
-        {
-          id: discordUserId,
-          allow: [
-            PermissionsBitField.Flags.ViewChannel,
-            PermissionsBitField.Flags.SendMessages,
-            PermissionsBitField.Flags.ReadMessageHistory
-          ]
-        }
-      ]
-    });
+      if (bucket.hits.length > limit) {
+        // Without a cooldown the key simply waits for its oldest hit to leave the window
+        bucket.cooldownUntil = now + (cooldownMs || bucket.hits[0] + windowMs - now);
+        bucket.hits = [];
+        retryAfterMs = Math.max(retryAfterMs, bucket.cooldownUntil - now);
+      }
+    }
 
-    const payoutNum = Number(payout);
+    offerRateBuckets.set(key, bucket);
+  }
 
-    const embed = new EmbedBuilder()
-      .setTitle('✅ Offer Accepted')
-      .setDescription(
-        `**Order:** ${orderId}\n` +
-          `**Product:** ${productName}\n` +
-          `**SKU:** ${sku}\n` +
-          `**Size:** ${size}\n` +
-          `**Brand:** ${brand}\n` +
-          `**Payout:** €${Number.isFinite(payoutNum) ? payoutNum.toFixed(2) : '0.00'}\n` +
-          `**Seller:** ${sellerCode}\n` +
-          (vatType ? `**VAT Type:** ${vatType}\n` : '')
-      )
-      .setColor(0xf1c40f);
+  if (offerRateBuckets.size > 10000) {
+    for (const [key, bucket] of offerRateBuckets) {
+      if (bucket.cooldownUntil <= now && !bucket.hits.some((t) => t > now - windowMs)) offerRateBuckets.delete(key);
+    }
+  }
 
-    if (imageUrl) embed.setImage(imageUrl);
+  return retryAfterMs ? { ok: false, retryAfterSeconds: Math.ceil(retryAfterMs / 1000) } : { ok: true };
+}
 
-    const customId = `process_payout:${orderId}:${sellerCode}:${discordUserId}`;
+function formatWaitTime(seconds) {
+  if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
 
-    const row = new ActionRowBuilder().addComponents(
-      new ButtonBuilder().setCustomId(customId).setLabel('Process Deal').setStyle(ButtonStyle.Primary)
-    );
+/* ---------------- Offer moderation ---------------- */
+/* Offers whose normalized price is below OFFER_FLOOR_PERCENT of the WTB's
+   Market Reference Price (or Maximum Buying Price), and every offer from a
+   seller on probation, are saved as Pending Review and posted to
+   OFFER_MODERATION_CHANNEL_ID. They only count towards the lowest
+   once staff approve them there. */
 
-    await channel.send({ content: `<@${discordUserId}>`, embeds: [embed], components: [row] });
+/**
+ * The lowball floor for a source record: { amount, reference, percent, basis },
+ * or null when the floor is off or the record has no reference price.
+ */
+function getOfferFloor(sourceRecord) {
+  const percent = Number(OFFER_FLOOR_PERCENT);
+  if (!Number.isFinite(percent) || percent <= 0) return null;
 
-    return res.json({ ok: true, channelId: channel.id });
-  } catch (err) {
-    console.error('Error in /payout-channel:', err);
-    return res.status(500).json({ error: 'Internal error' });
+  const market = parseNumeric(sourceRecord?.get(ORDER_FIELD_MARKET_REFERENCE_PRICE));
+  const reference =
+    market ??
+    parseNumeric(sourceRecord?.get(ORDER_FIELD_MAX_BUYING_PRICE)) ??
+    parseNumeric(sourceRecord?.get(ORDER_FIELD_MAX_PRICE));
+
+  if (!Number.isFinite(reference) || reference <= 0) return null;
+
+  return {
+    amount: (reference * percent) / 100,
+    reference,
+    percent,
+    basis: market !== null ? 'market reference price' : 'maximum buying price'
+  };
+}
+
+async function postOfferForReview({
+  sourceType,
+  recordId,
+  sourceRecord,
+  sellerRecord,
+  savedOffer,
+  offerPrice,
+  currency,
+  fxRate,
+  vatType,
+  normalizedOffer,
+  holdReason,
+  origin = {}
+}) {
+  if (!OFFER_MODERATION_CHANNEL_ID) {
+    console.warn(`⚠️ Offer ${savedOffer.id} is held for review but OFFER_MODERATION_CHANNEL_ID is not set.`);
+    return null;
   }
-});
 
-/* ---------------- POST member-wtb/deal-channel ---------------- */
+  const channel = await client.channels.fetch(OFFER_MODERATION_CHANNEL_ID).catch(() => null);
+  if (!channel || !channel.isTextBased?.()) {
+    console.warn(`⚠️ postOfferForReview: channel not found: ${OFFER_MODERATION_CHANNEL_ID}`);
+    return null;
+  }
 
-app.post('/member-wtb/deal-channel', async (req, res) => {
-  try {
-    const secret = String(req.headers['x-kc-secret'] || '').trim();
+  const sellerCode = sellerRecord.get(SELLER_FIELD_SELLER_ID) || sellerRecord.id;
+  const sellerDiscordId = origin.discordUserId || getVerifiedDiscordId(sellerRecord);
 
-    if (!KC_PORTAL_SECRET || secret !== KC_PORTAL_SECRET) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
+  const embed = new EmbedBuilder()
+    .setTitle('🕵️ Offer held for review')
+    .setColor(0xf1c40f)
+    .addFields(
+      {
+        name: 'WTB',
+        value:
+          `${sourceRecord?.get(ORDER_FIELD_PRODUCT_NAME) || '-'} (${sourceRecord?.get(ORDER_FIELD_SKU) || '-'} / ${sourceRecord?.get(ORDER_FIELD_SIZE) || '-'})\n` +
+          `${sourceType === 'member_wtb' ? 'Member WTB' : 'Order'} \`${recordId}\``
+      },
+      { name: 'Seller', value: `${sellerCode}${sellerDiscordId ? ` (<@${sellerDiscordId}>)` : ''}`, inline: true },
+      { name: 'Offer', value: describeOffer(offerPrice, currency, vatType, fxRate), inline: true },
+      { name: 'Via', value: origin.channel === OFFER_CHANNEL_PORTAL ? 'Portal' : 'Discord', inline: true },
+      { name: 'Why', value: holdReason || '-' }
+    )
+    .setFooter({ text: `Offer ${savedOffer.id} · normalized €${normalizedOffer.toFixed(2)}` })
+    .setTimestamp(new Date());
 
-    const memberWtbRecordId = String(req.body?.member_wtb_record_id || '').trim();
-    const sellerOfferRecordId = String(req.body?.seller_offer_record_id || '').trim();
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`offer_review:approve:${savedOffer.id}`).setLabel('Approve').setStyle(ButtonStyle.Success),
+    new ButtonBuilder().setCustomId(`offer_review:reject:${savedOffer.id}`).setLabel('Reject').setStyle(ButtonStyle.Danger)
+  );
 
-    if (!memberWtbRecordId || !sellerOfferRecordId) {
-      return res.status(400).json({ error: 'Missing member_wtb_record_id or seller_offer_record_id' });
-    }
+  const message = await channel.send({ embeds: [embed], components: [row] });
 
-    const memberWtbRecord = await base(memberWtbsTableName).find(memberWtbRecordId);
-    const sellerOfferRecord = await base(sellerOffersTableName).find(sellerOfferRecordId);
+  await db.offers.update(savedOffer.id, { [OFFER_FIELD_REVIEW_MESSAGE_ID]: message.id })
+    .then(indexOffer)
+    .catch((err) => console.error(`Saving review message for offer ${savedOffer.id} failed:`, err));
 
-    if (String(memberWtbRecord.get('Fulfillment Status') || '').trim() === 'Allocated') {
-      return res.status(409).json({ error: 'Member WTB already allocated' });
-    }
+  return message;
+}
 
-    const linkedWtbs = sellerOfferRecord.get(SELLER_OFFERS_FIELD_LINKED_MEMBER_WTBS) || [];
-    const isLinked = linkedWtbs.some((item) =>
-      typeof item === 'string' ? item === memberWtbRecordId : item?.id === memberWtbRecordId
-    );
+/**
+ * Approve or reject a held offer. `messageId` is the moderation post the
+ * decision came from; a post for an offer the seller has since changed is refused,
+ * and so is approving an offer on a WTB that is no longer open.
+ * Returns { ok: true, offer, lowest } or { ok: false, status, code, error }.
+ */
+async function reviewHeldOffer({ offerRecordId, approve, staffUserId, messageId = null }) {
+  const offer = await db.offers.find(offerRecordId).catch(() => null);
 
-    if (!isLinked) {
-      return res.status(400).json({ error: 'Seller Offer is not linked to this Member WTB' });
+  if (!offer) {
+    return { ok: false, status: 404, code: 'not_found', error: 'Offer not found.' };
+  }
+
+  const { sourceType, recordId } = getOfferSource(offer);
+
+  const result = await withSourceRecordLock(sourceType, recordId, async () => {
+    const fresh = await db.offers.find(offerRecordId).catch(() => null);
+
+    if (getOfferStatus(fresh) !== OFFER_STATUS_PENDING_REVIEW) {
+      return { ok: false, status: 409, code: 'not_pending', error: 'This offer is no longer waiting for review.' };
     }
 
-    const sellerRecordId = Array.isArray(sellerOfferRecord.get('Seller ID'))
-      ? sellerOfferRecord.get('Seller ID')[0]
-      : '';
+    const reviewMessageId = fresh.get(OFFER_FIELD_REVIEW_MESSAGE_ID);
+    if (messageId && reviewMessageId && reviewMessageId !== messageId) {
+      return { ok: false, status: 409, code: 'superseded', error: 'The seller has changed this offer since. Review the newer post.' };
+    }
 
-    if (!sellerRecordId) {
-      return res.status(400).json({ error: 'Seller Offer missing Seller ID' });
+    // An approved offer feeds the lowest and the buyer, so only while the WTB still takes offers
+    if (approve) {
+      const sourceRecord = await getSourceRepo(sourceType).find(recordId).catch(() => null);
+      if (!sourceRecord || !isSourceOpenForOffers(sourceType, sourceRecord)) {
+        return { ok: false, status: 409, code: 'closed', error: 'This WTB is no longer open for offers. Reject the offer instead.' };
+      }
     }
 
-    const sellerRecord = await base(sellersTableName).find(sellerRecordId);
+    const previousLowest = approve ? await getCurrentLowest(sourceType, recordId) : null;
 
-    const sellerCode = sellerRecord.get('Seller ID') || sellerRecordId;
-    const discordUserId = sellerRecord.get('Discord ID');
+    const saved = indexOffer(await db.offers.update(offerRecordId, {
+      [OFFER_FIELD_STATUS]: approve ? OFFER_STATUS_ACTIVE : OFFER_STATUS_REJECTED,
+      [OFFER_FIELD_REVIEWED_BY]: staffUserId,
+      [OFFER_FIELD_REVIEWED_AT]: new Date().toISOString()
+    }));
 
-    if (!discordUserId) {
-      return res.status(400).json({ error: 'Seller missing Discord User ID' });
-    }
+    const lowest = approve ? await refreshSourceLowest(sourceType, recordId) : null;
 
-    const offerPrice = Number(sellerOfferRecord.get('Seller Offer') || 0);
-    const vatType = sellerOfferRecord.get('Offer VAT Type') || '';
+    return { ok: true, offer: saved, previousLowest, lowest };
+  });
 
-    const picture = memberWtbRecord.get('Picture');
-    const imageUrl =
-      Array.isArray(picture) && picture[0]?.url
-        ? picture[0].url
-        : null;
+  if (!result.ok) return result;
 
-    const result = await createMemberWtbDealChannel({
-      memberWtbRecord,
-      sellerRecord,
-      sellerOfferRecordId,
-      sellerCode,
-      discordUserId,
-      offerPrice,
-      vatType,
-      imageUrl
-    });
+  const saved = result.offer;
+  const sellerRecordId = Array.isArray(saved.get(OFFER_FIELD_SELLER)) ? saved.get(OFFER_FIELD_SELLER)[0] : null;
+  const sellerRecord = sellerRecordId ? await db.sellers.find(sellerRecordId).catch(() => null) : null;
+  const sourceRecord = await getSourceRepo(sourceType).find(recordId).catch(() => null);
+  const amount = parseNumeric(saved.get(OFFER_FIELD_AMOUNT));
+  const currency = normalizeCurrency(saved.get(OFFER_FIELD_CURRENCY)) || BASE_CURRENCY;
+  const vatType = normalizeVatType(saved.get(OFFER_FIELD_VAT_TYPE));
 
-    await disableSellerOfferMessages(memberWtbRecordId, 'member_wtb');
+  await recordOfferEvent({
+    type: approve ? OFFER_EVENT_APPROVED : OFFER_EVENT_REJECTED,
+    origin: { channel: OFFER_CHANNEL_DISCORD, discordUserId: staffUserId },
+    sourceType,
+    recordId,
+    offerId: saved.id,
+    sellerRecord,
+    sellerRecordId,
+    amount,
+    currency,
+    amountEur: parseNumeric(saved.get(OFFER_FIELD_AMOUNT_EUR)),
+    vatType,
+    reason: approve ? null : 'moderation',
+    message: approve ? 'Approved by staff.' : 'Rejected by staff.'
+  });
 
-    await base(memberWtbsTableName).update(memberWtbRecordId, {
-      'Fulfillment Status': 'Confirmed'
-    });
+  const isLowest = result.lowest?.offerId === saved.id;
 
-    return res.json({
-      ok: true,
-      member_wtb_record_id: memberWtbRecordId,
-      seller_offer_record_id: sellerOfferRecordId,
-      channel_id: result.channelId,
-      message_id: result.messageId
-    });
-  } catch (err) {
-    console.error('Failed to create Member WTB deal channel:', err);
+  if (isLowest) {
+    await notifyOutbidSeller({ sourceType, recordId, sourceRecord, previousLowest: result.previousLowest, newLowest: result.lowest })
+      .catch((err) => console.error('Outbid notification failed:', err));
 
-    return res.status(500).json({
-      error: 'Failed to create Member WTB deal channel',
-      details: err.message
-    });
+    if (sourceType === 'member_wtb' && sourceRecord && !isMemberWtbAutoAccept(sourceRecord)) {
+      await sendCurrentOfferToBuyer(recordId);
+    }
   }
-});
 
-/* ---------------- POST /sync-lowest ---------------- */
+  const sellerDiscordId = getVerifiedDiscordId(sellerRecord);
+  const user = sellerDiscordId ? await client.users.fetch(sellerDiscordId).catch(() => null) : null;
+
+  if (user) {
+    const what =
+      `your offer of **${describeOffer(amount, currency, vatType, parseNumeric(saved.get(OFFER_FIELD_FX_RATE)))}**` +
+      ` on **${sourceRecord?.get(ORDER_FIELD_PRODUCT_NAME) || 'a WTB'}**` +
+      ` (${sourceRecord?.get(ORDER_FIELD_SKU) || '-'} / ${sourceRecord?.get(ORDER_FIELD_SIZE) || '-'})`;
+
+    await safeDMWithRetry(
+      user,
+      approve
+        ? `✅ Staff approved ${what}. It now counts towards the lowest.`
+        : `❌ Staff rejected ${what}. It does not count towards the lowest.`,
+      approve ? null : `seller_offer:${sourceType}:${recordId}`
+    );
+  }
 
-app.post('/sync-lowest', async (req, res) => {
-  try {
-    const { orderId } = req.body || {};
-    if (!orderId) return res.status(400).json({ error: 'Missing orderId' });
+  return { ok: true, offer: saved, lowest: result.lowest };
+}
 
-    await updateLowestOfferDisplays(orderId);
-    return res.json({ ok: true });
-  } catch (err) {
-    console.error('Error in /sync-lowest:', err);
-    return res.status(500).json({ error: 'Internal error' });
-  }
-});
+// Disable the Approve/Reject buttons and note the decision on the moderation post
+async function closeOfferReviewMessage(message, decision) {
+  if (!message?.embeds?.length) return;
 
-/* ---------------- Discord Interaction Logic ---------------- */
+  const embed = EmbedBuilder.from(message.embeds[0])
+    .setColor(0x95a5a6)
+    .addFields({ name: 'Decision', value: decision });
 
-async function createMemberWtbDealChannel({
-  memberWtbRecord,
-  sellerRecord,
-  sellerOfferRecordId,
-  sellerCode,
-  discordUserId,
-  offerPrice,
-  vatType,
-  imageUrl
-}) {
-  if (!MEMBER_WTB_CATEGORY_ID) {
-    throw new Error('MEMBER_WTB_CATEGORY_ID is missing');
-  }
+  const components = message.components.map((row) =>
+    new ActionRowBuilder().addComponents(
+      ...row.components.map((btn) => ButtonBuilder.from(btn).setDisabled(true))
+    )
+  );
 
-  const category = await client.channels.fetch(MEMBER_WTB_CATEGORY_ID).catch(() => null);
+  await message.edit({ embeds: [embed], components }).catch(() => null);
+}
 
-  if (!category || !category.guild) {
-    throw new Error('Invalid MEMBER_WTB_CATEGORY_ID');
-  }
+/* ---------------- Seller standing ---------------- */
+/* Blocked sellers cannot place offers, offers from sellers on probation go
+   through offer moderation, and trusted sellers skip the lowball hold and the
+   buyer payment wait message. Unless staff set it by hand (Standing Locked),
+   standing is recomputed from the seller's deals whenever one is cancelled or
+   gets a shipping / QC event. */
+
+const SELLER_STANDING_TRUSTED = 'trusted';
+const SELLER_STANDING_STANDARD = 'standard';
+const SELLER_STANDING_PROBATION = 'probation';
+const SELLER_STANDING_BLOCKED = 'blocked';
+
+const SELLER_STANDINGS = [SELLER_STANDING_TRUSTED, SELLER_STANDING_STANDARD, SELLER_STANDING_PROBATION, SELLER_STANDING_BLOCKED];
+
+const SELLER_STANDING_LABELS = {
+  trusted: '🟢 Trusted',
+  standard: '⚪ Standard',
+  probation: '🟡 Probation',
+  blocked: '⛔ Blocked'
+};
+
+const SELLER_STANDING_DMS = {
+  trusted: '🟢 Your seller account is now **trusted**. Thanks for the smooth deals!',
+  standard: '⚪ Your seller account is back to **standard** standing.',
+  probation:
+    '🟡 Your seller account is on **probation** after recent deal issues. ' +
+    'Your offers will be reviewed by staff before they count towards the lowest.',
+  blocked: '⛔ Your seller account is **blocked** from placing offers. Please contact staff.'
+};
+
+// Carrier scans that mean the parcel has left the seller
+const SHIPPED_EVENT_TYPES = ['picked_up', 'in_transit', 'delivered_to_warehouse'];
+
+function getSellerStanding(sellerRecord) {
+  const raw = sellerRecord?.get?.(SELLER_FIELD_STANDING);
+  const value = String((typeof raw === 'string' ? raw : raw?.name) || '').trim().toLowerCase();
+  return SELLER_STANDINGS.includes(value) ? value : SELLER_STANDING_STANDARD;
+}
 
-  const guild = category.guild;
+/**
+ * Outcomes of a seller's deals. `completed` (QC passed) counts every deal;
+ * cancellations, QC failures and late shipments (first carrier scan more than
+ * SELLER_LATE_SHIPMENT_HOURS after Process Deal) only count within the last
+ * SELLER_STANDING_WINDOW_DAYS.
+ */
+async function getSellerDealStats(sellerCode) {
+  const deals = await db.deals.list({ [DEAL_FIELD_SELLER_CODE]: sellerCode });
+  const since = Date.now() - Math.max(1, Number(SELLER_STANDING_WINDOW_DAYS) || 90) * 24 * 60 * 60 * 1000;
+  const lateMs = Math.max(1, Number(SELLER_LATE_SHIPMENT_HOURS) || 72) * 60 * 60 * 1000;
 
-  await guild.members.fetch(discordUserId).catch(() => null);
+  const stats = { completed: 0, cancelled: 0, qcFailed: 0, late: 0 };
 
-  const memberWtbId =
-    memberWtbRecord.get('Member WTB ID') ||
-    memberWtbRecord.get('WTB ID') ||
-    memberWtbRecord.id;
+  for (const deal of deals) {
+    const events = readShipmentEvents(deal);
+    const lastQc = events.filter((e) => e.type === 'qc_passed' || e.type === 'qc_failed').pop();
 
-  const channelName = sanitizeChannelName(`${memberWtbId}`);
+    if (deal.get(DEAL_FIELD_STATUS) !== DEAL_STATUS_CANCELLED && lastQc?.type === 'qc_passed') stats.completed += 1;
 
-  const channel = await guild.channels.create({
-    name: channelName,
-    parent: category.id,
-    permissionOverwrites: [
+    const createdAt = parseDateField(deal.get(DEAL_FIELD_CREATED_AT));
+    if (createdAt && createdAt.getTime() < since) continue;
+
+    if (deal.get(DEAL_FIELD_STATUS) === DEAL_STATUS_CANCELLED) {
+      stats.cancelled += 1;
+      continue;
+    }
+
+    if (events.some((e) => e.type === 'qc_failed')) stats.qcFailed += 1;
+
+    const processedAt = parseDateField(deal.get(DEAL_FIELD_PROCESSED_AT));
+    const shippedAt = parseDateField(events.find((e) => SHIPPED_EVENT_TYPES.includes(e.type))?.occurredAt);
+    if (processedAt && shippedAt && shippedAt.getTime() - processedAt.getTime() > lateMs) stats.late += 1;
+  }
+
+  return { ...stats, issues: stats.cancelled + stats.qcFailed + stats.late };
+}
+
+function standingFromStats(stats) {
+  const blockAfter = Number(SELLER_BLOCK_AFTER_ISSUES) || 0;
+  const probationAfter = Number(SELLER_PROBATION_AFTER_ISSUES) || 0;
+  const trustedAfter = Number(SELLER_TRUSTED_AFTER_DEALS) || 0;
+
+  if (blockAfter > 0 && stats.issues >= blockAfter) return SELLER_STANDING_BLOCKED;
+  if (probationAfter > 0 && stats.issues >= probationAfter) return SELLER_STANDING_PROBATION;
+  if (trustedAfter > 0 && stats.issues === 0 && stats.completed >= trustedAfter) return SELLER_STANDING_TRUSTED;
+  return SELLER_STANDING_STANDARD;
+}
+
+function describeSellerDealStats(stats) {
+  return (
+    `${stats.completed} completed; last ${Number(SELLER_STANDING_WINDOW_DAYS) || 90} days: ` +
+    `${stats.cancelled} cancelled, ${stats.qcFailed} QC failed, ${stats.late} shipped late`
+  );
+}
+
+// Skipped for sellers without a verified Discord link
+async function notifySellerStanding(sellerRecord, standing) {
+  const discordUserId = getVerifiedDiscordId(sellerRecord);
+  const user = discordUserId ? await client.users.fetch(discordUserId).catch(() => null) : null;
+  if (user) await safeDMWithRetry(user, SELLER_STANDING_DMS[standing], null);
+}
+
+/**
+ * Recompute a seller's standing from their deals and save it, unless staff
+ * locked it. `sellerRef` is a seller record ID or Seller ID.
+ * Returns { sellerRecord, standing, previous, changed, stats } or null if no seller matches.
+ */
+async function refreshSellerStanding(sellerRef) {
+  const sellerRecord = await resolveSellerRef(sellerRef);
+  if (!sellerRecord) return null;
+
+  const sellerCode = sellerRecord.get(SELLER_FIELD_SELLER_ID);
+  const stats = sellerCode
+    ? await getSellerDealStats(sellerCode)
+    : { completed: 0, cancelled: 0, qcFailed: 0, late: 0, issues: 0 };
+
+  const previous = getSellerStanding(sellerRecord);
+  const locked = sellerRecord.get(SELLER_FIELD_STANDING_LOCKED) === true;
+  const standing = locked ? previous : standingFromStats(stats);
+  const changed = standing !== previous;
+
+  const fields = {
+    [SELLER_FIELD_DEALS_COMPLETED]: stats.completed,
+    [SELLER_FIELD_DEAL_ISSUES]: stats.issues
+  };
+
+  if (changed) {
+    fields[SELLER_FIELD_STANDING] = standing;
+    fields[SELLER_FIELD_STANDING_REASON] = describeSellerDealStats(stats);
+    fields[SELLER_FIELD_STANDING_UPDATED_AT] = new Date().toISOString();
+  }
+
+  const saved = await db.sellers.update(sellerRecord.id, fields);
+
+  if (changed) {
+    console.log(`🏷️ Seller ${sellerCode || sellerRecord.id} standing: ${previous} → ${standing} (${describeSellerDealStats(stats)})`);
+    await notifySellerStanding(saved, standing);
+  }
+
+  return { sellerRecord: saved, standing, previous, changed, stats };
+}
+
+/**
+ * Staff override: pin a standing (locks it) or pass 'auto' to unlock and
+ * recompute from deals. Returns the same shape as refreshSellerStanding.
+ */
+async function setSellerStanding(sellerRecord, standing, { reason = null, staffUserId = null } = {}) {
+  if (standing === 'auto') {
+    await db.sellers.update(sellerRecord.id, { [SELLER_FIELD_STANDING_LOCKED]: false });
+    return refreshSellerStanding(sellerRecord.id);
+  }
+
+  const previous = getSellerStanding(sellerRecord);
+  const saved = await db.sellers.update(sellerRecord.id, {
+    [SELLER_FIELD_STANDING]: standing,
+    [SELLER_FIELD_STANDING_LOCKED]: true,
+    [SELLER_FIELD_STANDING_REASON]: `Set by staff${staffUserId ? ` (${staffUserId})` : ''}${reason ? `: ${reason}` : ''}`,
+    [SELLER_FIELD_STANDING_UPDATED_AT]: new Date().toISOString()
+  });
+
+  if (standing !== previous) await notifySellerStanding(saved, standing);
+
+  return { sellerRecord: saved, standing, previous, changed: standing !== previous, stats: null };
+}
+
+// Called after a deal outcome changes; never throws
+async function refreshDealSellerStanding(dealRecord) {
+  const sellerCode = dealRecord?.get(DEAL_FIELD_SELLER_CODE);
+  if (!sellerCode) return;
+
+  await refreshSellerStanding(sellerCode).catch((err) =>
+    console.error(`Updating standing for seller ${sellerCode} failed:`, err)
+  );
+}
+
+async function buildSellerStandingReply(sellerRecord) {
+  const sellerCode = sellerRecord.get(SELLER_FIELD_SELLER_ID) || sellerRecord.id;
+  const standing = getSellerStanding(sellerRecord);
+  const stats = sellerRecord.get(SELLER_FIELD_SELLER_ID)
+    ? await getSellerDealStats(sellerRecord.get(SELLER_FIELD_SELLER_ID))
+    : null;
+
+  const embed = new EmbedBuilder()
+    .setTitle(`🏷️ Seller standing — ${sellerCode}`)
+    .setColor(0x34495e)
+    .addFields(
       {
-        id: guild.roles.everyone,
-        deny: [PermissionsBitField.Flags.ViewChannel]
+        name: 'Standing',
+        value:
+          `${SELLER_STANDING_LABELS[standing]}` +
+          (sellerRecord.get(SELLER_FIELD_STANDING_LOCKED) === true ? ' (set by staff)' : ' (automatic)'),
+        inline: false
       },
-      {
-        id: discordUserId,
-        allow: [
-          PermissionsBitField.Flags.ViewChannel,
-          PermissionsBitField.Flags.SendMessages,
-          PermissionsBitField.Flags.ReadMessageHistory,
-          PermissionsBitField.Flags.AttachFiles,
-          PermissionsBitField.Flags.EmbedLinks
-        ]
+      { name: 'Reason', value: String(sellerRecord.get(SELLER_FIELD_STANDING_REASON) || '-').slice(0, 1024), inline: false },
+      { name: 'Deals', value: stats ? describeSellerDealStats(stats) : '-', inline: false }
+    );
+
+  return { embeds: [embed] };
+}
+
+/* ---------------- Helper: get active partners ---------------- */
+
+function toPartner(rec) {
+  return {
+    id: rec.id,
+    name: rec.get(PARTNER_FIELD_NAME) || rec.id,
+    webhookUrl: String(rec.get(PARTNER_FIELD_WEBHOOK_URL) || '').trim(),
+    inviteUrl: String(rec.get(PARTNER_FIELD_INVITE_URL) || '').trim(), // ✅ NEW
+    filters: readPartnerFilters(rec)
+  };
+}
+
+async function getActivePartners() {
+  const records = await db.partners.list({
+    [PARTNER_FIELD_ACTIVE]: true,
+    [PARTNER_FIELD_WEBHOOK_URL]: { notEmpty: true }
+  });
+
+  return records.map(toPartner).filter(p => !!p.webhookUrl);
+}
+
+/* ---------------- Partner WTB filters ---------------- */
+/* Partners can limit which WTBs they receive by brand (via normalizeBrand),
+   price band (EUR, inclusive), sizes/size ranges and source type. */
+
+// Multi-select fields come back as arrays, text fields as "a, b; c"
+function readFilterList(value) {
+  const items = Array.isArray(value) ? value : String(value || '').split(/[,;\n]/);
+  return items.map((v) => String(v?.name ?? v).trim()).filter(Boolean);
+}
+
+// "44 2/3" → 44.67, "10.5" / "10,5" / "US 10.5" → 10.5, "M" → null
+function parseSizeNumber(size) {
+  const match = String(size || '').match(/(\d+(?:[.,]\d+)?)(?:\s+(\d)\/(\d))?/);
+  if (!match) return null;
+
+  const whole = parseFloat(match[1].replace(',', '.'));
+  const fraction = match[2] ? Number(match[2]) / Number(match[3]) : 0;
+  return Math.round((whole + fraction) * 100) / 100;
+}
+
+function parseSizeFilter(entry) {
+  const range = entry.match(/^(.+?)\s*-\s*(.+)$/);
+  if (range) {
+    const min = parseSizeNumber(range[1]);
+    const max = parseSizeNumber(range[2]);
+    if (min !== null && max !== null) return { min: Math.min(min, max), max: Math.max(min, max), label: entry };
+  }
+
+  return { exact: safeLower(entry), value: parseSizeNumber(entry), label: entry };
+}
+
+function normalizeFilterSourceType(value) {
+  const v = safeLower(value).replace(/[\s-]+/g, '_');
+  if (v.startsWith('member')) return 'member_wtb';
+  if (v.startsWith('order')) return 'order';
+  return null;
+}
+
+function readPartnerFilters(rec) {
+  return {
+    brands: readFilterList(rec.get(PARTNER_FIELD_FILTER_BRANDS)).map(normalizeBrand),
+    minPrice: parseNumeric(rec.get(PARTNER_FIELD_FILTER_MIN_PRICE)),
+    maxPrice: parseNumeric(rec.get(PARTNER_FIELD_FILTER_MAX_PRICE)),
+    sizes: readFilterList(rec.get(PARTNER_FIELD_FILTER_SIZES)).map(parseSizeFilter),
+    sourceTypes: readFilterList(rec.get(PARTNER_FIELD_FILTER_SOURCE_TYPES)).map(normalizeFilterSourceType).filter(Boolean)
+  };
+}
+
+function sizeMatchesFilter(size, filter) {
+  const value = parseSizeNumber(size);
+
+  if (filter.exact !== undefined) {
+    if (safeLower(size) === filter.exact) return true;
+    return value !== null && filter.value !== null && value === filter.value;
+  }
+
+  return value !== null && value >= filter.min && value <= filter.max;
+}
+
+/**
+ * Why `partner` should not receive this WTB, or null if it should.
+ * `wtb` is { sourceType, brand, size, price } with price in EUR (may be null).
+ */
+function getPartnerFilterMismatch(partner, wtb) {
+  const { brands, minPrice, maxPrice, sizes, sourceTypes } = partner.filters || {};
+
+  if (sourceTypes?.length && !sourceTypes.includes(wtb.sourceType)) {
+    return `source type ${wtb.sourceType} not in ${sourceTypes.join(', ')}`;
+  }
+
+  if (brands?.length && !brands.includes(normalizeBrand(wtb.brand))) {
+    return `brand ${wtb.brand || '(none)'} not in ${brands.join(', ')}`;
+  }
+
+  if (Number.isFinite(minPrice) || Number.isFinite(maxPrice)) {
+    const band = `${Number.isFinite(minPrice) ? `€${minPrice}` : '€0'}–${Number.isFinite(maxPrice) ? `€${maxPrice}` : '∞'}`;
+    if (!Number.isFinite(wtb.price)) return `no price on WTB to match price band ${band}`;
+    if (Number.isFinite(minPrice) && wtb.price < minPrice) return `price €${wtb.price} below ${band}`;
+    if (Number.isFinite(maxPrice) && wtb.price > maxPrice) return `price €${wtb.price} above ${band}`;
+  }
+
+  if (sizes?.length && !sizes.some((f) => sizeMatchesFilter(wtb.size, f))) {
+    return `size ${wtb.size || '(none)'} not in ${sizes.map((f) => f.label).join(', ')}`;
+  }
+
+  return null;
+}
+
+/* ---------------- Partner WTB posts ---------------- */
+/* Every partner webhook message is stored on the order (ORDER_FIELD_PARTNER_POSTS)
+   so a repost edits it in place and closing the order can retract it. */
+
+const PARTNER_POST_OPEN = 'open';
+const PARTNER_POST_CLOSED = 'closed';
+const PARTNER_POST_DELETED = 'deleted';
+
+function readPartnerPosts(record) {
+  try {
+    const parsed = JSON.parse(record?.get(ORDER_FIELD_PARTNER_POSTS) || '{}');
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch (_) {
+    return {};
+  }
+}
+
+function partnerWebhookUrl(webhookUrl, messageId = null) {
+  const url = new URL(webhookUrl);
+  if (messageId) url.pathname = `${url.pathname.replace(/\/$/, '')}/messages/${messageId}`;
+  else url.searchParams.set('wait', 'true');
+  return url.toString();
+}
+
+function buildPartnerWtbEmbed({ productName, sku, size, brand, imageUrl, joinUrl }) {
+  return {
+    title: '🔥 NEW WTB 🔥',
+    color: 0xffed00,
+    thumbnail: {
+      url: 'https://i.imgur.com/JOFvdG2.png'
+    },
+    description:
+      `**${productName || '-'}**\n` +
+      `SKU: ${sku || '-'}\n` +
+      `Size: ${size || '-'}\n` +
+      `Brand: ${brand || '-'}\n\n` +
+      `**Sell Now:** [click here](${joinUrl})`,
+    ...(imageUrl ? { image: { url: imageUrl } } : {}),
+    footer: {
+      text: '© 2026 Kickz Caviar — All rights reserved'
+    }
+  };
+}
+
+function buildClosedPartnerWtbEmbed(record) {
+  return {
+    title: '❌ WTB CLOSED',
+    color: 0x95a5a6,
+    description:
+      `~~**${record.get(ORDER_FIELD_PRODUCT_NAME) || '-'}**~~\n` +
+      `SKU: ${record.get(ORDER_FIELD_SKU) || '-'}\n` +
+      `Size: ${record.get(ORDER_FIELD_SIZE) || '-'}\n\n` +
+      'This WTB has been filled and is no longer open for offers.',
+    footer: {
+      text: '© 2026 Kickz Caviar — All rights reserved'
+    }
+  };
+}
+
+async function callPartnerWebhook(method, url, payload = null) {
+  const resp = await fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    ...(payload ? { body: JSON.stringify(payload) } : {})
+  }).catch((err) => ({ ok: false, status: 0, networkError: err }));
+
+  const data = resp.status && resp.status !== 204 ? await resp.json().catch(() => null) : null;
+  const retryAfterSeconds = Number(data?.retry_after ?? resp.headers?.get?.('retry-after'));
+
+  return {
+    ok: !!resp.ok,
+    status: resp.status,
+    data,
+    discordCode: data?.code ?? null,
+    retryAfterMs: Number.isFinite(retryAfterSeconds) ? Math.ceil(retryAfterSeconds * 1000) : null,
+    error: resp.networkError?.message || (resp.ok ? null : data?.message || `HTTP ${resp.status}`)
+  };
+}
+
+// Discord: 10008 Unknown Message (the post is gone), 10015 Unknown Webhook (the partner's hook is gone)
+function isUnknownPartnerMessage(resp) {
+  return resp.status === 404 && resp.discordCode !== 10015;
+}
+
+/**
+ * Post (or edit, if this partner already shows the WTB) one partner message.
+ */
+async function deliverPartnerWtb(partner, existingPost, embed) {
+  if (existingPost?.messageId && existingPost.status === PARTNER_POST_OPEN) {
+    const edit = await callPartnerWebhook('PATCH', partnerWebhookUrl(partner.webhookUrl, existingPost.messageId), { embeds: [embed] });
+
+    if (edit.ok) return { ...edit, action: 'updated', messageId: existingPost.messageId };
+
+    // Deleted on their side: post a fresh one below
+    if (!isUnknownPartnerMessage(edit)) return { ...edit, action: 'update', messageId: existingPost.messageId };
+  }
+
+  const post = await callPartnerWebhook('POST', partnerWebhookUrl(partner.webhookUrl), { embeds: [embed] });
+  return { ...post, action: 'posted', messageId: post.ok && post.data?.id ? String(post.data.id) : null };
+}
+
+// Read-modify-write of one partner's entry in the record's posts map
+function updatePartnerPost(sourceType, recordId, partnerId, fn) {
+  return withKeyedLock(`partner_posts:${recordId}`, async () => {
+    const record = await getSourceRepo(sourceType).find(recordId).catch(() => null);
+    if (!record) return fn(null);
+
+    const posts = readPartnerPosts(record);
+    const result = await fn(posts[partnerId] || null, record);
+
+    if (result?.post !== undefined) {
+      posts[partnerId] = result.post;
+      await getSourceRepo(sourceType)
+        .update(recordId, { [ORDER_FIELD_PARTNER_POSTS]: JSON.stringify(posts) })
+        .catch((err) => console.error('Failed to store partner posts:', err));
+    }
+
+    return result;
+  });
+}
+
+/**
+ * Edit every open partner post for a record to "Closed" (or delete it).
+ * Partners that were deactivated since posting are still cleaned up.
+ */
+async function retractPartnerPosts(sourceType, record, mode = PARTNER_WTB_RETRACT_MODE) {
+  const openPartnerIds = Object.entries(readPartnerPosts(record))
+    .filter(([, post]) => post?.messageId && post.status === PARTNER_POST_OPEN)
+    .map(([partnerId]) => partnerId);
+
+  const results = [];
+
+  for (const partnerId of openPartnerIds) {
+    results.push(
+      await enqueuePartnerDelivery({
+        partnerId,
+        sourceType,
+        recordId: record.id,
+        kind: mode === 'delete' ? 'delete' : 'close',
+        payload: mode === 'delete' ? {} : { embed: buildClosedPartnerWtbEmbed(record) }
+      })
+    );
+  }
+
+  return results;
+}
+
+/* ---------------- Partner delivery queue ---------------- */
+/* Every partner webhook call (post, close, delete) is a record in the
+   deliveries table. It is attempted right away; failures are retried by the
+   worker with exponential backoff (Discord 429s wait `retry_after` instead),
+   and land in the dead-letter list ("dead") when they cannot succeed.
+   401/404s from the webhook itself count towards auto-deactivating the partner. */
+
+const DELIVERY_PENDING = 'pending';
+const DELIVERY_DELIVERED = 'delivered';
+const DELIVERY_DEAD = 'dead';
+
+const deliveriesInFlight = new Set();
+let partnerQueueRunning = false;
+
+function getPartnerRetryDelayMs(attempts) {
+  const baseMs = (Number(PARTNER_RETRY_BASE_SECONDS) || 30) * 1000;
+  const maxMs = (Number(PARTNER_RETRY_MAX_DELAY_MINUTES) || 60) * 60 * 1000;
+  return Math.min(maxMs, baseMs * 2 ** Math.max(0, attempts - 1));
+}
+
+function summarizePartnerDelivery(delivery, partnerName = null, extra = {}) {
+  if (!delivery) return { ok: false, error: 'Delivery not found', ...extra };
+
+  const status = delivery.get(DELIVERY_FIELD_STATUS);
+
+  return {
+    deliveryId: delivery.id,
+    partnerId: (delivery.get(DELIVERY_FIELD_PARTNER) || [])[0] || null,
+    partnerName,
+    kind: delivery.get(DELIVERY_FIELD_KIND),
+    recordId: delivery.get(DELIVERY_FIELD_RECORD_ID) || null,
+    ok: status === DELIVERY_DELIVERED,
+    delivery: status === DELIVERY_PENDING ? 'retrying' : status,
+    attempts: Number(delivery.get(DELIVERY_FIELD_ATTEMPTS) || 0),
+    status: delivery.get(DELIVERY_FIELD_LAST_STATUS) ?? null,
+    error: delivery.get(DELIVERY_FIELD_LAST_ERROR) || null,
+    nextAttemptAt: status === DELIVERY_PENDING ? delivery.get(DELIVERY_FIELD_NEXT_ATTEMPT_AT) || null : null,
+    createdAt: delivery.get(DELIVERY_FIELD_CREATED_AT) || null,
+    ...extra
+  };
+}
+
+async function recordPartnerWebhookGone(partnerRecord, status) {
+  const failures = Number(partnerRecord.get(PARTNER_FIELD_WEBHOOK_FAILURES) || 0) + 1;
+  const limit = Number(PARTNER_DEACTIVATE_AFTER_FAILURES) || 3;
+  const fields = { [PARTNER_FIELD_WEBHOOK_FAILURES]: failures };
+
+  if (failures >= limit && partnerRecord.get(PARTNER_FIELD_ACTIVE) === true) {
+    fields[PARTNER_FIELD_ACTIVE] = false;
+    fields[PARTNER_FIELD_DEACTIVATION_REASON] =
+      `Webhook returned HTTP ${status} on ${failures} consecutive deliveries (${new Date().toISOString()})`;
+    console.warn(`🚫 Deactivated partner ${partnerRecord.get(PARTNER_FIELD_NAME) || partnerRecord.id}: ${fields[PARTNER_FIELD_DEACTIVATION_REASON]}`);
+  }
+
+  await db.partners.update(partnerRecord.id, fields).catch((err) => console.error('Failed to update partner failures:', err));
+}
+
+// One webhook call for a delivery; updates the record's posts map on success
+async function attemptPartnerDelivery(delivery, partner) {
+  const kind = delivery.get(DELIVERY_FIELD_KIND);
+  const sourceType = normalizeSourceType(delivery.get(DELIVERY_FIELD_SOURCE_TYPE));
+  const recordId = delivery.get(DELIVERY_FIELD_RECORD_ID);
+
+  let payload = {};
+  try {
+    payload = JSON.parse(delivery.get(DELIVERY_FIELD_PAYLOAD) || '{}');
+  } catch (_) {}
+
+  return updatePartnerPost(sourceType, recordId, partner.id, async (existingPost, record) => {
+    if (!record) return { ok: false, status: null, fatal: true, error: 'Record not found' };
+
+    if (kind === 'post') {
+      const resp = await deliverPartnerWtb(partner, existingPost, payload.embed);
+      if (!resp.ok) return resp;
+
+      return {
+        ...resp,
+        post: resp.messageId
+          ? {
+            messageId: resp.messageId,
+            status: PARTNER_POST_OPEN,
+            postedAt: resp.action === 'updated' ? existingPost.postedAt : new Date().toISOString()
+          }
+          : undefined
+      };
+    }
+
+    // close / delete: nothing to do if the post is already gone
+    if (!existingPost?.messageId || existingPost.status !== PARTNER_POST_OPEN) {
+      return { ok: true, status: null, action: 'skipped' };
+    }
+
+    const url = partnerWebhookUrl(partner.webhookUrl, existingPost.messageId);
+    const resp = kind === 'delete'
+      ? await callPartnerWebhook('DELETE', url)
+      : await callPartnerWebhook('PATCH', url, { embeds: [payload.embed] });
+
+    if (!resp.ok && !isUnknownPartnerMessage(resp)) return { ...resp, action: kind };
+
+    return {
+      ...resp,
+      ok: true,
+      action: kind,
+      messageId: existingPost.messageId,
+      post: {
+        ...existingPost,
+        status: kind === 'delete' || !resp.ok ? PARTNER_POST_DELETED : PARTNER_POST_CLOSED,
+        closedAt: new Date().toISOString()
+      }
+    };
+  });
+}
+
+/**
+ * Attempt a pending delivery once and reschedule / dead-letter it.
+ * Returns the delivery summary, or null if another attempt is in flight.
+ */
+async function processPartnerDelivery(deliveryId) {
+  if (deliveriesInFlight.has(deliveryId)) return null;
+  deliveriesInFlight.add(deliveryId);
+
+  try {
+    const delivery = await db.deliveries.find(deliveryId).catch(() => null);
+    if (!delivery || delivery.get(DELIVERY_FIELD_STATUS) !== DELIVERY_PENDING) {
+      return summarizePartnerDelivery(delivery);
+    }
+
+    const kind = delivery.get(DELIVERY_FIELD_KIND);
+    const partnerId = (delivery.get(DELIVERY_FIELD_PARTNER) || [])[0];
+    const partnerRecord = partnerId ? await db.partners.find(partnerId).catch(() => null) : null;
+    const partner = partnerRecord ? toPartner(partnerRecord) : null;
+    const attempts = Number(delivery.get(DELIVERY_FIELD_ATTEMPTS) || 0);
+
+    const save = async (fields, extra = {}) =>
+      summarizePartnerDelivery(await db.deliveries.update(delivery.id, fields), partner?.name || partnerId, extra);
+
+    const deadLetter = (error, status = null) =>
+      save({
+        [DELIVERY_FIELD_STATUS]: DELIVERY_DEAD,
+        [DELIVERY_FIELD_LAST_STATUS]: status,
+        [DELIVERY_FIELD_LAST_ERROR]: error
+      });
+
+    if (!partner?.webhookUrl) return deadLetter('Partner has no webhook URL');
+
+    if (partnerRecord.get(PARTNER_FIELD_ACTIVE) !== true) {
+      const reason = partnerRecord.get(PARTNER_FIELD_DEACTIVATION_REASON);
+      // Retracting from an inactive partner is fine, unless it was switched off because its webhook is gone
+      if (kind === 'post' || reason) return deadLetter(`Partner is inactive${reason ? `: ${reason}` : ''}`);
+    }
+
+    const result = await attemptPartnerDelivery(delivery, partner);
+    const extra = { action: result.action, messageId: result.messageId || null };
+
+    if (result.ok) {
+      if (kind === 'post') {
+        await db.partners.update(partner.id, { [PARTNER_FIELD_LAST_POST_AT]: new Date().toISOString() }).catch(() => null);
+      }
+      if (Number(partnerRecord.get(PARTNER_FIELD_WEBHOOK_FAILURES) || 0) > 0) {
+        await db.partners.update(partner.id, { [PARTNER_FIELD_WEBHOOK_FAILURES]: 0 }).catch(() => null);
+      }
+
+      return save({
+        [DELIVERY_FIELD_STATUS]: DELIVERY_DELIVERED,
+        [DELIVERY_FIELD_ATTEMPTS]: attempts + 1,
+        [DELIVERY_FIELD_LAST_STATUS]: result.status,
+        [DELIVERY_FIELD_LAST_ERROR]: null,
+        [DELIVERY_FIELD_DELIVERED_AT]: new Date().toISOString()
+      }, extra);
+    }
+
+    console.warn(`⚠️ Partner delivery ${delivery.id} (${kind}) to ${partner.name} failed: ${result.error}`);
+
+    // Rate limited: not the partner's fault, wait as long as Discord asks
+    if (result.status === 429) {
+      return save({
+        [DELIVERY_FIELD_LAST_STATUS]: 429,
+        [DELIVERY_FIELD_LAST_ERROR]: result.error,
+        [DELIVERY_FIELD_NEXT_ATTEMPT_AT]: new Date(Date.now() + Math.max(1000, result.retryAfterMs || 0)).toISOString()
+      }, extra);
+    }
+
+    // The webhook itself is gone or revoked: retrying will not help
+    if (result.status === 401 || result.status === 404) {
+      await recordPartnerWebhookGone(partnerRecord, result.status);
+      return save({
+        [DELIVERY_FIELD_STATUS]: DELIVERY_DEAD,
+        [DELIVERY_FIELD_ATTEMPTS]: attempts + 1,
+        [DELIVERY_FIELD_LAST_STATUS]: result.status,
+        [DELIVERY_FIELD_LAST_ERROR]: result.error
+      }, extra);
+    }
+
+    const retryable = !result.fatal && (result.status === 0 || result.status >= 500);
+    const maxAttempts = Number(PARTNER_RETRY_MAX_ATTEMPTS) || 6;
+
+    if (!retryable || attempts + 1 >= maxAttempts) {
+      return save({
+        [DELIVERY_FIELD_STATUS]: DELIVERY_DEAD,
+        [DELIVERY_FIELD_ATTEMPTS]: attempts + 1,
+        [DELIVERY_FIELD_LAST_STATUS]: result.status,
+        [DELIVERY_FIELD_LAST_ERROR]: result.error
+      }, extra);
+    }
+
+    return save({
+      [DELIVERY_FIELD_ATTEMPTS]: attempts + 1,
+      [DELIVERY_FIELD_LAST_STATUS]: result.status,
+      [DELIVERY_FIELD_LAST_ERROR]: result.error,
+      [DELIVERY_FIELD_NEXT_ATTEMPT_AT]: new Date(Date.now() + getPartnerRetryDelayMs(attempts + 1)).toISOString()
+    }, extra);
+  } finally {
+    deliveriesInFlight.delete(deliveryId);
+  }
+}
+
+async function enqueuePartnerDelivery({ partnerId, sourceType = 'order', recordId, kind, payload }) {
+  const now = new Date().toISOString();
+
+  const delivery = await db.deliveries.create({
+    [DELIVERY_FIELD_PARTNER]: [partnerId],
+    [DELIVERY_FIELD_SOURCE_TYPE]: normalizeSourceType(sourceType),
+    [DELIVERY_FIELD_RECORD_ID]: recordId,
+    [DELIVERY_FIELD_KIND]: kind,
+    [DELIVERY_FIELD_PAYLOAD]: JSON.stringify(payload || {}),
+    [DELIVERY_FIELD_STATUS]: DELIVERY_PENDING,
+    [DELIVERY_FIELD_ATTEMPTS]: 0,
+    [DELIVERY_FIELD_NEXT_ATTEMPT_AT]: now,
+    [DELIVERY_FIELD_CREATED_AT]: now
+  });
+
+  return (await processPartnerDelivery(delivery.id)) || summarizePartnerDelivery(delivery);
+}
+
+async function processDuePartnerDeliveries() {
+  if (partnerQueueRunning) return;
+  partnerQueueRunning = true;
+
+  try {
+    const pending = await db.deliveries.list({ [DELIVERY_FIELD_STATUS]: DELIVERY_PENDING });
+    const now = Date.now();
+
+    const due = pending
+      .filter((d) => new Date(d.get(DELIVERY_FIELD_NEXT_ATTEMPT_AT) || 0).getTime() <= now)
+      .sort((a, b) => String(a.get(DELIVERY_FIELD_NEXT_ATTEMPT_AT)).localeCompare(String(b.get(DELIVERY_FIELD_NEXT_ATTEMPT_AT))));
+
+    for (const delivery of due) {
+      await processPartnerDelivery(delivery.id).catch((err) => console.error(`Partner delivery ${delivery.id} failed:`, err));
+    }
+  } catch (err) {
+    console.error('Partner delivery queue run failed:', err);
+  } finally {
+    partnerQueueRunning = false;
+  }
+}
+
+// Also catches up on whatever became due while the bot was down
+function startPartnerDeliveryWorker() {
+  const intervalMs = Math.max(5, Number(PARTNER_QUEUE_POLL_SECONDS) || 30) * 1000;
+
+  processDuePartnerDeliveries();
+  setInterval(processDuePartnerDeliveries, intervalMs);
+}
+
+/* ---------------- WTB expiry ---------------- */
+/* Open WTBs (buttons enabled) are closed once their expiry passes: offer buttons
+   disabled, partner posts retracted, embed marked "Expired" and the status set to
+   Expired. The sweep is time-based, so the first run after downtime catches up on
+   everything that expired meanwhile. WTBs posted before WTB Posted At existed are
+   stamped on first sight and expire one TTL later. */
+
+let wtbExpiryRunning = false;
+
+function getWtbTtlMs(sourceType) {
+  const hours = Number(normalizeSourceType(sourceType) === 'member_wtb' ? WTB_TTL_HOURS_MEMBER_WTB : WTB_TTL_HOURS_ORDER);
+  return Number.isFinite(hours) && hours > 0 ? hours * 60 * 60 * 1000 : null;
+}
+
+function parseDateField(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// When the WTB expires, or null if it never does (no explicit expiry and TTL disabled)
+function getWtbExpiry(sourceType, record) {
+  const explicit = parseDateField(record.get(ORDER_FIELD_EXPIRES_AT));
+  if (explicit) return explicit;
+
+  const postedAt = parseDateField(record.get(ORDER_FIELD_POSTED_AT));
+  const ttlMs = getWtbTtlMs(sourceType);
+  return postedAt && ttlMs ? new Date(postedAt.getTime() + ttlMs) : null;
+}
+
+async function markWtbMessagesExpired(record) {
+  const msgIds = String(record.get(ORDER_FIELD_SELLER_MSG_IDS) || '').split(',').map((x) => x.trim()).filter(Boolean);
+  if (!msgIds.length) return;
+
+  const targetChannelId = record.get(ORDER_FIELD_WTB_CHANNEL_ID) || dealsChannelIds[0];
+  const channel = await client.channels.fetch(targetChannelId).catch(() => null);
+  if (!channel || !channel.isTextBased?.()) {
+    console.warn(`⚠️ markWtbMessagesExpired: channel not found: ${targetChannelId}`);
+    return;
+  }
+
+  for (const id of msgIds) {
+    const msg = await channel.messages.fetch(id).catch(() => null);
+    if (!msg || !msg.embeds?.length) continue;
+
+    const embed = EmbedBuilder.from(msg.embeds[0])
+      .setTitle('⌛ WTB EXPIRED')
+      .setColor(0x95a5a6)
+      .setFields({ name: 'Status', value: 'This WTB has expired and is no longer accepting offers.', inline: false });
+
+    await msg.edit({ embeds: [embed] }).catch(() => null);
+  }
+}
+
+/**
+ * Close one WTB if it is still open. The status flips under the record lock so
+ * no offer can slip in; the Discord/partner cleanup runs after it. A WTB that
+ * is already closed (e.g. Allocated) only gets its buttons disabled.
+ * Returns true when the WTB was expired.
+ */
+async function expireWtb(sourceType, recordId) {
+  const outcome = await withSourceRecordLock(sourceType, recordId, async () => {
+    const record = await getSourceRepo(sourceType).find(recordId).catch(() => null);
+    if (!record || record.get(ORDER_FIELD_BUTTONS_DISABLED) === true) return null;
+
+    // Already Allocated / Fulfilled etc. but the buttons were never disabled: keep the real status
+    if (!isSourceOpenForOffers(sourceType, record)) return 'disable';
+
+    await getSourceRepo(sourceType).update(recordId, {
+      [ORDER_FIELD_FULFILLMENT_STATUS]: WTB_STATUS_EXPIRED,
+      [ORDER_FIELD_EXPIRED_AT]: new Date().toISOString()
+    });
+    return 'expire';
+  });
+
+  if (!outcome) return false;
+
+  await disableSellerOfferMessages(recordId, sourceType);
+
+  if (outcome === 'disable') {
+    console.log(`⌛ Disabled leftover offer buttons on closed ${normalizeSourceType(sourceType)} ${recordId}`);
+    return false;
+  }
+
+  const record = await getSourceRepo(sourceType).find(recordId).catch(() => null);
+  if (record) await markWtbMessagesExpired(record);
+
+  console.log(`⌛ Expired ${normalizeSourceType(sourceType)} ${recordId}`);
+  return true;
+}
+
+async function expireStaleWtbs() {
+  if (wtbExpiryRunning) return [];
+  wtbExpiryRunning = true;
+
+  const expired = [];
+
+  try {
+    for (const sourceType of SOURCE_TYPES) {
+      const open = await getSourceRepo(sourceType).list({
+        [ORDER_FIELD_SELLER_MSG_IDS]: { notEmpty: true },
+        [ORDER_FIELD_BUTTONS_DISABLED]: false
+      });
+      const now = Date.now();
+
+      for (const record of open) {
+        if (!record.get(ORDER_FIELD_EXPIRES_AT) && !record.get(ORDER_FIELD_POSTED_AT)) {
+          await getSourceRepo(sourceType)
+            .update(record.id, { [ORDER_FIELD_POSTED_AT]: new Date(now).toISOString() })
+            .catch(() => null);
+          continue;
+        }
+
+        const expiry = getWtbExpiry(sourceType, record);
+        if (!expiry || expiry.getTime() > now) continue;
+
+        try {
+          if (await expireWtb(sourceType, record.id)) expired.push({ sourceType, recordId: record.id });
+        } catch (err) {
+          console.error(`WTB expiry failed for ${sourceType} ${record.id}:`, err);
+        }
+      }
+    }
+  } catch (err) {
+    console.error('WTB expiry sweep failed:', err);
+  } finally {
+    wtbExpiryRunning = false;
+  }
+
+  return expired;
+}
+
+function startWtbExpiryScheduler() {
+  const intervalMs = Math.max(1, Number(WTB_EXPIRY_CHECK_MINUTES) || 5) * 60 * 1000;
+
+  expireStaleWtbs();
+  setInterval(expireStaleWtbs, intervalMs);
+}
+
+/* ---------------- Express API ---------------- */
+
+/* ---------------- Error envelope ---------------- */
+/* Every error response has the same shape so automations can branch on `code`:
+   { ok: false, code, error, details? }
+   `details` is only sent for these codes, always in the same shape:
+     validation_failed          [{ field, message }]
+     rate_limited               { retryAfterSeconds } (also in the Retry-After header)
+     too_high, vat_not_allowed  string, shown to the seller as is
+     unauthorized               string reason
+   Internal errors never carry details; the cause is only logged. */
+
+function sendError(res, status, code, error, details) {
+  return res.status(status).json({
+    ok: false,
+    code,
+    error,
+    ...(details !== undefined ? { details } : {})
+  });
+}
+
+/* ---------------- Request validation ---------------- */
+
+const AIRTABLE_RECORD_ID_RE = /^rec[A-Za-z0-9]{14}$/;
+const DISCORD_ID_RE = /^\d{17,20}$/;
+const NUMERIC_STRING_RE = /^€?\s*-?\d+(?:[.,]\d+)?$/;
+
+const SOURCE_TYPES = ['order', 'member_wtb'];
+const VAT_TYPES = ['Margin', 'VAT0', 'VAT21'];
+const CURRENCIES = Object.keys(CURRENCY_SYMBOLS);
+
+/**
+ * Validate one value against a field rule.
+ * Returns { value } (cleaned) or { error }.
+ */
+function validateField(rule, raw) {
+  const value = typeof raw === 'string' ? raw.trim() : raw;
+
+  if (value === undefined || value === null || value === '') {
+    if (rule.required) return { error: 'is required' };
+    return { value: rule.default ?? null };
+  }
+
+  switch (rule.type) {
+    case 'recordId':
+      return typeof value === 'string' && AIRTABLE_RECORD_ID_RE.test(value)
+        ? { value }
+        : { error: 'must be an Airtable record ID (rec...)' };
+
+    case 'discordId':
+      return DISCORD_ID_RE.test(String(value))
+        ? { value: String(value) }
+        : { error: 'must be a Discord ID' };
+
+    case 'number': {
+      if (typeof value === 'string' && !NUMERIC_STRING_RE.test(value)) return { error: 'must be a number' };
+
+      const n = parseNumeric(value);
+      if (!Number.isFinite(n)) return { error: 'must be a number' };
+      if (rule.positive && n <= 0) return { error: 'must be greater than 0' };
+      if (rule.min !== undefined && n < rule.min) return { error: `must be at least ${rule.min}` };
+
+      return { value: n };
+    }
+
+    case 'enum':
+      return rule.values.includes(value)
+        ? { value }
+        : { error: `must be one of: ${rule.values.join(', ')}` };
+
+    case 'url':
+      try {
+        const url = new URL(String(value));
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new Error('protocol');
+        return { value: url.toString() };
+      } catch (_) {
+        return { error: 'must be an http(s) URL' };
+      }
+
+    default: {
+      if (typeof value !== 'string' && typeof value !== 'number') return { error: 'must be a string' };
+
+      const str = String(value);
+      if (rule.maxLength && str.length > rule.maxLength) {
+        return { error: `must be at most ${rule.maxLength} characters` };
+      }
+
+      return { value: str };
+    }
+  }
+}
+
+/**
+ * Express middleware validating req.body against a schema
+ * ({ field: { type, required, requiredWithout, default, ... } }). On success req.body
+ * is replaced by the cleaned values, so handlers only see declared fields.
+ */
+function validateBody(schema) {
+  return (req, res, next) => {
+    const body = req.body && typeof req.body === 'object' && !Array.isArray(req.body) ? req.body : {};
+
+    const clean = {};
+    const errors = [];
+
+    for (const [field, rule] of Object.entries(schema)) {
+      const result = validateField(rule, body[field]);
+      if (result.error) errors.push({ field, message: `${field} ${result.error}` });
+      else clean[field] = result.value;
+    }
+
+    // `requiredWithout: 'other'`: one of the two fields has to be given
+    for (const [field, rule] of Object.entries(schema)) {
+      const other = rule.requiredWithout;
+      if (!other || errors.some((e) => e.field === field || e.field === other)) continue;
+      if (isEmptyFieldValue(clean[field]) && isEmptyFieldValue(clean[other])) {
+        errors.push({ field, message: `${field} or ${other} is required` });
+      }
+    }
+
+    if (errors.length) {
+      return sendError(res, 400, 'validation_failed', 'Invalid request body.', errors);
+    }
+
+    req.body = clean;
+    return next();
+  };
+}
+
+const sourceTypeRule = { type: 'enum', values: SOURCE_TYPES, default: 'order' };
+const SHIPMENT_EVENT_TYPES = ['picked_up', 'in_transit', 'delivered_to_warehouse', 'qc_passed', 'qc_failed', 'return_initiated'];
+
+const requestSchemas = {
+  offerDeal: {
+    productName: { type: 'string', required: true, maxLength: 200 },
+    sku: { type: 'string', required: true, maxLength: 100 },
+    size: { type: 'string', required: true, maxLength: 50 },
+    brand: { type: 'string', maxLength: 100 },
+    imageUrl: { type: 'url' },
+    recordId: { type: 'recordId', required: true },
+    sourceType: sourceTypeRule
+  },
+  partnerWtb: {
+    productName: { type: 'string', required: true, maxLength: 200 },
+    sku: { type: 'string', required: true, maxLength: 100 },
+    size: { type: 'string', required: true, maxLength: 50 },
+    brand: { type: 'string', maxLength: 100 },
+    imageUrl: { type: 'url' },
+    recordId: { type: 'recordId', required: true },
+    sourceType: sourceTypeRule
+  },
+  placeFromPortal: {
+    orderRecordId: { type: 'recordId', required: true },
+    sellerRecordId: { type: 'recordId', required: true },
+    offerAmount: { type: 'number', required: true, positive: true },
+    vatType: { type: 'enum', values: VAT_TYPES, required: true },
+    currency: { type: 'enum', values: CURRENCIES },
+    sourceType: sourceTypeRule
+  },
+  disableOffers: {
+    recordId: { type: 'recordId', required: true },
+    sourceType: sourceTypeRule
+  },
+  withdrawOffer: {
+    offerRecordId: { type: 'recordId', required: true },
+    sellerRecordId: { type: 'recordId', required: true }
+  },
+  payoutChannel: {
+    orderId: { type: 'string', required: true, maxLength: 80 },
+    productName: { type: 'string', required: true, maxLength: 200 },
+    sku: { type: 'string', required: true, maxLength: 100 },
+    size: { type: 'string', required: true, maxLength: 50 },
+    brand: { type: 'string', maxLength: 100 },
+    payout: { type: 'number', required: true, min: 0 },
+    sellerCode: { type: 'string', required: true, maxLength: 50 },
+    imageUrl: { type: 'url' },
+    discordUserId: { type: 'discordId', required: true },
+    vatType: { type: 'enum', values: VAT_TYPES }
+  },
+  memberWtbDealChannel: {
+    member_wtb_record_id: { type: 'recordId', required: true },
+    seller_offer_record_id: { type: 'recordId', required: true }
+  },
+  issueLinkCode: {
+    seller_record_id: { type: 'recordId', required: true }
+  },
+  syncLowest: {
+    orderId: { type: 'recordId', required: true }
+  },
+  replayDeliveries: {
+    deliveryId: { type: 'recordId' },
+    status: { type: 'enum', values: ['dead', 'pending'] }
+  },
+  partnerWtbRetract: {
+    recordId: { type: 'recordId', required: true },
+    sourceType: sourceTypeRule,
+    mode: { type: 'enum', values: ['close', 'delete'] }
+  },
+  shipmentEvent: {
+    record_id: { type: 'recordId', required: true },
+    source_type: sourceTypeRule,
+    event: { type: 'enum', values: SHIPMENT_EVENT_TYPES, required: true },
+    event_id: { type: 'string', maxLength: 100 },
+    occurred_at: { type: 'string', maxLength: 40 },
+    carrier: { type: 'string', maxLength: 100 },
+    tracking_number: { type: 'string', maxLength: 100 },
+    location: { type: 'string', maxLength: 200 },
+    note: { type: 'string', maxLength: 1000 }
+  },
+  labelStatus: {
+    request_id: { type: 'string', maxLength: 100, requiredWithout: 'deal_id' },
+    deal_id: { type: 'recordId' },
+    status: { type: 'enum', values: ['pending', 'ready', 'failed'], required: true },
+    carrier: { type: 'string', maxLength: 100 },
+    tracking_number: { type: 'string', maxLength: 100 },
+    label_url: { type: 'url' },
+    error: { type: 'string', maxLength: 500 }
+  }
+};
+
+/* ---------------- Request signing ---------------- */
+/* Every inbound route (except the health check) must be signed by a known caller:
+   x-kc-caller:    portal | airtable | wms
+   x-kc-timestamp: unix seconds
+   x-kc-signature: hex HMAC-SHA256 of `${timestamp}.${METHOD}.${path?query}.${rawBody}`
+                   with that caller's key, so a body cannot be replayed against another route */
+
+const CALLER_KEYS = new Map(
+  [
+    ['portal', WEBHOOK_KEY_PORTAL || KC_PORTAL_SECRET],
+    ['airtable', WEBHOOK_KEY_AIRTABLE || WEBHOOK_SECRET],
+    ['wms', WEBHOOK_KEY_WMS],
+    ['admin', WEBHOOK_KEY_ADMIN]
+  ]
+    .filter(([, key]) => !!key)
+    .map(([caller, key]) => [caller, String(key).trim()])
+);
+
+if (isSimulation) {
+  // Scenarios sign their own requests; give every caller a throwaway key
+  for (const caller of ['portal', 'airtable', 'wms', 'admin']) {
+    if (!CALLER_KEYS.has(caller)) CALLER_KEYS.set(caller, crypto.randomBytes(32).toString('hex'));
+  }
+}
+
+if (!CALLER_KEYS.size) {
+  console.warn('⚠️ No webhook keys configured: all signed routes will reject requests.');
+}
+
+// signature -> expiry (ms); a signature can only be used once within the tolerance window
+const seenSignatures = new Map();
+
+function pruneSeenSignatures(now) {
+  for (const [signature, expiresAt] of seenSignatures) {
+    if (expiresAt <= now) seenSignatures.delete(signature);
+  }
+}
+
+function signaturesMatch(expectedHex, receivedHex) {
+  const expected = Buffer.from(expectedHex, 'hex');
+  const received = Buffer.from(String(receivedHex || ''), 'hex');
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Express middleware verifying the request signature.
+ * Pass caller names to limit a route to those callers; no args allows any known caller.
+ */
+function requireSignature(...allowedCallers) {
+  return (req, res, next) => {
+    const caller = String(req.headers['x-kc-caller'] || '').trim().toLowerCase();
+    const timestamp = String(req.headers['x-kc-timestamp'] || '').trim();
+    const signature = String(req.headers['x-kc-signature'] || '').trim().toLowerCase();
+
+    const reject = (details) => {
+      console.warn(`⚠️ Rejected ${req.method} ${req.path} from "${caller || 'unknown'}": ${details}`);
+      return sendError(res, 401, 'unauthorized', 'Unauthorized', details);
+    };
+
+    const key = CALLER_KEYS.get(caller);
+    if (!key) return reject('Unknown caller');
+
+    if (allowedCallers.length && !allowedCallers.includes(caller)) {
+      return reject('Caller not allowed on this route');
+    }
+
+    const now = Date.now();
+    const sentAt = Number(timestamp) * 1000;
+    const toleranceMs = (Number(WEBHOOK_TOLERANCE_SECONDS) || 300) * 1000;
+
+    if (!/^\d+$/.test(timestamp) || Math.abs(now - sentAt) > toleranceMs) {
+      return reject('Stale or missing timestamp');
+    }
+
+    const rawBody = req.rawBody ? req.rawBody.toString('utf8') : '';
+    const expected = crypto
+      .createHmac('sha256', key)
+      .update(`${timestamp}.${req.method}.${req.originalUrl}.${rawBody}`)
+      .digest('hex');
+
+    if (!signaturesMatch(expected, signature)) return reject('Invalid signature');
+
+    pruneSeenSignatures(now);
+    if (seenSignatures.has(signature)) return reject('Replayed request');
+    seenSignatures.set(signature, now + toleranceMs * 2);
+
+    req.caller = caller;
+    return next();
+  };
+}
+
+const app = express();
+app.use(morgan('combined'));
+app.use(
+  express.json({
+    limit: '2mb',
+    verify: (req, _res, buf) => {
+      req.rawBody = buf;
+    }
+  })
+);
+
+app.get('/', (_req, res) => res.send('WTB Seller Offers Bot OK'));
+
+/* ---------------- POST /partner-offer-deal ---------------- */
+/* Internal WTB in your own server */
+
+/**
+ * Post the WTB embed with the Offer button into the brand's routed channel and
+ * store the message on the record. Shared by the HTTP endpoints and /wtb repost.
+ */
+async function postWtbOffer({ productName, sku, size, brand, imageUrl, recordId, sourceType = 'order' }) {
+  const cleanSourceType = normalizeSourceType(sourceType);
+  const config = getSourceConfig(cleanSourceType);
+
+  // Read current lowest from the order (for initial embed)
+  let currentLowestDisplay = 'No offers yet';
+  if (recordId) {
+    const order = await getSourceRepo(cleanSourceType).find(recordId).catch(() => null);
+    if (order) {
+      currentLowestDisplay = await formatCurrentLowestForEmbed(cleanSourceType, order);
+    }
+  }
+
+  const embed = new EmbedBuilder()
+    .setTitle('🔥 NEW WTB DEAL 🔥')
+    .setDescription(`**${productName}**\n${sku}\n${size}\n${brand || '-'}`)
+    .setColor(0xf1c40f)
+    .addFields({
+      name: 'Current Lowest Offer',
+      value: `${currentLowestDisplay}\n\nClick below to submit your offer.`,
+      inline: false
+    });
+
+  if (imageUrl) embed.setImage(imageUrl);
+
+  const messageIds = [];
+  const messageUrls = [];
+  
+  const targetChannelId = pickWTBChannelId(brand);
+  console.log(`📌 WTB create: brand="${brand || ''}" -> channelId=${targetChannelId}`);
+  
+  const channel = await client.channels.fetch(targetChannelId).catch(() => null);
+  if (!channel || !channel.isTextBased?.()) {
+    return {
+      ok: false,
+      status: 404,
+      code: 'channel_not_found',
+      error: `WTB channel not found or not text-based: ${targetChannelId}`
+    };
+  }
+  
+  console.log(`✅ WTB channel resolved: #${channel.name} (${channel.id})`);
+
+  
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`seller_offer:${cleanSourceType}:${recordId}`)
+      .setLabel('Offer')
+      .setStyle(ButtonStyle.Success),
+    new ButtonBuilder().setLabel("See All WTB's").setStyle(ButtonStyle.Link).setURL(WTB_URL)
+  );
+  
+  const msg = await channel.send({ embeds: [embed], components: [row] });
+  
+  messageIds.push(msg.id);
+  messageUrls.push(msg.url);
+
+  if (recordId) {
+    const updateFields = {
+      [config.messageIdField]: messageIds.join(','),
+      [config.buttonsDisabledField]: false,
+      [config.channelIdField]: targetChannelId,
+      [ORDER_FIELD_POSTED_AT]: new Date().toISOString()
+    };
+  
+    if (messageUrls.length > 0) updateFields[ORDER_FIELD_OFFER_MESSAGE_URL] = messageUrls[0];
+  
+    await getSourceRepo(cleanSourceType).update(recordId, updateFields);
+  }
+
+  return { ok: true, messageIds, messageUrls, channelId: targetChannelId };
+}
+
+async function sendOfferDeal(req, res) {
+  try {
+    const {
+      productName,
+      sku,
+      size,
+      brand,
+      imageUrl,
+      recordId,
+      sourceType = 'order'
+    } = req.body || {};
+
+    const result = await postWtbOffer({ productName, sku, size, brand, imageUrl, recordId, sourceType });
+    if (!result.ok) return sendError(res, result.status, result.code, result.error);
+
+    return res.json({ ok: true, messageIds: result.messageIds, messageUrls: result.messageUrls });
+  } catch (err) {
+    console.error(err);
+    return sendError(res, 500, 'internal_error', 'Internal error');
+  }
+}
+
+app.post(
+  '/partner-offer-deal',
+  requireSignature('airtable', 'portal'),
+  validateBody(requestSchemas.offerDeal),
+  sendOfferDeal
+);
+app.post(
+  '/partner-deal',
+  requireSignature('airtable', 'portal'),
+  validateBody(requestSchemas.offerDeal),
+  sendOfferDeal
+);
+
+/* ---------------- POST /partner-wtb ---------------- */
+/* Sends WTB embed into partner servers via webhooks (LINKS IN EMBED TEXT, NO BUTTONS).
+   Partners whose filters don't match are listed in `skipped` with the reason. */
+
+app.post('/partner-wtb', requireSignature('airtable', 'portal'), validateBody(requestSchemas.partnerWtb), async (req, res) => {
+  try {
+    const { productName, sku, size, brand, imageUrl, recordId, sourceType } = req.body;
+    const cleanSourceType = normalizeSourceType(sourceType);
+
+    const record = await getSourceRepo(cleanSourceType).find(recordId).catch(() => null);
+    if (!record) return sendError(res, 404, 'not_found', 'Record not found in Airtable');
+
+    const partners = await getActivePartners();
+    if (!partners.length) return res.json({ ok: true, message: 'No active partners found', sent: [], skipped: [] });
+
+    const wtb = {
+      sourceType: cleanSourceType,
+      brand: brand || record.get(ORDER_FIELD_BRAND),
+      size,
+      price: getSourceMaxPrice(record)
+    };
+
+    const sentByPartner = [];
+    const skipped = [];
+
+    // Failed deliveries stay queued for retry (see "Partner delivery queue")
+    for (const partner of partners) {
+      const reason = getPartnerFilterMismatch(partner, wtb);
+      if (reason) {
+        skipped.push({ partnerId: partner.id, partnerName: partner.name, reason });
+        continue;
+      }
+
+      const joinUrl = partner.inviteUrl || INVITE_URL;
+      const embed = buildPartnerWtbEmbed({ productName, sku, size, brand: wtb.brand, imageUrl, joinUrl });
+
+      sentByPartner.push(
+        await enqueuePartnerDelivery({
+          partnerId: partner.id,
+          sourceType: cleanSourceType,
+          recordId,
+          kind: 'post',
+          payload: { embed }
+        })
+      );
+    }
+
+    return res.json({ ok: true, sent: sentByPartner, skipped });
+  } catch (err) {
+    console.error('Error in /partner-wtb:', err);
+    return sendError(res, 500, 'internal_error', 'Internal error');
+  }
+});
+
+/* ---------------- POST /partner-wtb/retract ---------------- */
+/* Called by the allocation automation: marks partner posts "Closed" (or deletes them)
+   without touching the Discord WTB buttons. */
+
+app.post('/partner-wtb/retract', requireSignature('airtable', 'portal'), validateBody(requestSchemas.partnerWtbRetract), async (req, res) => {
+  try {
+    const { recordId, sourceType, mode } = req.body;
+    const cleanSourceType = normalizeSourceType(sourceType);
+
+    const record = await getSourceRepo(cleanSourceType).find(recordId).catch(() => null);
+    if (!record) return sendError(res, 404, 'not_found', 'Record not found');
+
+    const results = await retractPartnerPosts(cleanSourceType, record, mode || PARTNER_WTB_RETRACT_MODE);
+
+    return res.json({ ok: true, retracted: results });
+  } catch (err) {
+    console.error('Error in /partner-wtb/retract:', err);
+    return sendError(res, 500, 'internal_error', 'Internal error');
+  }
+});
+
+/* ---------------- Admin: partner delivery queue ---------------- */
+
+const DELIVERY_LIST_LIMIT = 100;
+
+app.get('/admin/partner-deliveries', requireSignature('admin'), async (req, res) => {
+  try {
+    const status = String(req.query.status || '').trim();
+    const partnerId = String(req.query.partnerId || '').trim();
+
+    if (status && ![DELIVERY_PENDING, DELIVERY_DELIVERED, DELIVERY_DEAD].includes(status)) {
+      return sendError(res, 400, 'validation_failed', 'Invalid request query.', [
+        { field: 'status', message: `status must be one of: ${DELIVERY_PENDING}, ${DELIVERY_DELIVERED}, ${DELIVERY_DEAD}` }
+      ]);
+    }
+
+    const query = status ? { [DELIVERY_FIELD_STATUS]: status } : {};
+    if (partnerId) query[DELIVERY_FIELD_PARTNER] = { contains: partnerId };
+
+    const records = await db.deliveries.list(query);
+    const deliveries = records
+      .sort((a, b) => String(b.get(DELIVERY_FIELD_CREATED_AT)).localeCompare(String(a.get(DELIVERY_FIELD_CREATED_AT))))
+      .slice(0, DELIVERY_LIST_LIMIT)
+      .map((d) => summarizePartnerDelivery(d));
+
+    return res.json({ ok: true, total: records.length, deliveries });
+  } catch (err) {
+    console.error('Error in /admin/partner-deliveries:', err);
+    return sendError(res, 500, 'internal_error', 'Internal error');
+  }
+});
+
+/* ---------------- Admin: offer history ---------------- */
+
+app.get('/admin/offer-history', requireSignature('admin'), async (req, res) => {
+  try {
+    const sourceType = SOURCE_TYPES.includes(req.query.sourceType) ? req.query.sourceType : null;
+    const filters = await resolveOfferHistoryFilters({ record: req.query.record, seller: req.query.seller, sourceType });
+
+    if (!filters.ok) return sendError(res, filters.status, filters.code, filters.error);
+
+    const events = await listOfferEvents(filters);
+
+    return res.json({ ok: true, total: events.length, events: events.slice(0, OFFER_HISTORY_LIMIT) });
+  } catch (err) {
+    console.error('Error in /admin/offer-history:', err);
+    return sendError(res, 500, 'internal_error', 'Internal error');
+  }
+});
+
+// Replays one delivery, or every delivery with the given status, right now
+app.post('/admin/partner-deliveries/replay', requireSignature('admin'), validateBody(requestSchemas.replayDeliveries), async (req, res) => {
+  try {
+    const { deliveryId, status } = req.body;
+
+    if (!deliveryId && !status) {
+      return sendError(res, 400, 'validation_failed', 'Invalid request body.', [
+        { field: 'deliveryId', message: 'deliveryId or status is required' }
+      ]);
+    }
+
+    let deliveries;
+    if (deliveryId) {
+      const delivery = await db.deliveries.find(deliveryId).catch(() => null);
+      if (!delivery) return sendError(res, 404, 'not_found', 'Delivery not found');
+      deliveries = [delivery];
+    } else {
+      deliveries = await db.deliveries.list({ [DELIVERY_FIELD_STATUS]: status });
+    }
+
+    const results = [];
+
+    for (const delivery of deliveries) {
+      if (delivery.get(DELIVERY_FIELD_STATUS) === DELIVERY_DELIVERED) {
+        results.push(summarizePartnerDelivery(delivery));
+        continue;
+      }
+
+      await db.deliveries.update(delivery.id, {
+        [DELIVERY_FIELD_STATUS]: DELIVERY_PENDING,
+        [DELIVERY_FIELD_ATTEMPTS]: 0,
+        [DELIVERY_FIELD_NEXT_ATTEMPT_AT]: new Date().toISOString()
+      });
+
+      results.push((await processPartnerDelivery(delivery.id)) || summarizePartnerDelivery(delivery));
+    }
+
+    return res.json({ ok: true, replayed: results });
+  } catch (err) {
+    console.error('Error in /admin/partner-deliveries/replay:', err);
+    return sendError(res, 500, 'internal_error', 'Internal error');
+  }
+});
+
+/* ---------------- POST /seller-offer/place-from-portal ---------------- */
+
+app.post('/seller-offer/place-from-portal', requireSignature('portal'), validateBody(requestSchemas.placeFromPortal), async (req, res) => {
+  try {
+    const {
+      orderRecordId,
+      sellerRecordId,
+      offerAmount,
+      vatType,
+      currency,
+      sourceType
+    } = req.body;
+    
+    const cleanSourceType = normalizeSourceType(sourceType);
+    const normalizedVatType = normalizeVatType(vatType);
+    const offerPrice = offerAmount;
+
+    const sellerRecord = await db.sellers.find(sellerRecordId).catch(() => null);
+
+    if (!sellerRecord) {
+      await recordOfferEvent({
+        type: OFFER_EVENT_REJECTED,
+        origin: { channel: OFFER_CHANNEL_PORTAL },
+        sourceType: cleanSourceType,
+        recordId: orderRecordId,
+        sellerRecordId,
+        amount: offerPrice,
+        currency,
+        vatType: normalizedVatType,
+        reason: 'unknown_seller',
+        message: 'Seller not found.'
+      });
+
+      return sendError(res, 404, 'not_found', 'Seller not found.');
+    }
+
+    const result = await placeSellerOffer({
+      sourceType: cleanSourceType,
+      recordId: orderRecordId,
+      sellerRecord,
+      offerPrice,
+      vatType: normalizedVatType,
+      currency,
+      origin: { channel: OFFER_CHANNEL_PORTAL }
+    });
+
+    if (!result.ok) {
+      if (result.code === 'vat_not_allowed') {
+        return sendError(res, result.status, result.code, result.error, `Allowed VAT type: ${result.allowedVatTypes}.`);
+      }
+
+      if (result.code === 'too_high') {
+        return sendError(
+          res,
+          result.status,
+          result.code,
+          result.error,
+          (result.isFirstMemberWtbOffer
+            ? ''
+            : `Offers must undercut the current lowest offer by at least €${result.undercutStep.toFixed(2)}.\n`) +
+            `Max allowed offer: ${formatEurForCurrency(result.maxForSeller, result.currency)} (${normalizedVatType}).`
+        );
+      }
+
+      if (result.code === 'rate_limited') {
+        res.set('Retry-After', String(result.retryAfterSeconds));
+        return sendError(res, result.status, result.code, result.error, { retryAfterSeconds: result.retryAfterSeconds });
+      }
+
+      return sendError(res, result.status, result.code, result.error);
+    }
+    
+    return res.json({
+      ok: true,
+      action: result.action,
+      held: result.held,
+      holdReason: result.holdReason || null,
+      offerRecordId: result.savedOffer.id,
+      offerAmount: offerPrice,
+      currency: result.currency,
+      fxRate: result.fxRate,
+      offerAmountEur: result.offerAmountEur,
+      vatType: normalizedVatType,
+      normalizedOffer: result.normalizedOffer,
+      sourceType: cleanSourceType
+    });
+  } catch (err) {
+    console.error('Portal offer submit failed:', err);
+
+    return sendError(res, 500, 'internal_error', 'Internal error');
+  }
+});
+
+/* ---------------- POST /seller-offer/disable ---------------- */
+
+app.post('/seller-offer/disable', requireSignature('airtable', 'portal'), validateBody(requestSchemas.disableOffers), async (req, res) => {
+  const {
+    recordId,
+    sourceType
+  } = req.body;
+
+  await disableSellerOfferMessages(recordId, sourceType);
+
+  return res.json({ ok: true });
+});
+
+/* ---------------- POST /seller-offer/withdraw ---------------- */
+
+app.post('/seller-offer/withdraw', requireSignature('portal'), validateBody(requestSchemas.withdrawOffer), async (req, res) => {
+  try {
+    const { offerRecordId, sellerRecordId } = req.body;
+
+    const result = await withdrawSellerOffer({ offerRecordId, sellerRecordId, origin: { channel: OFFER_CHANNEL_PORTAL } });
+
+    if (!result.ok) {
+      return sendError(res, result.status, result.code, result.error);
+    }
+
+    return res.json({
+      ok: true,
+      offerRecordId: result.offerRecordId,
+      sourceType: result.sourceType,
+      recordId: result.recordId,
+      currentLowest: result.lowest ? result.lowest.raw : null
+    });
+  } catch (err) {
+    console.error('Portal offer withdraw failed:', err);
+
+    return sendError(res, 500, 'internal_error', 'Internal error');
+  }
+});
+
+/* ---------------- Deal store ---------------- */
+/* Every deal channel has a Deals record holding what was agreed (product, seller,
+   payout). Deal buttons carry only the deal record ID; Process Deal and Request
+   Label load everything from the record, never from the embed. */
+
+const DEAL_STATUS_OPEN = 'open';
+const DEAL_STATUS_PROCESSED = 'processed';
+const DEAL_STATUS_CANCELLED = 'cancelled';
+
+function toDeal(rec) {
+  const adjusted = parseNumeric(rec.get(DEAL_FIELD_ADJUSTED_PAYOUT));
+
+  return {
+    id: rec.id,
+    sourceType: normalizeSourceType(rec.get(DEAL_FIELD_SOURCE_TYPE)),
+    sourceRecordId: rec.get(DEAL_FIELD_SOURCE_RECORD_ID) || null,
+    orderId: rec.get(DEAL_FIELD_ORDER_ID) || null,
+    sellerOfferRecordId: rec.get(DEAL_FIELD_SELLER_OFFER_ID) || null,
+    sellerCode: rec.get(DEAL_FIELD_SELLER_CODE) || null,
+    discordUserId: rec.get(DEAL_FIELD_SELLER_DISCORD_ID) || null,
+    productName: rec.get(DEAL_FIELD_PRODUCT_NAME) || null,
+    sku: rec.get(DEAL_FIELD_SKU) || null,
+    size: rec.get(DEAL_FIELD_SIZE) || null,
+    brand: rec.get(DEAL_FIELD_BRAND) || null,
+    imageUrl: rec.get(DEAL_FIELD_IMAGE_URL) || null,
+    // An adjusted payout (always EUR) replaces the agreed one
+    payout: adjusted ?? parseNumeric(rec.get(DEAL_FIELD_PAYOUT)),
+    payoutCurrency: adjusted !== null ? BASE_CURRENCY : normalizeCurrency(rec.get(DEAL_FIELD_PAYOUT_CURRENCY)) || BASE_CURRENCY,
+    fxRate: adjusted !== null ? 1 : parseNumeric(rec.get(DEAL_FIELD_FX_RATE)),
+    vatType: rec.get(DEAL_FIELD_VAT_TYPE) || null,
+    status: rec.get(DEAL_FIELD_STATUS) || DEAL_STATUS_OPEN,
+    channelId: rec.get(DEAL_FIELD_CHANNEL_ID) || null,
+    labelRequestedAt: rec.get(DEAL_FIELD_LABEL_REQUESTED_AT) || null
+  };
+}
+
+async function createDeal({
+  sourceType,
+  sourceRecordId = null,
+  orderId = null,
+  sellerOfferRecordId = null,
+  sellerCode,
+  discordUserId,
+  productName,
+  sku,
+  size,
+  brand,
+  imageUrl,
+  payout,
+  payoutCurrency = BASE_CURRENCY,
+  fxRate = null,
+  vatType
+}) {
+  return db.deals.create({
+    [DEAL_FIELD_SOURCE_TYPE]: normalizeSourceType(sourceType),
+    [DEAL_FIELD_SOURCE_RECORD_ID]: sourceRecordId,
+    [DEAL_FIELD_ORDER_ID]: orderId,
+    [DEAL_FIELD_SELLER_OFFER_ID]: sellerOfferRecordId,
+    [DEAL_FIELD_SELLER_CODE]: sellerCode,
+    [DEAL_FIELD_SELLER_DISCORD_ID]: discordUserId,
+    [DEAL_FIELD_PRODUCT_NAME]: productName,
+    [DEAL_FIELD_SKU]: sku,
+    [DEAL_FIELD_SIZE]: size,
+    [DEAL_FIELD_BRAND]: brand || null,
+    [DEAL_FIELD_IMAGE_URL]: imageUrl || null,
+    [DEAL_FIELD_PAYOUT]: Number.isFinite(payout) ? payout : null,
+    [DEAL_FIELD_PAYOUT_CURRENCY]: normalizeCurrency(payoutCurrency) || BASE_CURRENCY,
+    [DEAL_FIELD_FX_RATE]: Number.isFinite(fxRate) ? fxRate : null,
+    [DEAL_FIELD_VAT_TYPE]: vatType || null,
+    [DEAL_FIELD_STATUS]: DEAL_STATUS_OPEN,
+    [DEAL_FIELD_CREATED_AT]: new Date().toISOString()
+  });
+}
+
+async function findDealByChannel(channelId) {
+  if (!channelId) return null;
+  return db.deals.findFirst({ [DEAL_FIELD_CHANNEL_ID]: channelId }).catch(() => null);
+}
+
+// Deal buttons carry the deal record ID. Buttons posted before the deal store
+// (process_payout:, process_member_wtb:, request_label_wtb:) are resolved by channel,
+// and the Deals row is created from the button on the first click.
+async function resolveDealButton(interaction) {
+  const [prefix, dealId] = interaction.customId.split(':');
+  if (prefix === 'process_deal' || prefix === 'request_label') return db.deals.find(dealId).catch(() => null);
+
+  return withKeyedLock(`legacy-deal:${interaction.channelId}`, async () =>
+    (await findDealByChannel(interaction.channelId)) || createLegacyDeal(interaction)
+  );
+}
+
+/**
+ * Build the Deals row for a channel opened before the deal store, from what the
+ * old button carried (custom ID + the "Offer Accepted" embed) and its source record.
+ * This is a one-time migration on the first click: the embed was the only place old
+ * payout channels kept the agreed payout, so it is read once and the deal is flagged
+ * in Staff Check. From then on everything reads the Deals row.
+ * Returns the new deal record, or null when the source record cannot be found.
+ * Throws when a Member WTB seller has no verified Discord link.
+ */
+async function createLegacyDeal(interaction) {
+  const [prefix, ...parts] = interaction.customId.split(':');
+  const message = interaction.message;
+  const embed = message?.embeds?.[0];
+
+  const lines = String(embed?.description || '').split('\n');
+  const get = (label) => {
+    const line = lines.find((l) => l.startsWith(label));
+    return line ? line.slice(label.length).trim() || null : null;
+  };
+
+  let record = null;
+  let processed = false;
+  let staffCheck = null;
+
+  if (prefix === 'process_payout') {
+    const [orderId, sellerCode, discordUserId] = parts;
+    const order = await db.orders.findFirst({ [ORDER_FIELD_ORDER_ID]: orderId }).catch(() => null);
+    if (!order) return null;
+
+    record = await createDeal({
+      sourceType: 'order',
+      sourceRecordId: order.id,
+      orderId,
+      sellerCode,
+      discordUserId,
+      productName: get('**Product:**') || order.get(ORDER_FIELD_PRODUCT_NAME),
+      sku: get('**SKU:**') || order.get(ORDER_FIELD_SKU),
+      size: get('**Size:**') || order.get(ORDER_FIELD_SIZE),
+      brand: get('**Brand:**') || order.get(ORDER_FIELD_BRAND),
+      imageUrl: embed?.image?.url || null,
+      payout: parseNumeric(get('**Payout:**')),
+      vatType: get('**VAT Type:**')
+    });
+    staffCheck = 'Payout, VAT type and product were read from the old channel message. Check them against the order.';
+  } else if (prefix === 'process_member_wtb') {
+    const [memberWtbRecordId, sellerOfferRecordId] = parts;
+    const memberWtb = await db.memberWtbs.find(memberWtbRecordId).catch(() => null);
+    const offer = await db.offers.find(sellerOfferRecordId).catch(() => null);
+    if (!memberWtb || !offer) return null;
+
+    const [sellerRecordId] = linkedRecordIds(offer.get(OFFER_FIELD_SELLER));
+    const seller = sellerRecordId ? await db.sellers.find(sellerRecordId).catch(() => null) : null;
+    const discordUserId = getVerifiedDiscordId(seller);
+
+    if (!discordUserId) {
+      throw new Error('The seller on this deal has not linked their Discord account with /link-seller. Please contact staff.');
+    }
+
+    record = await createDeal({
+      sourceType: 'member_wtb',
+      sourceRecordId: memberWtb.id,
+      sellerOfferRecordId: offer.id,
+      sellerCode: seller?.get(SELLER_FIELD_SELLER_ID) || sellerRecordId || null,
+      discordUserId,
+      productName: memberWtb.get(ORDER_FIELD_PRODUCT_NAME),
+      sku: memberWtb.get(ORDER_FIELD_SKU),
+      size: memberWtb.get(ORDER_FIELD_SIZE),
+      brand: memberWtb.get(ORDER_FIELD_BRAND),
+      imageUrl: embed?.image?.url || null,
+      payout: parseNumeric(offer.get(OFFER_FIELD_AMOUNT)),
+      payoutCurrency: offer.get(OFFER_FIELD_CURRENCY) || BASE_CURRENCY,
+      fxRate: parseNumeric(offer.get(OFFER_FIELD_FX_RATE)),
+      vatType: normalizeVatType(offer.get(OFFER_FIELD_VAT_TYPE))
+    });
+  } else if (prefix === 'request_label_wtb') {
+    // Only posted after Process Deal, on the "Ready to Ship" message that pings the seller
+    const [orderId] = parts;
+    const order = await db.orders.findFirst({ [ORDER_FIELD_ORDER_ID]: orderId }).catch(() => null);
+    if (!order) return null;
+
+    // The ping names the seller; only a verified link gives us their Seller ID
+    const discordUserId = String(message?.content || '').match(/<@!?(\d+)>/)?.[1] || null;
+    const seller = discordUserId ? await findLinkedSeller(discordUserId).catch(() => null) : null;
+
+    record = await createDeal({
+      sourceType: 'order',
+      sourceRecordId: order.id,
+      orderId,
+      sellerCode: seller?.get(SELLER_FIELD_SELLER_ID) || null,
+      discordUserId,
+      productName: order.get(ORDER_FIELD_PRODUCT_NAME),
+      sku: order.get(ORDER_FIELD_SKU),
+      size: order.get(ORDER_FIELD_SIZE),
+      brand: order.get(ORDER_FIELD_BRAND),
+      imageUrl: null,
+      payout: null,
+      vatType: null
+    });
+    processed = true;
+    staffCheck = `Created from an old Request Label button: ${seller ? 'the payout is' : 'the payout and seller are'} unknown. Fill them in on this record.`;
+  } else {
+    return null;
+  }
+
+  const updated = await db.deals.update(record.id, {
+    [DEAL_FIELD_CHANNEL_ID]: interaction.channelId,
+    [DEAL_FIELD_MESSAGE_ID]: processed ? null : message?.id || null,
+    [DEAL_FIELD_STAFF_CHECK]: staffCheck,
+    ...(processed ? { [DEAL_FIELD_STATUS]: DEAL_STATUS_PROCESSED } : {})
+  });
+
+  console.log(`🗂️ Created deal ${record.id} for legacy ${prefix} button in channel ${interaction.channelId}`);
+  if (staffCheck) console.warn(`⚠️ Deal ${record.id} needs a staff check: ${staffCheck}`);
+  return updated;
+}
+
+/**
+ * Process Deal: hand the stored deal to Make (orders) or the portal (Member WTBs)
+ * and mark it processed. Returns { ok, deal, data } or { ok: false, error }.
+ */
+async function processDeal(dealId, { channelId, messageId }) {
+  return withKeyedLock(`deal:${dealId}`, async () => {
+    const record = await db.deals.find(dealId).catch(() => null);
+    if (!record) return { ok: false, error: 'Deal not found.' };
+
+    const deal = toDeal(record);
+    if (deal.status === DEAL_STATUS_CANCELLED) return { ok: false, error: 'This deal was cancelled.' };
+    if (deal.status === DEAL_STATUS_PROCESSED) return { ok: false, error: 'This deal was already processed.' };
+
+    // Deals created from legacy buttons may lack what the payout handoff needs
+    if (deal.sourceType === 'order' && (!Number.isFinite(deal.payout) || !deal.sellerCode)) {
+      return { ok: false, error: 'This deal is missing its payout or seller. Staff need to fill them in on the deal record first.' };
+    }
+
+    let data = {};
+    const sellerStanding = getSellerStanding(deal.sellerCode ? await resolveSellerRef(deal.sellerCode) : null);
+
+    if (deal.sourceType === 'member_wtb') {
+      if (!KC_PORTAL_BASE_URL || !KC_PORTAL_SECRET) {
+        throw new Error('KC_PORTAL_BASE_URL or KC_PORTAL_SECRET is missing');
+      }
+
+      const response = await fetch(`${KC_PORTAL_BASE_URL}/api/member-wtb/process-seller-offer`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-kc-secret': KC_PORTAL_SECRET
+        },
+        body: JSON.stringify({
+          deal_id: deal.id,
+          member_wtb_record_id: deal.sourceRecordId,
+          seller_offer_record_id: deal.sellerOfferRecordId,
+          seller_standing: sellerStanding,
+          discord_channel_id: channelId,
+          discord_message_id: messageId
+        })
+      });
+
+      data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw new Error(data.details || data.error || 'Failed to process Member WTB deal');
+      }
+    } else {
+      if (!PROCESS_DEAL_WEBHOOK_URL) {
+        throw new Error('PROCESS_DEAL_WEBHOOK_URL is missing');
+      }
+
+      const payoutEur = Number.isFinite(deal.payout) && Number.isFinite(deal.fxRate) ? deal.payout * deal.fxRate : deal.payout;
+
+      // The deal only counts as processed once the payout automation accepted it, so a failure can be retried
+      const response = await fetch(PROCESS_DEAL_WEBHOOK_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          dealId: deal.id,
+          orderId: deal.orderId,
+          productName: deal.productName,
+          sku: deal.sku,
+          size: deal.size,
+          brand: deal.brand,
+          payout: payoutEur,
+          sellerCode: deal.sellerCode,
+          discordUserId: deal.discordUserId,
+          vatType: deal.vatType,
+          imageUrl: deal.imageUrl
+        })
+      });
+
+      data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw new Error(data.details || data.error || `Process deal webhook failed: HTTP ${response.status}`);
+      }
+    }
+
+    await db.deals.update(deal.id, {
+      [DEAL_FIELD_STATUS]: DEAL_STATUS_PROCESSED,
+      [DEAL_FIELD_PROCESSED_AT]: new Date().toISOString()
+    });
+
+    return { ok: true, deal, data, sellerStanding };
+  });
+}
+
+/* ---------------- POST /payout-channel ---------------- */
+
+app.post('/payout-channel', requireSignature('airtable', 'portal'), validateBody(requestSchemas.payoutChannel), async (req, res) => {
+  try {
+    const { orderId, productName, sku, size, brand, payout, sellerCode, imageUrl, discordUserId, vatType } =
+      req.body;
+
+    const category = await client.channels.fetch(PAYOUT_CATEGORY_ID).catch(() => null);
+    if (!category || !category.guild) return sendError(res, 500, 'config_error', 'Invalid payout category');
+
+    const guild = category.guild;
+
+    const orderRecord = await db.orders.findFirst({ [ORDER_FIELD_ORDER_ID]: orderId }).catch(() => null);
+    if (!orderRecord) {
+      console.warn(`⚠️ /payout-channel: order ${orderId} not found, the deal won't be archived automatically`);
+    }
+
+    const payoutNum = Number(payout);
+
+    const deal = await createDeal({
+      sourceType: 'order',
+      sourceRecordId: orderRecord?.id || null,
+      orderId,
+      sellerCode,
+      discordUserId,
+      productName,
+      sku,
+      size,
+      brand,
+      imageUrl,
+      payout: payoutNum,
+      fxRate: 1,
+      vatType
+    });
+
+    await guild.members.fetch(discordUserId).catch(() => null);
+
+    const channel = await guild.channels.create({
+      name: `wtb-${String(orderId || '').toLowerCase()}`,
+      parent: category.id,
+      permissionOverwrites: [
+        { id: guild.roles.everyone, deny: [PermissionsBitField.Flags.ViewChannel] },
+        {
+          id: discordUserId,
+          allow: [
+            PermissionsBitField.Flags.ViewChannel,
+            PermissionsBitField.Flags.SendMessages,
+            PermissionsBitField.Flags.ReadMessageHistory
+          ]
+        },
+        ...staffPermissionOverwrites()
+      ]
+    });
+
+    const embed = new EmbedBuilder()
+      .setTitle('✅ Offer Accepted')
+      .setDescription(
+        `**Order:** ${orderId}\n` +
+          `**Product:** ${productName}\n` +
+          `**SKU:** ${sku}\n` +
+          `**Size:** ${size}\n` +
+          `**Brand:** ${brand}\n` +
+          `**Payout:** €${Number.isFinite(payoutNum) ? payoutNum.toFixed(2) : '0.00'}\n` +
+          `**Seller:** ${sellerCode}\n` +
+          (vatType ? `**VAT Type:** ${vatType}\n` : '')
+      )
+      .setColor(0xf1c40f);
+
+    if (imageUrl) embed.setImage(imageUrl);
+
+    const row = new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(`process_deal:${deal.id}`).setLabel('Process Deal').setStyle(ButtonStyle.Primary)
+    );
+
+    const msg = await channel.send({ content: `<@${discordUserId}>`, embeds: [embed], components: [row] });
+    await channel.send(buildStaffControls()).catch((err) => console.error('Staff controls message failed:', err));
+
+    await db.deals.update(deal.id, {
+      [DEAL_FIELD_CHANNEL_ID]: channel.id,
+      [DEAL_FIELD_MESSAGE_ID]: msg.id
+    });
+
+    return res.json({ ok: true, channelId: channel.id, dealId: deal.id });
+  } catch (err) {
+    console.error('Error in /payout-channel:', err);
+    return sendError(res, 500, 'internal_error', 'Internal error');
+  }
+});
+
+/* ---------------- POST member-wtb/deal-channel ---------------- */
+
+app.post('/member-wtb/deal-channel', requireSignature('portal'), validateBody(requestSchemas.memberWtbDealChannel), async (req, res) => {
+  try {
+    const memberWtbRecordId = req.body.member_wtb_record_id;
+    const sellerOfferRecordId = req.body.seller_offer_record_id;
+
+    const memberWtbRecord = await db.memberWtbs.find(memberWtbRecordId).catch(() => null);
+    if (!memberWtbRecord) return sendError(res, 404, 'not_found', 'Member WTB not found');
+
+    const sellerOfferRecord = await db.offers.find(sellerOfferRecordId).catch(() => null);
+    if (!sellerOfferRecord) return sendError(res, 404, 'not_found', 'Seller Offer not found');
+
+    if (String(memberWtbRecord.get(ORDER_FIELD_FULFILLMENT_STATUS) || '').trim() === 'Allocated') {
+      return sendError(res, 409, 'already_allocated', 'Member WTB already allocated');
+    }
+
+    const linkedWtbs = sellerOfferRecord.get(SELLER_OFFERS_FIELD_LINKED_MEMBER_WTBS) || [];
+    const isLinked = linkedWtbs.some((item) =>
+      typeof item === 'string' ? item === memberWtbRecordId : item?.id === memberWtbRecordId
+    );
+
+    if (!isLinked) {
+      return sendError(res, 400, 'offer_not_linked', 'Seller Offer is not linked to this Member WTB');
+    }
+
+    const sellerRecordId = Array.isArray(sellerOfferRecord.get(OFFER_FIELD_SELLER))
+      ? sellerOfferRecord.get(OFFER_FIELD_SELLER)[0]
+      : '';
+
+    if (!sellerRecordId) {
+      return sendError(res, 400, 'seller_missing', 'Seller Offer missing Seller ID');
+    }
+
+    const sellerRecord = await db.sellers.find(sellerRecordId).catch(() => null);
+    if (!sellerRecord) return sendError(res, 404, 'seller_not_found', 'Seller linked to this Seller Offer not found');
+
+    const sellerCode = sellerRecord.get(SELLER_FIELD_SELLER_ID) || sellerRecordId;
+    // Only a Discord account the seller linked themselves gets into the deal channel
+    const discordUserId = getVerifiedDiscordId(sellerRecord);
+
+    if (!discordUserId) {
+      return sendError(res, 400, 'discord_not_verified', 'Seller has not linked a verified Discord account (/link-seller)');
+    }
+
+    const offerPrice = Number(sellerOfferRecord.get(OFFER_FIELD_AMOUNT) || 0);
+    const currency = normalizeCurrency(sellerOfferRecord.get(OFFER_FIELD_CURRENCY)) || BASE_CURRENCY;
+    const fxRate = parseNumeric(sellerOfferRecord.get(OFFER_FIELD_FX_RATE));
+    const vatType = sellerOfferRecord.get(OFFER_FIELD_VAT_TYPE) || '';
+
+    const picture = memberWtbRecord.get(MEMBER_WTB_FIELD_PICTURE);
+    const imageUrl =
+      Array.isArray(picture) && picture[0]?.url
+        ? picture[0].url
+        : null;
+
+    const result = await createMemberWtbDealChannel({
+      memberWtbRecord,
+      sellerRecord,
+      sellerOfferRecordId,
+      sellerCode,
+      discordUserId,
+      offerPrice,
+      currency,
+      fxRate,
+      vatType,
+      imageUrl
+    });
+
+    await disableSellerOfferMessages(memberWtbRecordId, 'member_wtb');
+
+    await db.memberWtbs.update(memberWtbRecordId, {
+      [ORDER_FIELD_FULFILLMENT_STATUS]: 'Confirmed'
+    });
+
+    return res.json({
+      ok: true,
+      member_wtb_record_id: memberWtbRecordId,
+      seller_offer_record_id: sellerOfferRecordId,
+      deal_id: result.dealId,
+      channel_id: result.channelId,
+      message_id: result.messageId
+    });
+  } catch (err) {
+    console.error('Failed to create Member WTB deal channel:', err);
+
+    return sendError(res, 500, 'internal_error', 'Internal error');
+  }
+});
+
+/* ---------------- POST /wms/label-status ---------------- */
+/* WMS callback for a label request: status pending | ready | failed */
+
+app.post('/wms/label-status', requireSignature('wms'), validateBody(requestSchemas.labelStatus), async (req, res) => {
+  try {
+    const { request_id: requestId, deal_id: dealId } = req.body;
+
+    const deal = dealId
+      ? await db.deals.find(dealId).catch(() => null)
+      : await db.deals.findFirst({ [DEAL_FIELD_LABEL_REQUEST_ID]: requestId }).catch(() => null);
+
+    if (!deal) return sendError(res, 404, 'not_found', 'No deal found for this label request');
+
+    const result = await applyLabelStatus(deal.id, parseWmsLabelStatus(req.body));
+
+    return res.json({ ok: true, dealId: deal.id, ...result });
+  } catch (err) {
+    console.error('Error in /wms/label-status:', err);
+    return sendError(res, 500, 'internal_error', 'Internal error');
+  }
+});
+
+/* ---------------- POST /wms/shipment-event ---------------- */
+/* Carrier / WMS tracking event for the deal on an Order or Member WTB */
+
+app.post('/wms/shipment-event', requireSignature('wms'), validateBody(requestSchemas.shipmentEvent), async (req, res) => {
+  try {
+    const { record_id: recordId, source_type: sourceType } = req.body;
+
+    const deal = await findDealBySource(sourceType, recordId);
+    if (!deal) return sendError(res, 404, 'not_found', `No deal found for ${sourceType} ${recordId}`);
+
+    const result = await recordShipmentEvent(deal.id, {
+      id: req.body.event_id,
+      type: req.body.event,
+      occurredAt: req.body.occurred_at,
+      carrier: req.body.carrier,
+      trackingNumber: req.body.tracking_number,
+      location: req.body.location,
+      note: req.body.note
+    });
+
+    return res.json({ ok: true, dealId: deal.id, ...result });
+  } catch (err) {
+    console.error('Error in /wms/shipment-event:', err);
+    return sendError(res, 500, 'internal_error', 'Internal error');
+  }
+});
+
+/* ---------------- POST /seller-link/issue-code ---------------- */
+/* Portal asks for a one-time code the seller redeems with /link-seller */
+
+app.post('/seller-link/issue-code', requireSignature('portal'), validateBody(requestSchemas.issueLinkCode), async (req, res) => {
+  try {
+    const sellerRecord = await db.sellers.find(req.body.seller_record_id).catch(() => null);
+
+    if (!sellerRecord) {
+      return sendError(res, 404, 'not_found', 'Seller not found.');
+    }
+
+    const { code, expiresAt } = await issueSellerLinkCode(sellerRecord.id);
+
+    return res.json({
+      ok: true,
+      seller_record_id: sellerRecord.id,
+      code,
+      expires_at: expiresAt
+    });
+  } catch (err) {
+    console.error('Failed to issue seller link code:', err);
+
+    return sendError(res, 500, 'internal_error', 'Internal error');
+  }
+});
+
+/* ---------------- POST /sync-lowest ---------------- */
+
+app.post('/sync-lowest', requireSignature('airtable', 'portal'), validateBody(requestSchemas.syncLowest), async (req, res) => {
+  try {
+    const { orderId } = req.body;
+
+    await updateLowestOfferDisplays(orderId);
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('Error in /sync-lowest:', err);
+    return sendError(res, 500, 'internal_error', 'Internal error');
+  }
+});
+
+/* ---------------- Discord Interaction Logic ---------------- */
+
+// Discord allows 5 action rows per message and every listed offer gets its own row
+const MY_OFFERS_LIMIT = 5;
+
+const OFFER_STANDING_LABELS = {
+  winning: '🟢 Winning',
+  outbid: '🔴 Outbid',
+  review: '🟡 Under review',
+  closed: '⚪ Closed'
+};
+
+async function buildMyOffersReply(sellerRecord) {
+  const sellerCode = sellerRecord.get(SELLER_FIELD_SELLER_ID) || sellerRecord.id;
+  const entries = (await findSellerOffers(sellerRecord.id)).filter(
+    ({ offer }) => ![OFFER_STATUS_WITHDRAWN, OFFER_STATUS_REJECTED].includes(getOfferStatus(offer))
+  );
+
+  if (!entries.length) {
+    return { content: `You have no offers yet, ${sellerCode}.` };
+  }
+
+  entries.sort((a, b) =>
+    String(b.offer.get(OFFER_FIELD_DATE) || '').localeCompare(String(a.offer.get(OFFER_FIELD_DATE) || ''))
+  );
+
+  const shown = entries.slice(0, MY_OFFERS_LIMIT);
+
+  const embed = new EmbedBuilder()
+    .setTitle(`📋 My Offers — ${sellerCode}`)
+    .setColor(0xf1c40f);
+
+  const components = [];
+
+  for (const [index, { offer, sourceType, recordId }] of shown.entries()) {
+    const sourceRecord = await getSourceRepo(sourceType).find(recordId).catch(() => null);
+    const lowest = await getCurrentLowest(sourceType, recordId);
+
+    const vatRaw = offer.get(OFFER_FIELD_VAT_TYPE);
+    const vatType = normalizeVatType(typeof vatRaw === 'string' ? vatRaw : vatRaw?.name);
+    const offerPrice = parseNumeric(offer.get(OFFER_FIELD_AMOUNT));
+    const offerCurrency = offer.get(OFFER_FIELD_CURRENCY);
+    const offerRate = parseNumeric(offer.get(OFFER_FIELD_FX_RATE));
+
+    let standing = 'outbid';
+    if (!isSourceOpenForOffers(sourceType, sourceRecord)) standing = 'closed';
+    else if (getOfferStatus(offer) === OFFER_STATUS_PENDING_REVIEW) standing = 'review';
+    else if (lowest?.offerId === offer.id) standing = 'winning';
+
+    const label = `#${index + 1}`;
+
+    embed.addFields({
+      name: `${label} ${sourceRecord?.get(ORDER_FIELD_PRODUCT_NAME) || '-'}`,
+      value:
+        `SKU: ${sourceRecord?.get(ORDER_FIELD_SKU) || '-'} | Size: ${sourceRecord?.get(ORDER_FIELD_SIZE) || '-'}\n` +
+        `Your offer: ${Number.isFinite(offerPrice) ? formatOfferAmount(offerPrice, offerCurrency, offerRate) : '-'} (${vatType || '-'})\n` +
+        `Current lowest: ${formatLowestForDisplay(lowest, getSellerCountry(sellerRecord))}\n` +
+        `Status: **${OFFER_STANDING_LABELS[standing]}**`,
+      inline: false
+    });
+
+    const buttons = [];
+
+    const messageUrl = sourceRecord?.get(ORDER_FIELD_OFFER_MESSAGE_URL);
+    if (messageUrl) {
+      buttons.push(
+        new ButtonBuilder().setLabel(`${label} WTB`).setStyle(ButtonStyle.Link).setURL(messageUrl)
+      );
+    }
+
+    if (standing !== 'closed') {
+      buttons.push(
+        new ButtonBuilder()
+          .setCustomId(`seller_offer:${sourceType}:${recordId}`)
+          .setLabel(`${label} Update Offer`)
+          .setStyle(ButtonStyle.Primary),
+        new ButtonBuilder()
+          .setCustomId(`withdraw_offer:${offer.id}`)
+          .setLabel(`${label} Withdraw`)
+          .setStyle(ButtonStyle.Danger)
+      );
+    }
+
+    if (buttons.length) components.push(new ActionRowBuilder().addComponents(...buttons));
+  }
+
+  if (entries.length > shown.length) {
+    embed.setFooter({ text: `Showing your ${shown.length} most recent of ${entries.length} offers` });
+  }
+
+  return { embeds: [embed], components };
+}
+
+async function createMemberWtbDealChannel({
+  memberWtbRecord,
+  sellerRecord,
+  sellerOfferRecordId,
+  sellerCode,
+  discordUserId,
+  offerPrice,
+  currency = BASE_CURRENCY,
+  fxRate = null,
+  vatType,
+  imageUrl
+}) {
+  if (!MEMBER_WTB_CATEGORY_ID) {
+    throw new Error('MEMBER_WTB_CATEGORY_ID is missing');
+  }
+
+  const category = await client.channels.fetch(MEMBER_WTB_CATEGORY_ID).catch(() => null);
+
+  if (!category || !category.guild) {
+    throw new Error('Invalid MEMBER_WTB_CATEGORY_ID');
+  }
+
+  const guild = category.guild;
+
+  const payoutNum = Number(offerPrice);
+  const payoutCurrency = normalizeCurrency(currency) || BASE_CURRENCY;
+  const rate = Number.isFinite(fxRate) ? fxRate : fx.toBase(1, payoutCurrency)?.rate ?? null;
+  const payoutEur = Number.isFinite(rate) ? payoutNum * rate : null;
+
+  const deal = await createDeal({
+    sourceType: 'member_wtb',
+    sourceRecordId: memberWtbRecord.id,
+    sellerOfferRecordId,
+    sellerCode,
+    discordUserId,
+    productName: memberWtbRecord.get(ORDER_FIELD_PRODUCT_NAME),
+    sku: memberWtbRecord.get(ORDER_FIELD_SKU),
+    size: memberWtbRecord.get(ORDER_FIELD_SIZE),
+    brand: memberWtbRecord.get(ORDER_FIELD_BRAND),
+    imageUrl,
+    payout: payoutNum,
+    payoutCurrency,
+    fxRate: rate,
+    vatType
+  });
+
+  await guild.members.fetch(discordUserId).catch(() => null);
+
+  const memberWtbId =
+    memberWtbRecord.get(MEMBER_WTB_FIELD_MEMBER_WTB_ID) ||
+    memberWtbRecord.get(MEMBER_WTB_FIELD_WTB_ID) ||
+    memberWtbRecord.id;
+
+  const channelName = sanitizeChannelName(`${memberWtbId}`);
+
+  const channel = await guild.channels.create({
+    name: channelName,
+    parent: category.id,
+    permissionOverwrites: [
+      {
+        id: guild.roles.everyone,
+        deny: [PermissionsBitField.Flags.ViewChannel]
+      },
+      {
+        id: discordUserId,
+        allow: [
+          PermissionsBitField.Flags.ViewChannel,
+          PermissionsBitField.Flags.SendMessages,
+          PermissionsBitField.Flags.ReadMessageHistory,
+          PermissionsBitField.Flags.AttachFiles,
+          PermissionsBitField.Flags.EmbedLinks
+        ]
+      },
+      ...staffPermissionOverwrites()
+    ]
+  });
+
+  const payoutLine = payoutCurrency === BASE_CURRENCY
+    ? `€${Number.isFinite(payoutNum) ? payoutNum.toFixed(2) : '0.00'}`
+    : `${formatMoney(payoutNum, payoutCurrency, { decimals: 2 })}` +
+      (Number.isFinite(payoutEur) ? ` (≈ ${formatMoney(payoutEur, BASE_CURRENCY, { decimals: 2 })})` : '');
+
+  const embed = new EmbedBuilder()
+    .setTitle('✅ Member WTB Deal Reserved')
+    .setDescription(
+      `**Member WTB:** ${memberWtbId}\n` +
+      `**Product:** ${memberWtbRecord.get(ORDER_FIELD_PRODUCT_NAME) || '-'}\n` +
+      `**SKU:** ${memberWtbRecord.get(ORDER_FIELD_SKU) || '-'}\n` +
+      `**Size:** ${memberWtbRecord.get(ORDER_FIELD_SIZE) || '-'}\n` +
+      `**Brand:** ${memberWtbRecord.get(ORDER_FIELD_BRAND) || '-'}\n` +
+      `**Payout:** ${payoutLine}\n` +
+      `**VAT Type:** ${vatType || '-'}\n` +
+      `**Seller:** ${sellerCode}`
+    )
+    .setColor(0xf1c40f);
+
+  if (imageUrl) embed.setImage(imageUrl);
+
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`process_deal:${deal.id}`)
+      .setLabel('Process Deal')
+      .setStyle(ButtonStyle.Primary)
+  );
+
+  const msg = await channel.send({
+    content: `<@${discordUserId}>`,
+    embeds: [embed],
+    components: [row]
+  });
+
+  await channel.send(buildStaffControls()).catch((err) => console.error('Staff controls message failed:', err));
+
+  await db.deals.update(deal.id, {
+    [DEAL_FIELD_CHANNEL_ID]: channel.id,
+    [DEAL_FIELD_MESSAGE_ID]: msg.id
+  });
+
+  await db.memberWtbs.update(memberWtbRecord.id, {
+    [MEMBER_WTB_FIELD_DEAL_CHANNEL_ID]: channel.id
+  });
+
+  return {
+    dealId: deal.id,
+    channelId: channel.id,
+    messageId: msg.id
+  };
+}
+
+/* ---------------- Deal channel lifecycle ---------------- */
+/* Payout and Member WTB deal channels are archived once the deal is finished
+   (label requested + Fulfilled, or staff /close-deal): a JSON and HTML transcript
+   is attached to the Deals record, the channel is made read-only, and it is deleted
+   DEAL_CHANNEL_GRACE_HOURS later. Button clicks in deal channels are logged on
+   the deal so the transcript shows who pressed what. */
+
+const DEAL_CHANNEL_LOCKED = 'locked';
+const DEAL_CHANNEL_DELETED = 'deleted';
+const DEAL_FINISHED_STATUS = 'Fulfilled';
+const TRANSCRIPT_MAX_MESSAGES = 1000;
+// Airtable takes attachments up to 5 MB after base64 (4/3 overhead)
+const TRANSCRIPT_MAX_BYTES = 3.5 * 1024 * 1024;
+
+let dealChannelSweepRunning = false;
+
+function isStaffMember(member) {
+  if (!member) return false;
+  if (staffRoleIds.some((id) => member.roles?.cache?.has(id))) return true;
+  return member.permissions?.has?.(PermissionsBitField.Flags.ManageChannels) === true;
+}
+
+function isDealChannel(channel) {
+  return !!channel?.parentId && [PAYOUT_CATEGORY_ID, MEMBER_WTB_CATEGORY_ID].includes(channel.parentId);
+}
+
+function readDealChannelEvents(record) {
+  try {
+    const parsed = JSON.parse(record?.get(DEAL_FIELD_CHANNEL_EVENTS) || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+async function recordDealChannelEvent(channelId, event) {
+  return withKeyedLock(`deal_events:${channelId}`, async () => {
+    const deal = await findDealByChannel(channelId);
+    if (!deal) return;
+
+    const events = [...readDealChannelEvents(deal), { at: new Date().toISOString(), ...event }];
+    await db.deals.update(deal.id, { [DEAL_FIELD_CHANNEL_EVENTS]: JSON.stringify(events) });
+  });
+}
+
+// Oldest first, capped at TRANSCRIPT_MAX_MESSAGES
+async function fetchChannelMessages(channel) {
+  const messages = [];
+  let before = null;
+
+  while (messages.length < TRANSCRIPT_MAX_MESSAGES) {
+    const page = await channel.messages.fetch({ limit: 100, ...(before ? { before } : {}) });
+    const batch = [...page.values()];
+    if (!batch.length) break;
+
+    messages.push(...batch);
+    before = batch[batch.length - 1].id;
+    if (batch.length < 100) break;
+  }
+
+  return messages.sort((a, b) => a.createdTimestamp - b.createdTimestamp);
+}
+
+function serializeTranscriptMessage(msg) {
+  return {
+    id: msg.id,
+    createdAt: new Date(msg.createdTimestamp).toISOString(),
+    author: { id: msg.author?.id || null, name: msg.author?.tag || msg.author?.username || null, bot: !!msg.author?.bot },
+    content: msg.content || '',
+    embeds: (msg.embeds || []).map((e) => e.toJSON?.() ?? e.data ?? e),
+    attachments: [...(msg.attachments?.values?.() || [])].map((a) => ({ name: a.name, url: a.url, size: a.size ?? null })),
+    buttons: (msg.components || []).flatMap((row) =>
+      (row.components || []).map((c) => ({ label: c.label ?? null, customId: c.customId ?? null, disabled: !!c.disabled }))
+    )
+  };
+}
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (ch) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+}
+
+function renderTranscriptHtml(transcript) {
+  const messages = transcript.messages.map((m) => {
+    const embeds = m.embeds
+      .map((e) => `<div class="embed"><b>${escapeHtml(e.title)}</b><pre>${escapeHtml(e.description)}</pre>${(e.fields || [])
+        .map((f) => `<div><b>${escapeHtml(f.name)}</b><pre>${escapeHtml(f.value)}</pre></div>`)
+        .join('')}</div>`)
+      .join('');
+    const attachments = m.attachments.map((a) => `<div>📎 <a href="${escapeHtml(a.url)}">${escapeHtml(a.name)}</a></div>`).join('');
+    const buttons = m.buttons.length
+      ? `<div class="buttons">${m.buttons.map((b) => `[${escapeHtml(b.label)}${b.disabled ? ' (disabled)' : ''}]`).join(' ')}</div>`
+      : '';
+
+    return `<div class="msg"><div class="meta">${escapeHtml(m.createdAt)} — ${escapeHtml(m.author.name || m.author.id)}</div>` +
+      `<pre>${escapeHtml(m.content)}</pre>${embeds}${attachments}${buttons}</div>`;
+  });
+
+  const events = transcript.events.map(
+    (e) => `<li>${escapeHtml(e.at)} — ${escapeHtml(e.userId)}: ${escapeHtml(e.type)} ${escapeHtml(e.label || e.command || '')}</li>`
+  );
+
+  return `<!doctype html><html><head><meta charset="utf-8"><title>${escapeHtml(transcript.channel.name)}</title>` +
+    '<style>body{font-family:sans-serif;max-width:900px;margin:auto}.msg{border-bottom:1px solid #ddd;padding:8px 0}' +
+    '.meta{color:#777;font-size:12px}.embed{border-left:4px solid #f1c40f;padding-left:8px}pre{white-space:pre-wrap;margin:4px 0}</style></head><body>' +
+    `<h1>#${escapeHtml(transcript.channel.name)}</h1><p>Deal ${escapeHtml(transcript.dealId)} — ` +
+    `${escapeHtml(transcript.sourceType)} ${escapeHtml(transcript.recordId)} — ` +
+    `closed ${escapeHtml(transcript.closedAt)} (${escapeHtml(transcript.reason)})</p>` +
+    (transcript.omittedMessages ? `<p><i>${transcript.omittedMessages} older message(s) left out to fit the size limit.</i></p>` : '') +
+    `${messages.join('')}<h2>Events</h2><ul>${events.join('')}</ul></body></html>`;
+}
+
+// Drops the oldest messages until both files fit under TRANSCRIPT_MAX_BYTES
+function buildTranscriptFiles(transcript) {
+  let messages = transcript.messages;
+
+  for (;;) {
+    const omitted = transcript.messages.length - messages.length;
+    const trimmed = omitted ? { ...transcript, messages, omittedMessages: omitted } : transcript;
+    const json = JSON.stringify(trimmed, null, 2);
+    const html = renderTranscriptHtml(trimmed);
+    const fits = Buffer.byteLength(json) <= TRANSCRIPT_MAX_BYTES && Buffer.byteLength(html) <= TRANSCRIPT_MAX_BYTES;
+    if (fits || !messages.length) return { json, html, omitted };
+
+    messages = messages.slice(Math.max(1, Math.ceil(messages.length / 10)));
+  }
+}
+
+/**
+ * Archive a finished deal: attach the transcript, make the channel read-only
+ * and schedule the delete. `deal` is the Deals record. Returns false if it was
+ * already archived.
+ */
+async function archiveDealChannel({ deal, reason, closedBy = null }) {
+  const channelId = deal.get(DEAL_FIELD_CHANNEL_ID);
+  if (!channelId) return false;
+
+  return withKeyedLock(`deal_channel:${channelId}`, async () => {
+    const fresh = await db.deals.find(deal.id).catch(() => null);
+    if (!fresh || fresh.get(DEAL_FIELD_CHANNEL_STATUS)) return false;
+
+    const { sourceType, sourceRecordId } = toDeal(fresh);
+
+    const channel = await client.channels.fetch(channelId).catch(() => null);
+    const deleteAt = new Date(Date.now() + Math.max(0, Number(DEAL_CHANNEL_GRACE_HOURS) || 0) * 60 * 60 * 1000);
+
+    if (channel?.isTextBased?.()) {
+      const closedAt = new Date().toISOString();
+      const transcript = {
+        channel: { id: channel.id, name: channel.name },
+        dealId: deal.id,
+        sourceType,
+        recordId: sourceRecordId,
+        closedAt,
+        closedBy,
+        reason,
+        messages: (await fetchChannelMessages(channel)).map(serializeTranscriptMessage),
+        events: readDealChannelEvents(fresh)
+      };
+
+      const baseName = `transcript-${channel.name}-${closedAt.slice(0, 10)}`;
+      const { json, html, omitted } = buildTranscriptFiles(transcript);
+      if (omitted) console.warn(`⚠️ Transcript for ${channel.id} too large, left out the ${omitted} oldest message(s)`);
+
+      // The channel is still locked and scheduled for delete if the upload fails
+      let transcriptSaved = true;
+      try {
+        await db.deals.attach(deal.id, DEAL_FIELD_TRANSCRIPT, { filename: `${baseName}.json`, contentType: 'application/json', content: json });
+        await db.deals.attach(deal.id, DEAL_FIELD_TRANSCRIPT, { filename: `${baseName}.html`, contentType: 'text/html', content: html });
+      } catch (err) {
+        transcriptSaved = false;
+        console.error(`❌ Could not save transcript for deal ${deal.id} (channel ${channel.id}):`, err.message);
+      }
+
+      for (const overwrite of channel.permissionOverwrites.cache.values()) {
+        if (overwrite.id === channel.guild?.roles?.everyone?.id) continue;
+        await channel.permissionOverwrites
+          .edit(overwrite.id, { SendMessages: false, AddReactions: false })
+          .catch((err) => console.warn(`⚠️ Could not lock ${channel.id} for ${overwrite.id}:`, err.message));
+      }
+
+      const embed = new EmbedBuilder()
+        .setTitle('🔒 Deal closed')
+        .setDescription(
+          `${reason}\n\nThis channel is now read-only and will be deleted <t:${Math.floor(deleteAt.getTime() / 1000)}:R>. ` +
+            (transcriptSaved ? 'A transcript has been saved.' : '⚠️ The transcript could not be saved.')
+        )
+        .setColor(0x95a5a6);
+
+      await channel.send({ embeds: [embed] }).catch(() => null);
+    } else {
+      console.warn(`⚠️ Deal channel ${channelId} not found, marking deal ${deal.id} as archived without transcript`);
+    }
+
+    await db.deals.update(deal.id, {
+      [DEAL_FIELD_CHANNEL_STATUS]: DEAL_CHANNEL_LOCKED,
+      [DEAL_FIELD_CHANNEL_DELETE_AT]: deleteAt.toISOString()
+    });
+
+    console.log(`🔒 Archived deal channel ${channelId} (deal ${deal.id}, ${sourceType} ${sourceRecordId})`);
+    return true;
+  });
+}
+
+async function deleteDealChannel(deal) {
+  const channelId = deal.get(DEAL_FIELD_CHANNEL_ID);
+
+  return withKeyedLock(`deal_channel:${channelId}`, async () => {
+    const channel = await client.channels.fetch(channelId).catch(() => null);
+    if (channel) await channel.delete('Deal finished; transcript saved');
+
+    await db.deals.update(deal.id, { [DEAL_FIELD_CHANNEL_STATUS]: DEAL_CHANNEL_DELETED });
+    console.log(`🗑️ Deleted deal channel ${channelId} (deal ${deal.id})`);
+  });
+}
+
+// One pass: archive finished deals, delete channels whose grace period is over
+async function processDealChannels() {
+  if (dealChannelSweepRunning) return { archived: [], deleted: [] };
+  dealChannelSweepRunning = true;
+
+  const archived = [];
+  const deleted = [];
+
+  try {
+    const labelled = await db.deals.list({
+      [DEAL_FIELD_CHANNEL_ID]: { notEmpty: true },
+      [DEAL_FIELD_LABEL_REQUESTED_AT]: { notEmpty: true },
+      [DEAL_FIELD_CHANNEL_STATUS]: false
+    });
+
+    for (const record of labelled) {
+      const { sourceType, sourceRecordId } = toDeal(record);
+
+      try {
+        const source = sourceRecordId ? await getSourceRepo(sourceType).find(sourceRecordId).catch(() => null) : null;
+        if (String(source?.get(ORDER_FIELD_FULFILLMENT_STATUS) || '').trim() !== DEAL_FINISHED_STATUS) continue;
+
+        if (await archiveDealChannel({ deal: record, reason: 'Label requested and deal fulfilled.' })) {
+          archived.push({ dealId: record.id, sourceType, recordId: sourceRecordId });
+        }
+      } catch (err) {
+        console.error(`Archiving deal channel for deal ${record.id} failed:`, err);
+      }
+    }
+
+    const locked = await db.deals.list({ [DEAL_FIELD_CHANNEL_STATUS]: DEAL_CHANNEL_LOCKED });
+    const now = Date.now();
+
+    for (const record of locked) {
+      const deleteAt = parseDateField(record.get(DEAL_FIELD_CHANNEL_DELETE_AT));
+      if (deleteAt && deleteAt.getTime() > now) continue;
+
+      const { sourceType, sourceRecordId } = toDeal(record);
+
+      try {
+        await deleteDealChannel(record);
+        deleted.push({ dealId: record.id, sourceType, recordId: sourceRecordId });
+      } catch (err) {
+        console.error(`Deleting deal channel for deal ${record.id} failed:`, err);
+      }
+    }
+  } catch (err) {
+    console.error('Deal channel sweep failed:', err);
+  } finally {
+    dealChannelSweepRunning = false;
+  }
+
+  return { archived, deleted };
+}
+
+function startDealChannelLifecycle() {
+  const intervalMs = Math.max(1, Number(DEAL_CHANNEL_CHECK_MINUTES) || 10) * 60 * 1000;
+
+  processDealChannels();
+  setInterval(processDealChannels, intervalMs);
+}
+
+/* ---------------- Shipping labels ---------------- */
+/* Request Label asks the WMS for a label and stores the request ID it returns.
+   The WMS reports back on POST /wms/label-status; requests that have heard
+   nothing after LABEL_POLL_AFTER_MINUTES are polled instead. A ready label is
+   posted into the deal channel (PDF, carrier, tracking) and copied onto the
+   Order / Member WTB; a failed one re-enables the Request Label button. */
+
+const LABEL_STATUS_REQUESTED = 'requested';
+const LABEL_STATUS_READY = 'ready';
+const LABEL_STATUS_FAILED = 'failed';
+
+let labelPollRunning = false;
+
+/**
+ * Ask the WMS for a shipping label for a deal (from toDeal) and stamp
+ * Label Requested At. Throws with the WMS error message on failure.
+ */
+async function requestDealLabel(deal) {
+  if (!process.env.LOJIQ_WMS_BASE_URL) {
+    throw new Error('LOJIQ_WMS_BASE_URL is missing');
+  }
+
+  if (!deal.sourceRecordId) {
+    throw new Error(`Deal ${deal.id} has no source record to ship`);
+  }
+
+  const response = await fetch(`${process.env.LOJIQ_WMS_BASE_URL}/api/request-label`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      source: deal.sourceType === 'member_wtb' ? 'member_wtb_deal' : 'wtb_deal',
+      record_id: deal.sourceRecordId,
+      deal_id: deal.id
+    })
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(data.details || data.error || 'Failed to request label');
+  }
+
+  const requestId = data.request_id ?? data.id ?? null;
+
+  await db.deals
+    .update(deal.id, {
+      [DEAL_FIELD_LABEL_REQUESTED_AT]: new Date().toISOString(),
+      [DEAL_FIELD_LABEL_REQUEST_ID]: requestId !== null ? String(requestId) : null,
+      [DEAL_FIELD_LABEL_STATUS]: LABEL_STATUS_REQUESTED,
+      [DEAL_FIELD_LABEL_ERROR]: null
+    })
+    .catch(() => null);
+
+  return data;
+}
+
+async function enableLabelButton(channel) {
+  if (!channel) return;
+  await updateDealButtons(channel, LABEL_BUTTON_PREFIXES, (btn) =>
+    btn.setDisabled(false).setLabel('Request Label').setStyle(ButtonStyle.Primary)
+  );
+}
+
+// The PDF is re-uploaded to Discord so it stays available if the WMS link expires
+async function downloadLabel(url, name) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  return new AttachmentBuilder(Buffer.from(await response.arrayBuffer()), { name });
+}
+
+async function postLabelReady(channel, deal, { carrier, trackingNumber, labelUrl }) {
+  const embed = new EmbedBuilder()
+    .setTitle('🏷️ Shipping label ready')
+    .setColor(0x2ecc71)
+    .addFields(
+      { name: 'Carrier', value: carrier || '-', inline: true },
+      { name: 'Tracking number', value: trackingNumber || '-', inline: true }
+    )
+    .setFooter({ text: 'Print the label and attach it to the box.' });
+
+  const files = [];
+
+  if (labelUrl) {
+    const attachment = await downloadLabel(labelUrl, `label-${trackingNumber || deal.id}.pdf`).catch((err) => {
+      console.warn(`⚠️ Could not download label for deal ${deal.id}:`, err.message);
+      return null;
+    });
+
+    if (attachment) files.push(attachment);
+    else embed.addFields({ name: 'Label', value: labelUrl, inline: false });
+  }
+
+  await channel.send({ content: deal.discordUserId ? `<@${deal.discordUserId}>` : undefined, embeds: [embed], files });
+}
+
+/**
+ * Apply a label status from the WMS (callback or poll) to a deal.
+ * Only requests still in `requested` are updated, so repeated or late
+ * reports are ignored. Returns { applied, status } or { applied: false, reason }.
+ */
+async function applyLabelStatus(dealId, { requestId = null, status, carrier = null, trackingNumber = null, labelUrl = null, error = null }) {
+  return withKeyedLock(`label:${dealId}`, async () => {
+    const record = await db.deals.find(dealId).catch(() => null);
+    if (!record) return { applied: false, reason: 'deal_not_found' };
+
+    const storedRequestId = record.get(DEAL_FIELD_LABEL_REQUEST_ID);
+    if (requestId && storedRequestId && String(requestId) !== String(storedRequestId)) {
+      return { applied: false, reason: 'stale_request' };
+    }
+
+    if (record.get(DEAL_FIELD_LABEL_STATUS) !== LABEL_STATUS_REQUESTED) {
+      return { applied: false, reason: `label_${record.get(DEAL_FIELD_LABEL_STATUS) || 'not_requested'}` };
+    }
+
+    if (status !== LABEL_STATUS_READY && status !== LABEL_STATUS_FAILED) {
+      return { applied: false, reason: 'pending' };
+    }
+
+    const deal = toDeal(record);
+    const channel = deal.channelId ? await client.channels.fetch(deal.channelId).catch(() => null) : null;
+
+    if (status === LABEL_STATUS_FAILED) {
+      await db.deals.update(deal.id, {
+        [DEAL_FIELD_LABEL_STATUS]: LABEL_STATUS_FAILED,
+        [DEAL_FIELD_LABEL_ERROR]: error || 'Label request failed',
+        [DEAL_FIELD_LABEL_REQUESTED_AT]: null
+      });
+
+      if (channel) {
+        await enableLabelButton(channel);
+        await channel
+          .send({
+            content:
+              `${deal.discordUserId ? `<@${deal.discordUserId}> ` : ''}❌ The label could not be created` +
+              `${error ? `: ${error}` : ''}. Click **Request Label** to try again.`
+          })
+          .catch(() => null);
+      }
+
+      console.warn(`⚠️ Label for deal ${deal.id} failed: ${error || 'no reason given'}`);
+      return { applied: true, status };
+    }
+
+    await db.deals.update(deal.id, {
+      [DEAL_FIELD_LABEL_STATUS]: LABEL_STATUS_READY,
+      [DEAL_FIELD_CARRIER]: carrier,
+      [DEAL_FIELD_TRACKING_NUMBER]: trackingNumber,
+      [DEAL_FIELD_LABEL_URL]: labelUrl
+    });
+
+    if (deal.sourceRecordId) {
+      await getSourceRepo(deal.sourceType)
+        .update(deal.sourceRecordId, {
+          [ORDER_FIELD_CARRIER]: carrier,
+          [ORDER_FIELD_TRACKING_NUMBER]: trackingNumber,
+          [ORDER_FIELD_LABEL_URL]: labelUrl
+        })
+        .catch((err) => console.error(`Copying label to ${deal.sourceType} ${deal.sourceRecordId} failed:`, err));
+    }
+
+    if (channel) {
+      await postLabelReady(channel, deal, { carrier, trackingNumber, labelUrl }).catch((err) =>
+        console.error(`Posting label for deal ${deal.id} failed:`, err)
+      );
+    } else {
+      console.warn(`⚠️ Deal channel for ${deal.id} not found, label stored without posting`);
+    }
+
+    console.log(`🏷️ Label ready for deal ${deal.id} (${carrier || 'unknown carrier'} ${trackingNumber || ''})`);
+    return { applied: true, status };
+  });
+}
+
+function parseWmsLabelStatus(data) {
+  return {
+    requestId: data.request_id ?? data.id ?? null,
+    status: String(data.status || '').toLowerCase(),
+    carrier: data.carrier || null,
+    trackingNumber: data.tracking_number || null,
+    labelUrl: data.label_url || null,
+    error: data.error || null
+  };
+}
+
+// One pass: ask the WMS about label requests that have had no callback for a while
+async function pollLabelRequests() {
+  if (labelPollRunning || !process.env.LOJIQ_WMS_BASE_URL) return [];
+  labelPollRunning = true;
+
+  const results = [];
+
+  try {
+    const cutoff = Date.now() - Math.max(0, Number(LABEL_POLL_AFTER_MINUTES) || 0) * 60 * 1000;
+    const pending = await db.deals.list({
+      [DEAL_FIELD_LABEL_STATUS]: LABEL_STATUS_REQUESTED,
+      [DEAL_FIELD_LABEL_REQUEST_ID]: { notEmpty: true }
+    });
+
+    for (const record of pending) {
+      const requestedAt = parseDateField(record.get(DEAL_FIELD_LABEL_REQUESTED_AT));
+      if (requestedAt && requestedAt.getTime() > cutoff) continue;
+
+      const requestId = record.get(DEAL_FIELD_LABEL_REQUEST_ID);
+
+      try {
+        const response = await fetch(
+          `${process.env.LOJIQ_WMS_BASE_URL}/api/label-requests/${encodeURIComponent(requestId)}`
+        );
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(data.details || data.error || `HTTP ${response.status}`);
+
+        const result = await applyLabelStatus(record.id, { ...parseWmsLabelStatus(data), requestId });
+        results.push({ dealId: record.id, requestId, ...result });
+      } catch (err) {
+        console.error(`Polling label request ${requestId} for deal ${record.id} failed:`, err.message || err);
+      }
+    }
+  } catch (err) {
+    console.error('Label poll failed:', err);
+  } finally {
+    labelPollRunning = false;
+  }
+
+  return results;
+}
+
+function startLabelPoller() {
+  const intervalMs = Math.max(1, Number(LABEL_POLL_MINUTES) || 5) * 60 * 1000;
+  setInterval(pollLabelRequests, intervalMs);
+}
+
+/* ---------------- Shipment tracking ---------------- */
+/* Tracking events from the carrier / WMS are kept on the deal and shown in a
+   single "Shipment status" embed in the deal channel, edited on every event.
+   Events that need the seller to do something also ping them. */
+
+const SHIPMENT_EVENTS = {
+  picked_up: { label: 'Picked up', emoji: '📦' },
+  in_transit: { label: 'In transit', emoji: '🚚' },
+  delivered_to_warehouse: { label: 'Delivered to warehouse', emoji: '🏬' },
+  qc_passed: { label: 'QC passed', emoji: '✅' },
+  qc_failed: {
+    label: 'QC failed',
+    emoji: '❌',
+    actionNeeded: 'The item did not pass quality control. Please read the note in the shipment status and reply here.'
+  },
+  return_initiated: {
+    label: 'Return initiated',
+    emoji: '↩️',
+    actionNeeded: 'The item is being returned to you. Please confirm your return address in this channel.'
+  }
+};
+
+// Progress steps shown in the embed, in shipping order
+const SHIPMENT_STEPS = ['picked_up', 'in_transit', 'delivered_to_warehouse'];
+const SHIPMENT_TIMELINE_LIMIT = 10;
+
+// Latest non-cancelled deal for a source record
+async function findDealBySource(sourceType, recordId) {
+  const deals = await db.deals
+    .list({ [DEAL_FIELD_SOURCE_TYPE]: normalizeSourceType(sourceType), [DEAL_FIELD_SOURCE_RECORD_ID]: recordId })
+    .catch(() => []);
+
+  return (
+    deals
+      .filter((d) => d.get(DEAL_FIELD_STATUS) !== DEAL_STATUS_CANCELLED)
+      .sort((a, b) => String(b.get(DEAL_FIELD_CREATED_AT) || '').localeCompare(String(a.get(DEAL_FIELD_CREATED_AT) || '')))[0] ||
+    null
+  );
+}
+
+function readShipmentEvents(record) {
+  try {
+    const parsed = JSON.parse(record?.get(DEAL_FIELD_SHIPMENT_EVENTS) || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+function buildShipmentEmbed(deal, events) {
+  const latest = events[events.length - 1];
+  const reached = new Set(events.map((e) => e.type));
+  const latestInfo = SHIPMENT_EVENTS[latest.type];
+
+  const steps = SHIPMENT_STEPS.map((type) => `${reached.has(type) ? '✅' : '⬜'} ${SHIPMENT_EVENTS[type].label}`);
+  const qc = events.filter((e) => e.type === 'qc_passed' || e.type === 'qc_failed').pop();
+  steps.push(qc ? `${SHIPMENT_EVENTS[qc.type].emoji} ${SHIPMENT_EVENTS[qc.type].label}` : '⬜ Quality control');
+
+  const trackingNumber = [...events].reverse().find((e) => e.trackingNumber)?.trackingNumber || deal.get(DEAL_FIELD_TRACKING_NUMBER);
+  const carrier = [...events].reverse().find((e) => e.carrier)?.carrier || deal.get(DEAL_FIELD_CARRIER);
+
+  const timeline = events
+    .slice(-SHIPMENT_TIMELINE_LIMIT)
+    .reverse()
+    .map((e) => {
+      const when = parseDateField(e.occurredAt);
+      const at = when ? `<t:${Math.floor(when.getTime() / 1000)}:f>` : e.occurredAt;
+      return `${SHIPMENT_EVENTS[e.type].emoji} ${SHIPMENT_EVENTS[e.type].label} — ${at}` +
+        `${e.location ? ` (${e.location})` : ''}${e.note ? `\n> ${e.note}` : ''}`;
+    });
+
+  return new EmbedBuilder()
+    .setTitle('🚚 Shipment status')
+    .setDescription(`**Status:** ${latestInfo.emoji} ${latestInfo.label}\n\n${steps.join('\n')}`)
+    .addFields(
+      { name: 'Carrier', value: carrier || '-', inline: true },
+      { name: 'Tracking number', value: trackingNumber || '-', inline: true },
+      { name: 'Updates', value: timeline.join('\n').slice(0, 1024), inline: false }
+    )
+    .setColor(latestInfo.actionNeeded ? 0xe74c3c : latest.type === 'qc_passed' ? 0x2ecc71 : 0x3498db)
+    .setTimestamp(new Date());
+}
+
+/**
+ * Add a tracking event to a deal and refresh its "Shipment status" embed.
+ * Events with an `id` already on the deal are ignored.
+ * Returns { status, duplicate, actionNeeded }.
+ */
+async function recordShipmentEvent(dealId, event) {
+  return withKeyedLock(`shipment:${dealId}`, async () => {
+    const record = await db.deals.find(dealId);
+    const existing = readShipmentEvents(record);
+
+    if (event.id && existing.some((e) => e.id === event.id)) {
+      return { status: record.get(DEAL_FIELD_SHIPMENT_STATUS) || null, duplicate: true, actionNeeded: false };
+    }
+
+    const occurredAt = parseDateField(event.occurredAt)?.toISOString() || new Date().toISOString();
+    const entry = Object.fromEntries(
+      Object.entries({ ...event, occurredAt, receivedAt: new Date().toISOString() }).filter(([, v]) => v !== null && v !== undefined)
+    );
+
+    // Carriers report late; keep the feed in the order things happened
+    const events = [...existing, entry].sort((a, b) => a.occurredAt.localeCompare(b.occurredAt));
+    const status = events[events.length - 1].type;
+    const deal = toDeal(record);
+
+    const updated = await db.deals.update(dealId, {
+      [DEAL_FIELD_SHIPMENT_EVENTS]: JSON.stringify(events),
+      [DEAL_FIELD_SHIPMENT_STATUS]: status
+    });
+
+    // QC results and the first carrier scan (late or not) feed the seller's standing
+    if (entry.type === 'qc_passed' || entry.type === 'qc_failed' || SHIPPED_EVENT_TYPES.includes(entry.type)) {
+      await refreshDealSellerStanding(updated);
+    }
+
+    if (deal.sourceRecordId) {
+      await getSourceRepo(deal.sourceType)
+        .update(deal.sourceRecordId, { [ORDER_FIELD_SHIPMENT_STATUS]: SHIPMENT_EVENTS[status].label })
+        .catch((err) => console.error(`Copying shipment status to ${deal.sourceType} ${deal.sourceRecordId} failed:`, err));
+    }
+
+    const actionNeeded = SHIPMENT_EVENTS[entry.type].actionNeeded || null;
+    const channel = deal.channelId ? await client.channels.fetch(deal.channelId).catch(() => null) : null;
+
+    if (!channel) {
+      console.warn(`⚠️ Deal channel for ${dealId} not found, shipment event ${entry.type} stored without posting`);
+      return { status, duplicate: false, actionNeeded: !!actionNeeded };
+    }
+
+    const embed = buildShipmentEmbed(record, events);
+    const messageId = record.get(DEAL_FIELD_SHIPMENT_MESSAGE_ID);
+    const message = messageId ? await channel.messages.fetch(messageId).catch(() => null) : null;
+
+    if (message) {
+      await message.edit({ embeds: [embed] }).catch((err) => console.error(`Updating shipment status for ${dealId} failed:`, err));
+    } else {
+      // The event is already stored; the next one retries the post
+      const sent = await channel
+        .send({ embeds: [embed] })
+        .catch((err) => console.error(`Posting shipment status for ${dealId} failed:`, err));
+      if (sent) await db.deals.update(dealId, { [DEAL_FIELD_SHIPMENT_MESSAGE_ID]: sent.id });
+    }
+
+    if (actionNeeded) {
+      await channel
+        .send({ content: `${deal.discordUserId ? `<@${deal.discordUserId}> ` : ''}⚠️ **${SHIPMENT_EVENTS[entry.type].label}.** ${actionNeeded}` })
+        .catch(() => null);
+    }
+
+    console.log(`🚚 Shipment event ${entry.type} for deal ${dealId}`);
+    return { status, duplicate: false, actionNeeded: !!actionNeeded };
+  });
+}
+
+/* ---------------- Staff deal controls ---------------- */
+/* Every deal channel gets the staff roles in its permission overwrites and a
+   "Staff controls" message. Sellers can see the buttons, so every handler checks
+   isStaffMember before doing anything. */
+
+const DEAL_BUTTON_PREFIXES = ['process_deal:', 'request_label:', 'process_payout:', 'process_member_wtb:', 'request_label_wtb:'];
+const LABEL_BUTTON_PREFIXES = ['request_label:', 'request_label_wtb:'];
+
+function staffPermissionOverwrites() {
+  return staffRoleIds.map((id) => ({
+    id,
+    allow: [
+      PermissionsBitField.Flags.ViewChannel,
+      PermissionsBitField.Flags.SendMessages,
+      PermissionsBitField.Flags.ReadMessageHistory,
+      PermissionsBitField.Flags.AttachFiles,
+      PermissionsBitField.Flags.ManageMessages
+    ]
+  }));
+}
+
+function buildStaffControls() {
+  const embed = new EmbedBuilder()
+    .setTitle('🛠️ Staff controls')
+    .setDescription('Only staff can use these buttons.')
+    .setColor(0x34495e);
+
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId('staff_deal:cancel').setLabel('Cancel deal').setStyle(ButtonStyle.Danger),
+    new ButtonBuilder().setCustomId('staff_deal:adjust_payout').setLabel('Adjust payout').setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder().setCustomId('staff_deal:force_label').setLabel('Force label').setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder().setCustomId('staff_deal:close').setLabel('Close channel').setStyle(ButtonStyle.Secondary)
+  );
+
+  return { embeds: [embed], components: [row] };
+}
+
+function buildStaffDealModal(action) {
+  const modal = new ModalBuilder().setCustomId(`staff_deal_modal:${action}`);
+
+  if (action === 'adjust_payout') {
+    return modal.setTitle('Adjust payout').addComponents(
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId('amount')
+          .setLabel('New payout in EUR (e.g. 135 or 135.50)')
+          .setStyle(TextInputStyle.Short)
+          .setRequired(true)
+      ),
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder().setCustomId('reason').setLabel('Reason').setStyle(TextInputStyle.Paragraph).setRequired(true)
+      )
+    );
+  }
+
+  return modal.setTitle('Cancel deal').addComponents(
+    new ActionRowBuilder().addComponents(
+      new TextInputBuilder().setCustomId('reason').setLabel('Reason').setStyle(TextInputStyle.Paragraph).setRequired(true)
+    )
+  );
+}
+
+// Rewrite the buttons (matching `prefixes`) on recent messages in a deal channel
+async function updateDealButtons(channel, prefixes, transform) {
+  const messages = await channel.messages.fetch({ limit: 50 }).catch(() => null);
+  if (!messages) return;
+
+  for (const msg of messages.values()) {
+    if (msg.author?.id !== client.user?.id) continue;
+    if (!msg.components?.some((row) => row.components.some((c) => prefixes.some((p) => c.customId?.startsWith(p))))) continue;
+
+    const rows = msg.components.map((row) =>
+      new ActionRowBuilder().addComponents(
+        ...row.components.map((c) =>
+          prefixes.some((p) => c.customId?.startsWith(p)) ? transform(ButtonBuilder.from(c)) : ButtonBuilder.from(c)
+        )
+      )
+    );
+
+    await msg.edit({ components: rows }).catch(() => null);
+  }
+}
+
+// Runs under the same deal lock as processDeal, so a cancel can't be overwritten by
+// a Process Deal that is still in flight. Processed deals can still be cancelled:
+// the embed then tells staff the payout was already handed off.
+async function cancelDeal(deal, channel, { reason, staffUserId }) {
+  const cancelled = await withKeyedLock(`deal:${deal.id}`, async () => {
+    const fresh = await db.deals.find(deal.id).catch(() => null);
+    if (!fresh) return null;
+
+    const status = fresh.get(DEAL_FIELD_STATUS);
+    if (status === DEAL_STATUS_CANCELLED) return null;
+
+    await db.deals.update(deal.id, {
+      [DEAL_FIELD_STATUS]: DEAL_STATUS_CANCELLED,
+      [DEAL_FIELD_CANCELLED_AT]: new Date().toISOString(),
+      [DEAL_FIELD_CANCELLED_BY]: staffUserId,
+      [DEAL_FIELD_CANCEL_REASON]: reason
+    });
+
+    return { wasProcessed: status === DEAL_STATUS_PROCESSED };
+  });
+
+  if (!cancelled) return false;
+
+  await updateDealButtons(channel, DEAL_BUTTON_PREFIXES, (btn) => btn.setDisabled(true));
+
+  const embed = new EmbedBuilder()
+    .setTitle('🛑 Deal cancelled')
+    .setDescription(
+      `This deal was cancelled by staff.\n\n**Reason:** ${reason}` +
+        (cancelled.wasProcessed
+          ? '\n\n⚠️ This deal had already been processed. Staff: reverse the payout / buyer charge by hand.'
+          : '')
+    )
+    .setColor(0xe74c3c);
+
+  await channel.send({ embeds: [embed] }).catch(() => null);
+  await refreshDealSellerStanding(deal);
+  return true;
+}
+
+/**
+ * Change the payout of a deal that has not been processed yet. Runs under the
+ * same lock as Process Deal so the new amount is the one handed off.
+ * Returns { ok: true } or { ok: false, error }.
+ */
+async function adjustDealPayout(deal, channel, { amount, reason }) {
+  const result = await withKeyedLock(`deal:${deal.id}`, async () => {
+    const fresh = await db.deals.find(deal.id).catch(() => null);
+    if (!fresh) return { ok: false, error: 'Deal not found.' };
+
+    const status = fresh.get(DEAL_FIELD_STATUS);
+    if (status === DEAL_STATUS_CANCELLED) return { ok: false, error: 'This deal was cancelled.' };
+    if (status === DEAL_STATUS_PROCESSED) {
+      return { ok: false, error: 'This deal was already processed, so the payout was handed off. Change it in the payout system.' };
+    }
+
+    await db.deals.update(deal.id, {
+      [DEAL_FIELD_ADJUSTED_PAYOUT]: amount,
+      [DEAL_FIELD_PAYOUT_ADJUST_REASON]: reason
+    });
+
+    return { ok: true, messageId: fresh.get(DEAL_FIELD_MESSAGE_ID) };
+  });
+
+  if (!result.ok) return result;
+
+  // Display only: Process Deal reads the payout from the deal record
+  const messageId = result.messageId;
+  const msg = messageId ? await channel.messages.fetch(messageId).catch(() => null) : null;
+  const embed = msg?.embeds?.[0];
+
+  if (embed?.description) {
+    const description = embed.description
+      .split('\n')
+      .map((line) => (line.startsWith('**Payout:**') ? `**Payout:** €${amount.toFixed(2)} (adjusted)` : line))
+      .join('\n');
+
+    await msg.edit({ embeds: [EmbedBuilder.from(embed).setDescription(description)] }).catch(() => null);
+  }
+
+  const notice = new EmbedBuilder()
+    .setTitle('💶 Payout adjusted')
+    .setDescription(`New payout: **€${amount.toFixed(2)}**\n\n**Reason:** ${reason}`)
+    .setColor(0xf1c40f);
+
+  await channel.send({ embeds: [notice] }).catch(() => null);
+  return { ok: true };
+}
+
+/* ---------------- /wtb admin commands ---------------- */
+/* Staff-only management of WTB posts for both source types:
+   close / reopen / repost / info <record> [source]. */
+
+const WTB_INFO_OFFER_LIMIT = 20;
+
+// Record ID, Order ID (orders) or Member WTB ID / WTB ID (member WTBs)
+async function resolveWtbRecord(ref, sourceType = null) {
+  const value = String(ref || '').trim();
+  if (!value) return null;
+
+  const sourceTypes = sourceType ? [normalizeSourceType(sourceType)] : SOURCE_TYPES;
+
+  for (const type of sourceTypes) {
+    const repo = getSourceRepo(type);
+
+    if (/^rec[A-Za-z0-9]{14}$/.test(value)) {
+      const record = await repo.find(value).catch(() => null);
+      if (record) return { sourceType: type, record };
+      continue;
+    }
+
+    const idFields = type === 'member_wtb' ? [MEMBER_WTB_FIELD_MEMBER_WTB_ID, MEMBER_WTB_FIELD_WTB_ID] : [ORDER_FIELD_ORDER_ID];
+    for (const field of idFields) {
+      const record = await repo.findFirst({ [field]: value }).catch(() => null);
+      if (record) return { sourceType: type, record };
+    }
+  }
+
+  return null;
+}
+
+function getWtbMessageIds(record) {
+  return String(record.get(ORDER_FIELD_SELLER_MSG_IDS) || '').split(',').map((x) => x.trim()).filter(Boolean);
+}
+
+function getWtbImageUrl(record) {
+  const picture = record.get(MEMBER_WTB_FIELD_PICTURE);
+  return Array.isArray(picture) && picture[0]?.url ? picture[0].url : null;
+}
+
+/**
+ * Re-enable the Offer buttons and restore the live embed. An expired WTB gets
+ * its status back and a fresh expiry window so the next sweep doesn't close it again.
+ */
+async function reopenWtb(sourceType, record) {
+  const cleanSourceType = normalizeSourceType(sourceType);
+  const repo = getSourceRepo(cleanSourceType);
+  const now = new Date();
+
+  const fields = {
+    [ORDER_FIELD_BUTTONS_DISABLED]: false,
+    [ORDER_FIELD_POSTED_AT]: now.toISOString(),
+    [ORDER_FIELD_EXPIRED_AT]: null
+  };
+
+  if (String(record.get(ORDER_FIELD_FULFILLMENT_STATUS) || '').trim() === WTB_STATUS_EXPIRED) {
+    fields[ORDER_FIELD_FULFILLMENT_STATUS] = cleanSourceType === 'order' ? 'Outsource' : null;
+  }
+
+  const expiresAt = parseDateField(record.get(ORDER_FIELD_EXPIRES_AT));
+  if (expiresAt && expiresAt <= now) fields[ORDER_FIELD_EXPIRES_AT] = null;
+
+  const updated = await withSourceRecordLock(cleanSourceType, record.id, () => repo.update(record.id, fields));
+
+  const msgIds = getWtbMessageIds(updated);
+  const channel = msgIds.length
+    ? await client.channels.fetch(updated.get(ORDER_FIELD_WTB_CHANNEL_ID) || dealsChannelIds[0]).catch(() => null)
+    : null;
+
+  let reopened = 0;
+  const currentLowestDisplay = await formatCurrentLowestForEmbed(cleanSourceType, updated);
+
+  for (const id of channel?.isTextBased?.() ? msgIds : []) {
+    const msg = await channel.messages.fetch(id).catch(() => null);
+    if (!msg) continue;
+
+    const rows = msg.components.map((row) =>
+      new ActionRowBuilder().addComponents(
+        ...row.components.map((btn) => ButtonBuilder.from(btn).setDisabled(false))
+      )
+    );
+    const embeds = msg.embeds?.length
+      ? [
+          EmbedBuilder.from(msg.embeds[0])
+            .setTitle('🔥 NEW WTB DEAL 🔥')
+            .setColor(0xf1c40f)
+            .setFields({
+              name: 'Current Lowest Offer',
+              value: `${currentLowestDisplay}\n\nClick below to submit your offer.`,
+              inline: false
+            })
+        ]
+      : undefined;
+
+    await msg.edit({ components: rows, ...(embeds ? { embeds } : {}) }).catch(() => null);
+    reopened += 1;
+  }
+
+  return { record: updated, reopened, openForOffers: isSourceOpenForOffers(cleanSourceType, updated) };
+}
+
+// Delete the old WTB message(s) and post a fresh one in the routed channel
+async function repostWtb(sourceType, record) {
+  const msgIds = getWtbMessageIds(record);
+  const oldChannel = msgIds.length
+    ? await client.channels.fetch(record.get(ORDER_FIELD_WTB_CHANNEL_ID) || dealsChannelIds[0]).catch(() => null)
+    : null;
+
+  for (const id of oldChannel?.isTextBased?.() ? msgIds : []) {
+    const msg = await oldChannel.messages.fetch(id).catch(() => null);
+    await msg?.delete().catch(() => null);
+  }
+
+  return postWtbOffer({
+    productName: record.get(ORDER_FIELD_PRODUCT_NAME) || '-',
+    sku: record.get(ORDER_FIELD_SKU) || '-',
+    size: record.get(ORDER_FIELD_SIZE) || '-',
+    brand: record.get(ORDER_FIELD_BRAND) || '',
+    imageUrl: getWtbImageUrl(record),
+    recordId: record.id,
+    sourceType
+  });
+}
+
+async function buildWtbInfoReply(sourceType, record, guildId) {
+  const cleanSourceType = normalizeSourceType(sourceType);
+  const offers = await getIndexedOffersForSource(cleanSourceType, record.id);
+  const lowest = await getCurrentLowest(cleanSourceType, record.id);
+  const expiry = getWtbExpiry(cleanSourceType, record);
+
+  const channelId = record.get(ORDER_FIELD_WTB_CHANNEL_ID) || dealsChannelIds[0];
+  const links = getWtbMessageIds(record).map((id) => `https://discord.com/channels/${guildId}/${channelId}/${id}`);
+
+  const label =
+    cleanSourceType === 'member_wtb'
+      ? record.get(MEMBER_WTB_FIELD_MEMBER_WTB_ID) || record.get(MEMBER_WTB_FIELD_WTB_ID)
+      : record.get(ORDER_FIELD_ORDER_ID);
+
+  const embed = new EmbedBuilder()
+    .setTitle(`ℹ️ ${record.get(ORDER_FIELD_PRODUCT_NAME) || '-'}`)
+    .setColor(0x3498db)
+    .setDescription(
+      `**Source:** ${cleanSourceType} ${label ? `${label} ` : ''}(\`${record.id}\`)\n` +
+        `**SKU:** ${record.get(ORDER_FIELD_SKU) || '-'} | **Size:** ${record.get(ORDER_FIELD_SIZE) || '-'} | **Brand:** ${record.get(ORDER_FIELD_BRAND) || '-'}\n` +
+        `**Status:** ${record.get(ORDER_FIELD_FULFILLMENT_STATUS) || '-'}\n` +
+        `**Open for offers:** ${isSourceOpenForOffers(cleanSourceType, record) ? 'yes' : 'no'}` +
+        `${record.get(ORDER_FIELD_BUTTONS_DISABLED) === true ? ' (buttons disabled)' : ''}\n` +
+        `**Expires:** ${expiry ? `<t:${Math.floor(expiry.getTime() / 1000)}:R>` : '-'}\n` +
+        `**Lowest:** ${formatLowestForDisplay(lowest, pricing.defaultCountry)}\n` +
+        `**Messages:** ${links.length ? links.join('\n') : '-'}`
+    );
+
+  const sorted = [...offers].sort(
+    (a, b) => (parseNumeric(a.get(OFFER_FIELD_NORMALIZED)) ?? Infinity) - (parseNumeric(b.get(OFFER_FIELD_NORMALIZED)) ?? Infinity)
+  );
+
+  const lines = [];
+  for (const offer of sorted.slice(0, WTB_INFO_OFFER_LIMIT)) {
+    const sellerId = Array.isArray(offer.get(OFFER_FIELD_SELLER)) ? offer.get(OFFER_FIELD_SELLER)[0] : null;
+    const seller = sellerId ? await db.sellers.find(sellerId).catch(() => null) : null;
+    const amount = parseNumeric(offer.get(OFFER_FIELD_AMOUNT));
+    const vatRaw = offer.get(OFFER_FIELD_VAT_TYPE);
+
+    lines.push(
+      `${lowest?.offerId === offer.id ? '🏆 ' : ''}` +
+        `${Number.isFinite(amount) ? formatOfferAmount(amount, offer.get(OFFER_FIELD_CURRENCY), parseNumeric(offer.get(OFFER_FIELD_FX_RATE))) : '-'} ` +
+        `(${normalizeVatType(typeof vatRaw === 'string' ? vatRaw : vatRaw?.name) || '-'}) — ` +
+        `${seller?.get(SELLER_FIELD_SELLER_ID) || sellerId || '-'}` +
+        `${isOfferCountable(offer) ? '' : ` — ${String(getOfferStatus(offer)).toLowerCase()}`}`
+    );
+  }
+  if (sorted.length > WTB_INFO_OFFER_LIMIT) lines.push(`…and ${sorted.length - WTB_INFO_OFFER_LIMIT} more`);
+
+  embed.addFields({ name: `Offers (${offers.length})`, value: lines.join('\n').slice(0, 1024) || 'No offers yet', inline: false });
+
+  return { embeds: [embed] };
+}
+
+client.on(Events.InteractionCreate, async (interaction) => {
+  try {
+    if (interaction.isButton() && isDealChannel(interaction.channel)) {
+      recordDealChannelEvent(interaction.channelId, {
+        type: 'button',
+        userId: interaction.user.id,
+        label: interaction.component?.label || null,
+        customId: interaction.customId
+      }).catch((err) => console.error('Deal channel event log failed:', err));
+    }
+
+    /* ---- /wtb (staff) ---- */
+    if (interaction.isChatInputCommand() && interaction.commandName === 'wtb') {
+      await interaction.deferReply({ ephemeral: true }).catch(() => null);
+
+      try {
+        if (!isStaffMember(interaction.member)) {
+          await interaction.editReply({ content: '❌ Only staff can manage WTBs.' }).catch(() => null);
+          return;
+        }
+
+        const subcommand = interaction.options.getSubcommand();
+        const ref = interaction.options.getString('record', true);
+        const found = await resolveWtbRecord(ref, interaction.options.getString('source'));
+
+        if (!found) {
+          await interaction.editReply({ content: `❌ No WTB found for \`${ref}\`.` }).catch(() => null);
+          return;
+        }
+
+        const { sourceType, record } = found;
+
+        if (subcommand === 'close') {
+          await disableSellerOfferMessages(record.id, sourceType);
+          await interaction.editReply({ content: `✅ WTB \`${record.id}\` closed. Offer buttons disabled.` }).catch(() => null);
+          return;
+        }
+
+        if (subcommand === 'reopen') {
+          const result = await reopenWtb(sourceType, record);
+          const notes = [
+            result.reopened ? `${result.reopened} message(s) re-enabled.` : 'No WTB message found — use `/wtb repost`.',
+            result.openForOffers
+              ? null
+              : `⚠️ Status is **${result.record.get(ORDER_FIELD_FULFILLMENT_STATUS) || '-'}**, so offers will still be refused.`
+          ].filter(Boolean);
+
+          await interaction.editReply({ content: `✅ WTB \`${record.id}\` reopened. ${notes.join(' ')}` }).catch(() => null);
+          return;
+        }
+
+        if (subcommand === 'repost') {
+          const result = await repostWtb(sourceType, record);
+          await interaction.editReply({
+            content: result.ok ? `✅ WTB reposted: ${result.messageUrls[0]}` : `❌ ${result.error}`
+          }).catch(() => null);
+          return;
+        }
+
+        await interaction.editReply(await buildWtbInfoReply(sourceType, record, interaction.guildId)).catch(() => null);
+      } catch (err) {
+        console.error('wtb command failed:', err);
+        await interaction.editReply({ content: '❌ Something went wrong. Please try again.' }).catch(() => null);
+      }
+
+      return;
+    }
+
+    /* ---- /offer-history (staff) ---- */
+    if (interaction.isChatInputCommand() && interaction.commandName === 'offer-history') {
+      await interaction.deferReply({ ephemeral: true }).catch(() => null);
+
+      try {
+        if (!isStaffMember(interaction.member)) {
+          await interaction.editReply({ content: '❌ Only staff can view offer history.' }).catch(() => null);
+          return;
+        }
+
+        const filters = await resolveOfferHistoryFilters({
+          record: interaction.options.getString('record'),
+          seller: interaction.options.getString('seller'),
+          sourceType: interaction.options.getString('source')
+        });
+
+        if (!filters.ok) {
+          await interaction.editReply({ content: `❌ ${filters.error}` }).catch(() => null);
+          return;
+        }
+
+        await interaction.editReply(await buildOfferHistoryReply(filters)).catch(() => null);
+      } catch (err) {
+        console.error('offer-history failed:', err);
+        await interaction.editReply({ content: '❌ Something went wrong. Please try again.' }).catch(() => null);
+      }
+
+      return;
+    }
+
+    /* ---- /seller-standing (staff) ---- */
+    if (interaction.isChatInputCommand() && interaction.commandName === 'seller-standing') {
+      await interaction.deferReply({ ephemeral: true }).catch(() => null);
+
+      try {
+        if (!isStaffMember(interaction.member)) {
+          await interaction.editReply({ content: '❌ Only staff can view or change seller standing.' }).catch(() => null);
+          return;
+        }
+
+        const sellerRef = interaction.options.getString('seller');
+        const sellerRecord = await resolveSellerRef(sellerRef);
+
+        if (!sellerRecord) {
+          await interaction.editReply({ content: `❌ No seller found for \`${sellerRef}\`.` }).catch(() => null);
+          return;
+        }
+
+        const standing = interaction.options.getString('standing');
+
+        if (!standing) {
+          await interaction.editReply(await buildSellerStandingReply(sellerRecord)).catch(() => null);
+          return;
+        }
+
+        const result = await setSellerStanding(sellerRecord, standing, {
+          reason: interaction.options.getString('reason'),
+          staffUserId: interaction.user.id
+        });
+
+        await interaction.editReply({
+          content:
+            `✅ ${sellerRecord.get(SELLER_FIELD_SELLER_ID) || sellerRecord.id} is now **${SELLER_STANDING_LABELS[result.standing]}**` +
+            (standing === 'auto' ? ' (automatic).' : ' (set by staff).')
+        }).catch(() => null);
+      } catch (err) {
+        console.error('seller-standing failed:', err);
+        await interaction.editReply({ content: '❌ Something went wrong. Please try again.' }).catch(() => null);
+      }
+
+      return;
+    }
+
+    /* ---- /close-deal (staff) ---- */
+    if (interaction.isChatInputCommand() && interaction.commandName === 'close-deal') {
+      await interaction.deferReply({ ephemeral: true }).catch(() => null);
+
+      try {
+        if (!isStaffMember(interaction.member)) {
+          await interaction.editReply({ content: '❌ Only staff can close deal channels.' }).catch(() => null);
+          return;
+        }
+
+        const deal = await findDealByChannel(interaction.channelId);
+        if (!deal) {
+          await interaction.editReply({ content: '❌ This channel is not linked to a deal.' }).catch(() => null);
+          return;
+        }
+
+        const reason = interaction.options.getString('reason') || 'Closed by staff.';
+        await recordDealChannelEvent(interaction.channelId, {
+          type: 'command',
+          userId: interaction.user.id,
+          command: `/close-deal ${reason}`
+        });
+
+        const archived = await archiveDealChannel({ deal, reason, closedBy: interaction.user.id });
+
+        await interaction.editReply({
+          content: archived ? '✅ Deal archived. The channel is now read-only.' : 'ℹ️ This deal channel was already archived.'
+        }).catch(() => null);
+      } catch (err) {
+        console.error('close-deal failed:', err);
+        await interaction.editReply({ content: '❌ Something went wrong. Please try again.' }).catch(() => null);
+      }
+
+      return;
+    }
+
+    /* ---- /link-seller ---- */
+    if (interaction.isChatInputCommand() && interaction.commandName === 'link-seller') {
+      await interaction.deferReply({ ephemeral: true }).catch(() => null);
+
+      try {
+        const code = interaction.options.getString('code', true);
+        const result = await redeemSellerLinkCode(interaction.user.id, code);
+
+        if (!result.ok) {
+          await interaction.editReply({ content: `❌ ${result.error}` }).catch(() => null);
+          return;
+        }
+
+        const sellerCode = result.sellerRecord.get(SELLER_FIELD_SELLER_ID) || result.sellerRecord.id;
+
+        await interaction.editReply({
+          content: `✅ Your Discord account is now linked to seller **${sellerCode}**. You can place offers on WTBs.`
+        }).catch(() => null);
+      } catch (err) {
+        console.error('link-seller failed:', err);
+        await interaction.editReply({ content: '❌ Something went wrong. Please try again.' }).catch(() => null);
+      }
+
+      return;
+    }
+
+    /* ---- /my-offers ---- */
+    if (interaction.isChatInputCommand() && interaction.commandName === 'my-offers') {
+      await interaction.deferReply({ ephemeral: true }).catch(() => null);
+
+      try {
+        const sellerRecord = await findLinkedSeller(interaction.user.id);
+
+        if (!sellerRecord) {
+          await interaction.editReply({
+            content: '❌ Your Discord account is not linked to a seller. Run `/link-seller` first.'
+          }).catch(() => null);
+          return;
+        }
+
+        await interaction.editReply(await buildMyOffersReply(sellerRecord)).catch(() => null);
+      } catch (err) {
+        console.error('my-offers failed:', err);
+        await interaction.editReply({ content: '❌ Something went wrong. Please try again.' }).catch(() => null);
+      }
+
+      return;
+    }
+
+    /* ---- /outbid-alerts ---- */
+    if (interaction.isChatInputCommand() && interaction.commandName === 'outbid-alerts') {
+      await interaction.deferReply({ ephemeral: true }).catch(() => null);
+
+      try {
+        const enabled = interaction.options.getBoolean('enabled', true);
+        const sellerRecord = await findLinkedSeller(interaction.user.id);
+
+        if (!sellerRecord) {
+          await interaction.editReply({
+            content: '❌ Your Discord account is not linked to a seller. Run `/link-seller` first.'
+          }).catch(() => null);
+          return;
+        }
+
+        await db.sellers.update(sellerRecord.id, {
+          [SELLER_FIELD_OUTBID_DMS_DISABLED]: !enabled
+        });
+
+        await interaction.editReply({
+          content: enabled
+            ? '✅ You will get a DM when someone undercuts your offer.'
+            : '✅ Outbid DMs turned off.'
+        }).catch(() => null);
+      } catch (err) {
+        console.error('outbid-alerts failed:', err);
+        await interaction.editReply({ content: '❌ Something went wrong. Please try again.' }).catch(() => null);
+      }
+
+      return;
+    }
+
+    /* ---- STAFF DEAL CONTROLS ---- */
+    if (interaction.isButton() && interaction.customId.startsWith('staff_deal:')) {
+      const action = interaction.customId.split(':')[1];
+
+      if (!isStaffMember(interaction.member)) {
+        return interaction.reply({ content: '❌ Only staff can use these controls.', flags: MessageFlags.Ephemeral });
+      }
+
+      if (action === 'cancel' || action === 'adjust_payout') {
+        return interaction.showModal(buildStaffDealModal(action));
+      }
+
+      await interaction.deferReply({ ephemeral: true }).catch(() => null);
+
+      try {
+        const deal = await findDealByChannel(interaction.channelId);
+        if (!deal) {
+          await interaction.editReply({ content: '❌ This channel is not linked to a deal.' }).catch(() => null);
+          return;
+        }
+
+        if (action === 'force_label') {
+          if (deal.get(DEAL_FIELD_STATUS) === DEAL_STATUS_CANCELLED) {
+            await interaction.editReply({ content: '❌ This deal was cancelled.' }).catch(() => null);
+            return;
+          }
+
+          await requestDealLabel(toDeal(deal));
+          await updateDealButtons(interaction.channel, LABEL_BUTTON_PREFIXES, (btn) =>
+            btn.setDisabled(true).setLabel('Label Requested').setStyle(ButtonStyle.Secondary)
+          );
+          await interaction.channel?.send({ content: '📦 A shipping label was requested by staff.' }).catch(() => null);
+          await interaction.editReply({ content: '✅ Label requested.' }).catch(() => null);
+          return;
+        }
+
+        if (action === 'close') {
+          const archived = await archiveDealChannel({ deal, reason: 'Closed by staff.', closedBy: interaction.user.id });
+          await interaction.editReply({
+            content: archived ? '✅ Deal archived. The channel is now read-only.' : 'ℹ️ This deal channel was already archived.'
+          }).catch(() => null);
+          return;
+        }
+
+        await interaction.editReply({ content: '❌ Unknown staff action.' }).catch(() => null);
+      } catch (err) {
+        console.error(`staff_deal:${action} failed:`, err);
+        await interaction.editReply({ content: `❌ ${err.message}` }).catch(() => null);
+      }
+
+      return;
+    }
+
+    if (interaction.isModalSubmit() && interaction.customId.startsWith('staff_deal_modal:')) {
+      const action = interaction.customId.split(':')[1];
+      await interaction.deferReply({ ephemeral: true }).catch(() => null);
+
+      try {
+        if (!isStaffMember(interaction.member)) {
+          await interaction.editReply({ content: '❌ Only staff can use these controls.' }).catch(() => null);
+          return;
+        }
+
+        const deal = await findDealByChannel(interaction.channelId);
+        if (!deal) {
+          await interaction.editReply({ content: '❌ This channel is not linked to a deal.' }).catch(() => null);
+          return;
+        }
+
+        const reason = interaction.fields.getTextInputValue('reason').trim();
+
+        if (action === 'adjust_payout') {
+          const amount = parseNumeric(interaction.fields.getTextInputValue('amount'));
+          if (!Number.isFinite(amount) || amount <= 0) {
+            await interaction.editReply({ content: '❌ Enter a payout amount in EUR, e.g. 135 or 135.50.' }).catch(() => null);
+            return;
+          }
+
+          const adjusted = await adjustDealPayout(deal, interaction.channel, { amount, reason });
+          if (!adjusted.ok) {
+            await interaction.editReply({ content: `❌ ${adjusted.error}` }).catch(() => null);
+            return;
+          }
+
+          await interaction.editReply({ content: `✅ Payout adjusted to €${amount.toFixed(2)}.` }).catch(() => null);
+          return;
+        }
+
+        const cancelled = await cancelDeal(deal, interaction.channel, { reason, staffUserId: interaction.user.id });
+        await interaction.editReply({
+          content: cancelled ? '✅ Deal cancelled.' : 'ℹ️ This deal was already cancelled.'
+        }).catch(() => null);
+      } catch (err) {
+        console.error(`staff_deal_modal:${action} failed:`, err);
+        await interaction.editReply({ content: '❌ Something went wrong. Please try again.' }).catch(() => null);
+      }
+
+      return;
+    }
+
+    /* ---- OFFER REVIEW BUTTONS (moderation channel) ---- */
+    if (interaction.isButton() && interaction.customId.startsWith('offer_review:')) {
+      const [, decision, offerRecordId] = interaction.customId.split(':');
+      const approve = decision === 'approve';
+
+      if (!isStaffMember(interaction.member)) {
+        return interaction.reply({ content: '❌ Only staff can review offers.', flags: MessageFlags.Ephemeral });
+      }
+
+      await interaction.deferReply({ ephemeral: true }).catch(() => null);
+
+      try {
+        const result = await reviewHeldOffer({
+          offerRecordId,
+          approve,
+          staffUserId: interaction.user.id,
+          messageId: interaction.message?.id || null
+        });
+
+        if (!result.ok) {
+          if (result.code === 'not_pending' || result.code === 'superseded') {
+            await closeOfferReviewMessage(interaction.message, `ℹ️ ${result.error}`);
+          }
+
+          await interaction.editReply({ content: `❌ ${result.error}` }).catch(() => null);
+          return;
+        }
+
+        await closeOfferReviewMessage(
+          interaction.message,
+          `${approve ? '✅ Approved' : '⛔ Rejected'} by <@${interaction.user.id}>`
+        );
+
+        await interaction.editReply({
+          content: approve
+            ? `✅ Offer approved.${result.lowest?.offerId === result.offer.id ? ' It is now the lowest.' : ''}`
+            : '✅ Offer rejected. The seller has been told.'
+        }).catch(() => null);
+      } catch (err) {
+        console.error(`offer_review:${decision} failed:`, err);
+        await interaction.editReply({ content: '❌ Something went wrong. Please try again.' }).catch(() => null);
       }
-    ]
-  });
 
-  const payoutNum = Number(offerPrice);
+      return;
+    }
 
-  const embed = new EmbedBuilder()
-    .setTitle('✅ Member WTB Deal Reserved')
-    .setDescription(
-      `**Member WTB:** ${memberWtbId}\n` +
-      `**Product:** ${memberWtbRecord.get('Product Name') || '-'}\n` +
-      `**SKU:** ${memberWtbRecord.get('SKU') || '-'}\n` +
-      `**Size:** ${memberWtbRecord.get('Size') || '-'}\n` +
-      `**Brand:** ${memberWtbRecord.get('Brand') || '-'}\n` +
-      `**Payout:** €${Number.isFinite(payoutNum) ? payoutNum.toFixed(2) : '0.00'}\n` +
-      `**VAT Type:** ${vatType || '-'}\n` +
-      `**Seller:** ${sellerCode}`
-    )
-    .setColor(0xf1c40f);
+    /* ---- WITHDRAW OFFER BUTTON ---- */
+    if (interaction.isButton() && interaction.customId.startsWith('withdraw_offer:')) {
+      await interaction.deferReply({ ephemeral: true }).catch(() => null);
 
-  if (imageUrl) embed.setImage(imageUrl);
+      try {
+        const offerRecordId = interaction.customId.split(':')[1];
+        const sellerRecord = await findLinkedSeller(interaction.user.id);
 
-  const row = new ActionRowBuilder().addComponents(
-    new ButtonBuilder()
-      .setCustomId(`process_member_wtb:${memberWtbRecord.id}:${sellerOfferRecordId}`)
-      .setLabel('Process Deal')
-      .setStyle(ButtonStyle.Primary)
-  );
+        if (!sellerRecord) {
+          await interaction.editReply({
+            content: '❌ Your Discord account is not linked to a seller. Run `/link-seller` first.'
+          }).catch(() => null);
+          return;
+        }
 
-  const msg = await channel.send({
-    content: `<@${discordUserId}>`,
-    embeds: [embed],
-    components: [row]
-  });
+        const result = await withdrawSellerOffer({
+          offerRecordId,
+          sellerRecordId: sellerRecord.id,
+          origin: { channel: OFFER_CHANNEL_DISCORD, discordUserId: interaction.user.id }
+        });
 
-  await base(memberWtbsTableName).update(memberWtbRecord.id, {
-    "WTB Created Channel ID": channel.id
-  });
+        if (!result.ok) {
+          await interaction.editReply({ content: `❌ ${result.error}` }).catch(() => null);
+          return;
+        }
 
-  return {
-    channelId: channel.id,
-    messageId: msg.id
-  };
-}
+        await interaction.editReply({ content: '✅ Your offer has been withdrawn.' }).catch(() => null);
+      } catch (err) {
+        console.error('withdraw_offer failed:', err);
+        await interaction.editReply({ content: '❌ Something went wrong. Please try again.' }).catch(() => null);
+      }
+
+      return;
+    }
 
-client.on(Events.InteractionCreate, async (interaction) => {
-  try {
     /* ---- PROCESS DEAL BUTTON ---- */
-    if (interaction.isButton() && interaction.customId.startsWith('process_member_wtb:')) {
-      await interaction.deferUpdate().catch(() => null);
-    
+    if (
+      interaction.isButton() &&
+      ['process_deal:', 'process_payout:', 'process_member_wtb:'].some((p) => interaction.customId.startsWith(p))
+    ) {
+      await interaction.deferReply({ ephemeral: true }).catch(() => null);
+
       try {
-        const [, memberWtbRecordId, sellerOfferRecordId] = interaction.customId.split(':');
-    
-        if (!KC_PORTAL_BASE_URL || !KC_PORTAL_SECRET) {
-          throw new Error('KC_PORTAL_BASE_URL or KC_PORTAL_SECRET is missing');
+        const dealRecord = await resolveDealButton(interaction);
+        if (!dealRecord) {
+          await interaction.editReply({ content: '❌ No deal is stored for this channel. Please contact staff.' }).catch(() => null);
+          return;
         }
-    
-        const response = await fetch(`${KC_PORTAL_BASE_URL}/api/member-wtb/process-seller-offer`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'x-kc-secret': KC_PORTAL_SECRET
-          },
-          body: JSON.stringify({
-            member_wtb_record_id: memberWtbRecordId,
-            seller_offer_record_id: sellerOfferRecordId,
-            discord_channel_id: interaction.channelId,
-            discord_message_id: interaction.message.id
-          })
+
+        const result = await processDeal(dealRecord.id, {
+          channelId: interaction.channelId,
+          messageId: interaction.message.id
         });
-    
-        const data = await response.json().catch(() => ({}));
-    
-        if (!response.ok) {
-          throw new Error(data.details || data.error || 'Failed to process Member WTB deal');
+
+        if (!result.ok) {
+          await interaction.editReply({ content: `❌ ${result.error}` }).catch(() => null);
+          return;
         }
-    
+
+        const { deal, data, sellerStanding } = result;
+
         const disabledComponents = interaction.message.components.map((row) =>
           new ActionRowBuilder().addComponents(
             ...row.components.map((comp) => ButtonBuilder.from(comp).setDisabled(true))
           )
         );
-    
-        await interaction.message.edit({ components: disabledComponents }).catch(() => null);
-    
-        const paymentStatus = data?.payment_gate?.status;
 
-        if (paymentStatus !== "trusted") {
-          await interaction.channel?.send({
-            content: "✅ Deal processed. Waiting for buyer to make the payment."
-          });
-        }
-    
-        return;
-      } catch (err) {
-        console.error('process_member_wtb failed:', err);
-    
-        await interaction.followUp({
-          content: `❌ ${err.message}`,
-          flags: MessageFlags.Ephemeral
-        }).catch(() => null);
-    
-        return;
-      }
-    }
-    
-    if (interaction.isButton() && interaction.customId.startsWith('process_payout:')) {
-      const [, orderId, sellerCode, discordUserId] = interaction.customId.split(':');
+        await interaction.message.edit({ components: disabledComponents }).catch(() => null);
 
-      const embed = interaction.message.embeds?.[0];
-      if (!embed || !embed.description) {
-        return interaction.reply({ content: '❌ Missing deal details on this message.', flags: MessageFlags.Ephemeral })
-      }
+        if (deal.sourceType === 'member_wtb') {
+          const paymentStatus = data?.payment_gate?.status;
 
-      const lines = embed.description.split('\n');
-      const get = (label) => {
-        const line = lines.find((l) => l.startsWith(label));
-        return line ? line.replace(label, '').trim() : null;
-      };
+          // Trusted sellers (or a payment gate the portal already trusts) skip the wait message
+          if (paymentStatus !== "trusted" && sellerStanding !== SELLER_STANDING_TRUSTED) {
+            await interaction.channel?.send({
+              content: "✅ Deal processed. Waiting for buyer to make the payment."
+            });
+          }
 
-      const payoutRaw = get('**Payout:**') || '';
-      const payoutNumber = parseFloat(String(payoutRaw).replace('€', '').replace(',', '.'));
-
-      const payload = {
-        orderId: get('**Order:**'),
-        productName: get('**Product:**'),
-        sku: get('**SKU:**'),
-        size: get('**Size:**'),
-        brand: get('**Brand:**'),
-        payout: payoutNumber,
-        sellerCode,
-        discordUserId,
-        vatType: get('**VAT Type:**') || null,
-        imageUrl: embed.image?.url || null
-      };
+          await interaction.editReply({ content: '✅ Deal processed.' }).catch(() => null);
+          return;
+        }
 
-      await fetch(PROCESS_DEAL_WEBHOOK_URL, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
-      }).catch(() => null);
+        const payoutEur = Number.isFinite(deal.payout) && Number.isFinite(deal.fxRate) ? deal.payout * deal.fxRate : deal.payout;
+        const payoutLine = Number.isFinite(payoutEur) ? `Final payout: €${payoutEur.toFixed(2)}` : 'Final payout: see deal details above';
+
+        const readyEmbed = new EmbedBuilder()
+          .setTitle('📦 Ready to Ship')
+          .setColor(0x2ecc71)
+          .addFields(
+            {
+              name: '💶 Payout',
+              value: payoutLine,
+              inline: false
+            },
+            {
+              name: '📦 Next Step',
+              value: 'Click **Request Label** when you are ready to ship.',
+              inline: false
+            },
+            {
+              name: '📬 Packaging Instructions',
+              value:
+                'Use a clean, unbranded box.\nRemove all price tags.\nNo extra items inside.',
+              inline: false
+            }
+          )
+          .setFooter({ text: 'Kickz Caviar' });
 
-      const disabledComponents = interaction.message.components.map((row) =>
-        new ActionRowBuilder().addComponents(
-          ...row.components.map((comp) => ButtonBuilder.from(comp).setDisabled(true))
-        )
-      );
+        const requestLabelRow = new ActionRowBuilder().addComponents(
+          new ButtonBuilder()
+            .setCustomId(`request_label:${deal.id}`)
+            .setLabel('Request Label')
+            .setStyle(ButtonStyle.Primary)
+        );
 
-      await interaction.message.edit({ components: disabledComponents }).catch(() => null);
-
-      const finalPayout = Number.isFinite(payload.payout) ? payload.payout : null;
-      const payoutLine = finalPayout !== null ? `Final payout: €${finalPayout.toFixed(2)}` : 'Final payout: see deal details above';
-      
-      const readyEmbed = new EmbedBuilder()
-        .setTitle('📦 Ready to Ship')
-        .setColor(0x2ecc71)
-        .addFields(
-          {
-            name: '💶 Payout',
-            value: payoutLine,
-            inline: false
-          },
-          {
-            name: '📦 Next Step',
-            value: 'Click **Request Label** when you are ready to ship.',
-            inline: false
-          },
-          {
-            name: '📬 Packaging Instructions',
-            value:
-              'Use a clean, unbranded box.\nRemove all price tags.\nNo extra items inside.',
-            inline: false
-          }
-        )
-        .setFooter({ text: 'Kickz Caviar' });
+        await interaction.channel?.send({
+          content: `<@${deal.discordUserId}>`,
+          embeds: [readyEmbed],
+          components: [requestLabelRow]
+        });
 
-      const requestLabelRow = new ActionRowBuilder().addComponents(
-        new ButtonBuilder()
-          .setCustomId(`request_label_wtb:${orderId}`)
-          .setLabel('Request Label')
-          .setStyle(ButtonStyle.Primary)
-      );
-      
-      await interaction.channel?.send({
-        content: `<@${discordUserId}>`,
-        embeds: [readyEmbed],
-        components: [requestLabelRow]
-      });
+        await interaction.editReply({ content: '✅ Deal processed and instructions sent in this channel.' }).catch(() => null);
+      } catch (err) {
+        console.error('Process Deal failed:', err);
+        await interaction.editReply({ content: `❌ ${err.message}` }).catch(() => null);
+      }
 
-      return interaction.reply({ content: '✅ Deal processed and instructions sent in this channel.', flags: MessageFlags.Ephemeral })
+      return;
     }
 
-    if (interaction.isButton() && interaction.customId.startsWith('request_label_wtb:')) {
-      const orderId = interaction.customId.split(':')[1];
-    
+    if (interaction.isButton() && LABEL_BUTTON_PREFIXES.some((p) => interaction.customId.startsWith(p))) {
       try {
         // 👇 VERY IMPORTANT: acknowledge fast (prevents double click errors)
         await interaction.deferUpdate();
-    
+
+        const dealRecord = await resolveDealButton(interaction);
+        if (!dealRecord) throw new Error('No deal is stored for this channel. Please contact staff.');
+
+        const deal = toDeal(dealRecord);
+        if (deal.status === DEAL_STATUS_CANCELLED) throw new Error('This deal was cancelled.');
+
         const existingRows = interaction.message.components || [];
 
         const newRows = existingRows.map((row) =>
           new ActionRowBuilder().addComponents(
             ...row.components.map((btn) => {
-              if (btn.customId?.startsWith('request_label_wtb:')) {
+              if (LABEL_BUTTON_PREFIXES.some((p) => btn.customId?.startsWith(p))) {
                 return ButtonBuilder.from(btn)
                   .setDisabled(true)
                   .setLabel('Label Requested')
@@ -1315,59 +6348,31 @@ client.on(Events.InteractionCreate, async (interaction) => {
             })
           )
         );
-        
+
         await interaction.message.edit({
           components: newRows
         }).catch(() => null);
-    
-        // 👇 find Airtable record
-        const records = await base(ordersTableName)
-          .select({
-            filterByFormula: `{Order ID} = "${orderId}"`,
-            maxRecords: 1
-          })
-          .firstPage();
-    
-        // 👇 find Airtable record
-        const record = records[0];
-        if (!record) throw new Error(`Order ${orderId} not found`);
-        
-        // 👇 ADD THIS BLOCK HERE
-        if (!process.env.LOJIQ_WMS_BASE_URL) {
-          throw new Error('LOJIQ_WMS_BASE_URL is missing');
-        }
-        
-        // 👇 call WMS
-        const response = await fetch(`${process.env.LOJIQ_WMS_BASE_URL}/api/request-label`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            source: 'wtb_deal',
-            record_id: record.id
-          })
-        });
-    
-        const data = await response.json().catch(() => ({}));
-    
-        if (!response.ok) {
-          throw new Error(data.details || data.error || 'Failed to request label');
+
+        try {
+          await requestDealLabel(deal);
+        } catch (err) {
+          await enableLabelButton(interaction.channel);
+          throw err;
         }
-    
-        // 👇 confirmation message (THIS FIXES YOUR ISSUE)
+
         await interaction.followUp({
-          content: `✅ Label request received. We’ll process it shortly.`,
+          content: `✅ Label request received. You'll get the label in this channel as soon as it's ready.`,
           flags: MessageFlags.Ephemeral
         });
-    
       } catch (err) {
         console.error('WTB label request failed:', err);
-    
+
         await interaction.followUp({
           content: `❌ ${err.message}`,
           flags: MessageFlags.Ephemeral
         }).catch(() => null);
       }
-    
+
       return;
     }
 
@@ -1392,13 +6397,7 @@ client.on(Events.InteractionCreate, async (interaction) => {
 
       let orderRecord = null;
       try {
-        const recs = await base(ordersTableName)
-          .select({
-            filterByFormula: `SEARCH("${messageId}", {${ORDER_FIELD_SELLER_MSG_IDS}})`,
-            maxRecords: 1
-          })
-          .firstPage();
-        orderRecord = recs[0] || null;
+        orderRecord = await db.orders.findFirst({ [ORDER_FIELD_SELLER_MSG_IDS]: { contains: messageId } });
       } catch (_) {}
 
       let offerPlaceholder = 'Enter your offer (e.g. 140)';
@@ -1409,16 +6408,9 @@ client.on(Events.InteractionCreate, async (interaction) => {
 
       const modal = new ModalBuilder()
         .setCustomId(`seller_offer_modal:${sourceType}:${sourceRecordId || ''}:${messageId}`)
-        .setTitle('Enter Seller ID, VAT & Offer');
+        .setTitle('Enter VAT & Offer');
 
       modal.addComponents(
-        new ActionRowBuilder().addComponents(
-          new TextInputBuilder()
-            .setCustomId('seller_id')
-            .setLabel('Seller ID (e.g. 00001)')
-            .setStyle(TextInputStyle.Short)
-            .setRequired(true)
-        ),
         new ActionRowBuilder().addComponents(
           new TextInputBuilder()
             .setCustomId('vat_type')
@@ -1429,7 +6421,7 @@ client.on(Events.InteractionCreate, async (interaction) => {
         new ActionRowBuilder().addComponents(
           new TextInputBuilder()
             .setCustomId('offer_price')
-            .setLabel('Your Offer (€)')
+            .setLabel('Your Offer (e.g. 140 or £120)')
             .setStyle(TextInputStyle.Short)
             .setRequired(true)
             .setPlaceholder(offerPlaceholder)
@@ -1464,33 +6456,44 @@ client.on(Events.InteractionCreate, async (interaction) => {
 
         if (!orderId) {
           try {
-            const recs = await base(ordersTableName)
-              .select({
-                filterByFormula: `SEARCH("${messageId}", {${ORDER_FIELD_SELLER_MSG_IDS}})`,
-                maxRecords: 1
-              })
-              .firstPage();
-        
-            orderRecord = recs[0] || null;
+            orderRecord = await db.orders.findFirst({ [ORDER_FIELD_SELLER_MSG_IDS]: { contains: messageId } });
           } catch (_) {}
         
           orderId = orderRecord?.id || null;
         }
     
-        const sellerDigits = interaction.fields.getTextInputValue('seller_id').trim();
         const retryCustomId =
           interaction.guildId && interaction.channelId
             ? `retry_offer:${interaction.guildId}:${interaction.channelId}:${messageId}`
             : null;
-    
-        if (!/^\d+$/.test(sellerDigits)) {
-          const msg = '❌ Seller ID must be digits only.';
-          await interaction.editReply({ content: msg }).catch(() => null);
-          await safeDMWithRetry(interaction.user, `${msg}\n\nYou can try again by clicking the button below.`, retryCustomId);
+
+        // Seller is resolved from the verified Discord ↔ Seller link, never from user input
+        const sellerRecord = await findLinkedSeller(interaction.user.id);
+
+        if (!sellerRecord) {
+          const attempted = parseMoney(interaction.fields.getTextInputValue('offer_price'));
+
+          await recordOfferEvent({
+            type: OFFER_EVENT_REJECTED,
+            origin: { channel: OFFER_CHANNEL_DISCORD, discordUserId: interaction.user.id },
+            sourceType,
+            recordId: orderId,
+            amount: attempted?.amount ?? null,
+            currency: attempted?.currency,
+            vatType: normalizeVatType(interaction.fields.getTextInputValue('vat_type').trim()) || null,
+            reason: 'unknown_seller',
+            message: 'Discord account is not linked to a seller.'
+          });
+
+          await interaction.editReply({
+            content:
+              '❌ Your Discord account is not linked to a seller.\n' +
+              'Generate a link code in the seller portal and run `/link-seller` first.'
+          }).catch(() => null);
           return;
         }
-    
-        const sellerCode = `SE-${sellerDigits}`;
+
+        const sellerCode = sellerRecord.get(SELLER_FIELD_SELLER_ID) || sellerRecord.id;
     
         const vatInput = normalizeVatType(interaction.fields.getTextInputValue('vat_type').trim());
         if (!vatInput) {
@@ -1499,228 +6502,106 @@ client.on(Events.InteractionCreate, async (interaction) => {
           await safeDMWithRetry(interaction.user, `${msg}\n\nYou can try again by clicking the button below.`, retryCustomId);
           return;
         }
-
-        let sourceRecord = null;
-
-        if (orderId) {
-          sourceRecord = await getSourceTable(sourceType).find(orderId).catch(() => null);
-        }
-        
-        if (sourceType === 'member_wtb') {
-          if (!sourceRecord) {
-            await interaction.editReply({ content: '❌ Member WTB not found.' }).catch(() => null);
-            return;
-          }
-        
-          const memberWtbFulfillmentStatus = String(sourceRecord.get('Fulfillment Status') || '').trim();
-        
-          if (['Confirmed', 'Allocated', 'Fulfilled', 'Cancelled'].includes(memberWtbFulfillmentStatus)) {
-            await interaction.editReply({
-              content: '❌ This WTB is no longer open for offers.'
-            }).catch(() => null);
-            return;
-          }
-        
-          const buyingFilter = String(sourceRecord.get('Buying Inventory Filter') || '').trim();
-        
-          if (!isVatTypeAllowedForMemberWtbFilter(buyingFilter, vatInput)) {
-            const msg =
-              `❌ This buyer does not accept ${vatInput} offers for this WTB.\n` +
-              `Allowed VAT type: **${getAllowedVatTypesText(buyingFilter)}**.`;
-        
-            await interaction.editReply({ content: msg }).catch(() => null);
-            await safeDMWithRetry(interaction.user, `${msg}\n\nYour offer was **not** saved.`, retryCustomId);
-            return;
-          }
-        }
     
-        const offerPrice = parseFloat(interaction.fields.getTextInputValue('offer_price').replace(',', '.'));
+        // No symbol/code means the seller's own currency
+        const offerInput = parseMoney(interaction.fields.getTextInputValue('offer_price'));
+        const offerPrice = offerInput?.amount;
         if (!Number.isFinite(offerPrice) || offerPrice <= 0) {
           const msg = '❌ Invalid offer price.';
           await interaction.editReply({ content: msg }).catch(() => null);
           await safeDMWithRetry(interaction.user, `${msg}\n\nYou can try again by clicking the button below.`, retryCustomId);
           return;
         }
-    
-        const normalizedOffer = getNormalized(offerPrice, vatInput);
 
-        // lookup seller before validation so we can prevent duplicate offers
-        const sellers = await base(sellersTableName)
-          .select({ filterByFormula: `{Seller ID} = "${sellerCode}"`, maxRecords: 1 })
-          .firstPage();
-        
-        const sellerRecordId = sellers[0]?.id;
-        
-        if (!sellerRecordId) {
-          const msg = `❌ Seller ${sellerCode} not found.`;
-          await interaction.editReply({ content: msg }).catch(() => null);
-          await safeDMWithRetry(interaction.user, `${msg}\n\nPlease check your Seller ID and try again by clicking the button below.`, retryCustomId);
+        if (!orderId) {
+          await interaction.editReply({ content: '❌ WTB not found.' }).catch(() => null);
           return;
         }
-        
-        const existingOffer = orderId
-          ? await findExistingSellerOffer(sourceType, orderId, sellerRecordId)
-          : null;
-    
-        // undercut logic
-        if (orderId) {
-          const lowest = await getCurrentLowest(sourceType, orderId, existingOffer?.id || null);
-          if (lowest) {
-            const isFirstMemberWtbOffer =
-              sourceType === 'member_wtb' &&
-              !existingOffer &&
-              parseNumeric(sourceRecord?.get('Current Lowest Offer')) === null &&
-              parseNumeric(sourceRecord?.get('Lowest Offer')) === null;
-
-            const maxAllowedGross = isFirstMemberWtbOffer
-              ? lowest.normalized
-              : lowest.normalized - MIN_UNDERCUT_STEP;
-    
-            if (normalizedOffer > maxAllowedGross + 1e-9) {
-              const lowestStr = formatLowestForDisplay(lowest);
-    
-              let maxForSeller = maxAllowedGross;
-              if (vatInput === 'VAT0') maxForSeller = maxAllowedGross / 1.21;
-    
-              const maxForSellerRounded = Math.floor(maxForSeller);
 
-              const maxDisplay = `€${maxForSellerRounded} (${vatInput})`;
-              const altDisplay = '';
-    
-              const msg =
-                `❌ Offer too high.\n` +
-                `Current lowest: **${lowestStr}**\n` +
-                (
-                  isFirstMemberWtbOffer
-                    ? `Max allowed for this WTB: **${maxDisplay}${altDisplay}**.`
-                    : `Your offer must be at least **€${MIN_UNDERCUT_STEP.toFixed(2)}** lower than that.\n` +
-                      `Max allowed for your VAT type: **${maxDisplay}${altDisplay}**.`
-                );
-    
-              await interaction.editReply({ content: msg }).catch(() => null);
-              await safeDMWithRetry(interaction.user, `${msg}\n\nYour offer was **not** saved. You can try again by clicking the button below.`, retryCustomId);
-              return;
-            }
-          }
-        }
+        const result = await placeSellerOffer({
+          sourceType,
+          recordId: orderId,
+          sellerRecord,
+          offerPrice,
+          vatType: vatInput,
+          currency: offerInput.currency,
+          autoAccept: {
+            discordUserId: interaction.user.id,
+            imageUrl: interaction.message?.embeds?.[0]?.image?.url || null
+          },
+          origin: { channel: OFFER_CHANNEL_DISCORD, discordUserId: interaction.user.id }
+        });
 
-        // OPTIONAL: store/refresh Discord ID on the Seller record (editable field!)
-        const SELLER_DISCORD_ID_FIELD = 'Discord ID';
+        if (!result.ok) {
+          if (result.code === 'vat_not_allowed') {
+            const msg =
+              `❌ ${result.error}\n` +
+              `Allowed VAT type: **${result.allowedVatTypes}**.`;
 
-        const existing = sellers[0]?.get?.(SELLER_DISCORD_ID_FIELD) || null;
-        if (!existing) {
-          await base(sellersTableName)
-            .update(sellerRecordId, { [SELLER_DISCORD_ID_FIELD]: interaction.user.id })
-            .catch(() => null);
-        }
+            await interaction.editReply({ content: msg }).catch(() => null);
+            await safeDMWithRetry(interaction.user, `${msg}\n\nYour offer was **not** saved.`, retryCustomId);
+            return;
+          }
 
-    
-        const fields = {
-          'Seller Offer': offerPrice,
-          'Offer VAT Type': vatInput,
-          'Offer Cost (Normalized)': normalizedOffer,
-          'Offer Date': new Date().toISOString(),
-          'Seller ID': [sellerRecordId]
-        };
-        
-        if (orderId) {
-          fields[getSourceConfig(sourceType).linkedOfferField] = [orderId];
-        }
-        
-        let savedOffer;
+          if (result.code === 'too_high') {
+            const lowestStr = formatLowestForDisplay(result.lowest, result.country);
+            const maxDisplay = `${formatEurForCurrency(result.maxForSeller, result.currency)} (${vatInput})`;
 
-        const freshExistingOffer = orderId
-          ? await findExistingSellerOffer(sourceType, orderId, sellerRecordId)
-          : null;
-        
-        if (freshExistingOffer) {
-          savedOffer = await base(sellerOffersTableName).update(freshExistingOffer.id, fields);
-        } else {
-          savedOffer = await base(sellerOffersTableName).create(fields);
-        }
-        
-        if (orderId) {
-          const lowestAfterSave = await getCurrentLowest(sourceType, orderId);
-        
-          if (lowestAfterSave && Number.isFinite(lowestAfterSave.raw)) {
-            const updateFields = {};
-        
-            if (sourceType === "member_wtb") {
-              updateFields["Current Lowest Offer"] = lowestAfterSave.raw;
-              updateFields["Current Lowest Normalized"] = lowestAfterSave.normalized;
-              updateFields["Current Lowest Seller Offer"] = [savedOffer.id];
-        
-              updateFields["New Offer Available"] = false;
-              updateFields["Offer Sent?"] = true;
-        
-              updateFields["Lowest Offer"] = lowestAfterSave.raw;
-              updateFields["Lowest Offer Normalized"] = lowestAfterSave.normalized;
-              updateFields["Lowest Offer VAT Type"] = lowestAfterSave.vatType;
-              updateFields["Lowest Offer Seller ID"] = [sellerRecordId];
-            }
-        
-            if (Object.keys(updateFields).length) {
-              await getSourceTable(sourceType).update(orderId, updateFields);
-
-              if (
-                sourceType === "member_wtb" &&
-                !isMemberWtbAutoAccept(sourceRecord) &&
-                KC_PORTAL_BASE_URL &&
-                KC_PORTAL_SECRET
-              ) {
-                await fetch(`${KC_PORTAL_BASE_URL}/api/member-wtb/send-current-offer-to-buyer`, {
-                  method: "POST",
-                  headers: {
-                    "Content-Type": "application/json",
-                    "x-kc-secret": KC_PORTAL_SECRET
-                  },
-                  body: JSON.stringify({
-                    member_wtb_record_id: orderId
-                  })
-                }).catch((err) => {
-                  console.error("Failed to send current offer to buyer:", err);
-                });
-              }
-            }
+            const msg =
+              `❌ Offer too high.\n` +
+              `Current lowest: **${lowestStr}**\n` +
+              (
+                result.isFirstMemberWtbOffer
+                  ? `Max allowed for this WTB: **${maxDisplay}**.`
+                  : `Your offer must be at least **€${result.undercutStep.toFixed(2)}** lower than that.\n` +
+                    `Max allowed for your VAT type: **${maxDisplay}**.`
+              );
+
+            await interaction.editReply({ content: msg }).catch(() => null);
+            await safeDMWithRetry(interaction.user, `${msg}\n\nYour offer was **not** saved. You can try again by clicking the button below.`, retryCustomId);
+            return;
           }
+
+          await interaction.editReply({ content: `❌ ${result.error}` }).catch(() => null);
+          return;
         }
 
-        if (sourceType === 'member_wtb' && sourceRecord && isMemberWtbAutoAccept(sourceRecord)) {
-          const result = await createMemberWtbDealChannel({
-            memberWtbRecord: sourceRecord,
-            sellerRecord: sellers[0],
-            sellerOfferRecordId: savedOffer.id,
-            sellerCode,
-            discordUserId: interaction.user.id,
-            offerPrice,
-            vatType: vatInput,
-            imageUrl: interaction.message.embeds?.[0]?.image?.url || null
-          });
-        
-          await disableSellerOfferMessages(orderId, sourceType);
+        const savedOffer = result.savedOffer;
 
-          await getSourceTable(sourceType).update(orderId, {
-            'Fulfillment Status': 'Confirmed'
+        if (result.held) {
+          await interaction.editReply({
+            content:
+              `🕵️ Offer ${result.action === 'updated' ? 'updated' : 'received'}: ${formatOfferAmount(offerPrice, result.currency, result.fxRate)} (${vatInput}).\n` +
+              (result.holdCode === 'probation'
+                ? 'Your seller account is on probation, so staff will review it before it counts towards the lowest. '
+                : 'It is well below the usual price for this WTB, so staff will review it before it counts towards the lowest. ') +
+              `We'll DM you once it has been reviewed.`
           }).catch(() => null);
-        
+          return;
+        }
+
+        if (result.dealChannelId) {
           await interaction.editReply({
             content:
               `✅ Your offer has been accepted automatically.\n` +
-              `A private deal channel has been created: <#${result.channelId}>`
+              `A private deal channel has been created: <#${result.dealChannelId}>`
           }).catch(() => null);
         
           return;
         }
 
-    
         await interaction.editReply({
-          content: `✅ Offer ${existingOffer ? 'updated' : 'submitted'}.\nSeller: ${sellerCode}\nOffer: €${Math.floor(offerPrice)} (${vatInput})`
+          content: `✅ Offer ${result.action === 'updated' ? 'updated' : 'submitted'}.\nSeller: ${sellerCode}\nOffer: ${formatOfferAmount(offerPrice, result.currency, result.fxRate)} (${vatInput})`
         }).catch(() => null);
     
         // DM confirmation
         try {
           const dmRow = new ActionRowBuilder().addComponents(
-            new ButtonBuilder().setLabel('Go To WTB').setStyle(ButtonStyle.Link).setURL(WTB_URL)
+            new ButtonBuilder().setLabel('Go To WTB').setStyle(ButtonStyle.Link).setURL(WTB_URL),
+            new ButtonBuilder()
+              .setCustomId(`withdraw_offer:${savedOffer.id}`)
+              .setLabel('Withdraw Offer')
+              .setStyle(ButtonStyle.Danger)
           );
     
           await interaction.user.send({
@@ -1750,13 +6631,7 @@ client.on(Events.InteractionCreate, async (interaction) => {
       // Re-open the offer modal with the same placeholder logic
       let orderRecord = null;
       try {
-        const recs = await base(ordersTableName)
-          .select({
-            filterByFormula: `SEARCH("${messageId}", {${ORDER_FIELD_SELLER_MSG_IDS}})`,
-            maxRecords: 1
-          })
-          .firstPage();
-        orderRecord = recs[0] || null;
+        orderRecord = await db.orders.findFirst({ [ORDER_FIELD_SELLER_MSG_IDS]: { contains: messageId } });
       } catch (_) {}
 
       let offerPlaceholder = 'Enter your offer (e.g. 140)';
@@ -1767,16 +6642,9 @@ client.on(Events.InteractionCreate, async (interaction) => {
 
       const modal = new ModalBuilder()
         .setCustomId(`seller_offer_modal:${messageId}`)
-        .setTitle('Enter Seller ID, VAT & Offer');
+        .setTitle('Enter VAT & Offer');
 
       modal.addComponents(
-        new ActionRowBuilder().addComponents(
-          new TextInputBuilder()
-            .setCustomId('seller_id')
-            .setLabel('Seller ID (e.g. 00001)')
-            .setStyle(TextInputStyle.Short)
-            .setRequired(true)
-        ),
         new ActionRowBuilder().addComponents(
           new TextInputBuilder()
             .setCustomId('vat_type')
@@ -1787,7 +6655,7 @@ client.on(Events.InteractionCreate, async (interaction) => {
         new ActionRowBuilder().addComponents(
           new TextInputBuilder()
             .setCustomId('offer_price')
-            .setLabel('Your Offer (€)')
+            .setLabel('Your Offer (e.g. 140 or £120)')
             .setStyle(TextInputStyle.Short)
             .setRequired(true)
             .setPlaceholder(offerPlaceholder)
@@ -1802,6 +6670,58 @@ client.on(Events.InteractionCreate, async (interaction) => {
   }
 });
 
+/* ---------------- Fallback handlers ---------------- */
+
+app.use((req, res) => sendError(res, 404, 'route_not_found', `No route for ${req.method} ${req.path}`));
+
+app.use((err, req, res, _next) => {
+  if (err?.type === 'entity.parse.failed') {
+    return sendError(res, 400, 'invalid_json', 'Request body is not valid JSON.');
+  }
+
+  if (err?.type === 'entity.too.large') {
+    return sendError(res, 413, 'payload_too_large', 'Request body is too large.');
+  }
+
+  console.error(`Unhandled error in ${req.method} ${req.path}:`, err);
+  return sendError(res, 500, 'internal_error', 'Internal error');
+});
+
 /* ---------------- Start HTTP server ---------------- */
 
-app.listen(PORT, () => console.log(`🌐 WTB Seller Offers Bot running on port ${PORT}`));
+if (isSimulation) {
+  const server = app.listen(0, '127.0.0.1', async () => {
+    const { port } = server.address();
+    console.log(`🧪 Simulation mode: API on port ${port}, scenarios from ${SIMULATION_SCENARIOS}`);
+
+    let passed = false;
+    try {
+      passed = await runScenarios({
+        dir: SIMULATION_SCENARIOS,
+        sim: client,
+        db,
+        baseUrl: `http://127.0.0.1:${port}`,
+        callerKeys: CALLER_KEYS,
+        onSeed: () => {
+          offerRateBuckets.clear();
+          return rebuildOfferIndex();
+        },
+        tasks: { expireStaleWtbs, processDealChannels, pollLabelRequests }
+      });
+    } catch (err) {
+      console.error('Simulation failed:', err);
+    }
+
+    server.close();
+    process.exit(passed ? 0 : 1);
+  });
+} else {
+  app.listen(PORT, () => console.log(`🌐 WTB Seller Offers Bot running on port ${PORT}`));
+
+  startOfferIndexReconcile();
+  startPartnerDeliveryWorker();
+  startWtbExpiryScheduler();
+  startDealChannelLifecycle();
+  startLabelPoller();
+  fx.start();
+}
@@ -0,0 +1,159 @@
+import fs from 'fs';
+import path from 'path';
+
+/* ---------------- Pricing rules ----------------
+   VAT rate per seller country (used to gross up VAT0 offers) and the minimum
+   undercut step per brand / price band. Loaded from PRICING_RULES_FILE; the
+   built-in defaults reproduce the old behaviour (21% NL VAT, flat €2.50 step).
+
+   {
+     "defaultCountry": "NL",
+     "vatRates": { "NL": 21, "DE": 19, "BE": 21, "FR": 20 },
+     "undercutSteps": [
+       { "brand": "jordan", "minPrice": 500, "percent": 1 },
+       { "minPrice": 600, "amount": 5 },
+       { "amount": 2.5 }
+     ]
+   }
+
+   vatRates are percentages. undercutSteps are checked top to bottom against
+   the offer being undercut (normalized price, brand via normalizeBrand); the
+   first match wins. A step is either `amount` (€) or `percent` of that price. */
+
+export const DEFAULT_PRICING_RULES = {
+  defaultCountry: 'NL',
+  vatRates: { NL: 21 },
+  undercutSteps: [{ amount: 2.5 }]
+};
+
+const COUNTRY_ALIASES = {
+  NETHERLANDS: 'NL',
+  'THE NETHERLANDS': 'NL',
+  NEDERLAND: 'NL',
+  HOLLAND: 'NL',
+  GERMANY: 'DE',
+  DEUTSCHLAND: 'DE',
+  BELGIUM: 'BE',
+  BELGIE: 'BE',
+  'BELGIË': 'BE',
+  BELGIQUE: 'BE',
+  FRANCE: 'FR'
+};
+
+export function normalizeCountry(raw) {
+  const value = String(raw || '').trim().toUpperCase();
+  if (!value) return null;
+  return COUNTRY_ALIASES[value] || value;
+}
+
+function validateRules(rules) {
+  const errors = [];
+
+  if (!normalizeCountry(rules.defaultCountry)) errors.push('defaultCountry is required');
+
+  for (const [country, rate] of Object.entries(rules.vatRates || {})) {
+    if (!Number.isFinite(rate) || rate < 0 || rate >= 100) errors.push(`vatRates.${country} must be a percentage`);
+  }
+
+  if (!Object.keys(rules.vatRates || {}).map(normalizeCountry).includes(normalizeCountry(rules.defaultCountry))) {
+    errors.push(`vatRates has no rate for defaultCountry ${rules.defaultCountry}`);
+  }
+
+  if (!Array.isArray(rules.undercutSteps) || !rules.undercutSteps.length) {
+    errors.push('undercutSteps must be a non-empty list');
+  }
+
+  for (const [i, step] of (rules.undercutSteps || []).entries()) {
+    const hasAmount = Number.isFinite(step.amount) && step.amount >= 0;
+    const hasPercent = Number.isFinite(step.percent) && step.percent >= 0;
+
+    if (hasAmount === hasPercent) errors.push(`undercutSteps[${i}] needs either amount or percent`);
+    if (step.minPrice !== undefined && !Number.isFinite(step.minPrice)) errors.push(`undercutSteps[${i}].minPrice must be a number`);
+    if (step.maxPrice !== undefined && !Number.isFinite(step.maxPrice)) errors.push(`undercutSteps[${i}].maxPrice must be a number`);
+  }
+
+  const last = rules.undercutSteps?.[rules.undercutSteps.length - 1];
+  if (last && (last.brand || last.minPrice !== undefined || last.maxPrice !== undefined)) {
+    errors.push('the last undercutSteps entry must be a catch-all (no brand or price band)');
+  }
+
+  return errors;
+}
+
+/**
+ * Build the pricing helpers from a rules object.
+ * `normalizeBrand` is the same brand normalizer used for channel routing.
+ */
+export function createPricingRules(rules, { normalizeBrand = (b) => String(b || '').trim().toLowerCase() } = {}) {
+  const errors = validateRules(rules);
+  if (errors.length) {
+    throw new Error(`Invalid pricing rules: ${errors.join('; ')}`);
+  }
+
+  const defaultCountry = normalizeCountry(rules.defaultCountry);
+  const vatRates = new Map(
+    Object.entries(rules.vatRates).map(([country, rate]) => [normalizeCountry(country), rate / 100])
+  );
+  const steps = rules.undercutSteps.map((step) => ({
+    ...step,
+    brand: step.brand ? normalizeBrand(step.brand) : null
+  }));
+
+  function resolveCountry(country) {
+    const code = normalizeCountry(country);
+    return code && vatRates.has(code) ? code : defaultCountry;
+  }
+
+  function vatRateFor(country) {
+    return vatRates.get(resolveCountry(country));
+  }
+
+  /**
+   * Normalize an offer for comparison:
+   * - VAT0 → grossed up with the seller's country VAT rate
+   * - Margin/VAT21 → as-is (treated as gross)
+   */
+  function getNormalized(price, vatType, country) {
+    if (!Number.isFinite(price)) return null;
+    if (vatType === 'VAT0') return price * (1 + vatRateFor(country));
+    return price;
+  }
+
+  /**
+   * Convert a normalized (gross) amount back into a seller's VAT type,
+   * rounded down to whole euros.
+   */
+  function getMaxForSeller(maxAllowedGross, vatType, country) {
+    const max = vatType === 'VAT0' ? maxAllowedGross / (1 + vatRateFor(country)) : maxAllowedGross;
+    return Math.floor(max);
+  }
+
+  /**
+   * Minimum amount (€, cents precision) a new offer has to undercut
+   * `price` by on a WTB of `brand`.
+   */
+  function getUndercutStep({ brand, price }) {
+    const normBrand = normalizeBrand(brand);
+    const step = steps.find(
+      (s) =>
+        (!s.brand || s.brand === normBrand) &&
+        (s.minPrice === undefined || price >= s.minPrice) &&
+        (s.maxPrice === undefined || price < s.maxPrice)
+    );
+
+    const amount = Number.isFinite(step.percent) ? (price * step.percent) / 100 : step.amount;
+    return Math.round(amount * 100) / 100;
+  }
+
+  return { defaultCountry, resolveCountry, vatRateFor, getNormalized, getMaxForSeller, getUndercutStep };
+}
+
+export function loadPricingRules(file, options) {
+  if (!file) return createPricingRules(DEFAULT_PRICING_RULES, options);
+
+  const resolved = path.resolve(file);
+  const rules = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+
+  console.log(`💶 Loaded pricing rules from ${resolved}`);
+  return createPricingRules({ ...DEFAULT_PRICING_RULES, ...rules }, options);
+}
@@ -0,0 +1,930 @@
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { Events } from 'discord.js';
+
+/* ---------------- Simulation mode ----------------
+   SIMULATION_MODE=true swaps the Discord client for a local stand-in that
+   records every sent/edited message and DM, lets scenarios inject slash
+   commands, button clicks and modal submissions, and answers outbound HTTP
+   (portal, WMS, partner webhooks) from mocks. Nothing leaves the machine.
+
+   Scenarios are JSON files (see scenarios/) run in order against the real
+   HTTP API and the Events.InteractionCreate router; `task` steps run one
+   pass of a background job (e.g. the WTB expiry sweep) on demand, `post`
+   steps put a message into a channel as if an older bot version had sent it,
+   and `concurrent` steps fire several steps at the same moment (set the
+   scenario's `storageLatencyMs` so their storage calls actually interleave). */
+
+const SIM_GUILD_ID = '100000000000000001';
+
+// Fixed ids/URLs so scenarios are deterministic regardless of the local .env
+export const SIMULATION_ENV = {
+  DISCORD_TOKEN: 'simulated',
+  DISCORD_GUILD_ID: SIM_GUILD_ID,
+  DISCORD_DEALS_CHANNEL_ID: '100000000000000010',
+  WTB_DEFAULT_CHANNEL_ID: '100000000000000010',
+  WTB_BRAND_CHANNEL_MAP: '',
+  PAYOUT_CATEGORY_ID: '100000000000000020',
+  MEMBER_WTB_CATEGORY_ID: '100000000000000030',
+  KC_PORTAL_BASE_URL: 'http://portal.sim',
+  KC_PORTAL_SECRET: 'simulated-portal-secret',
+  PROCESS_DEAL_WEBHOOK_URL: 'http://automation.sim/process-deal',
+  LOJIQ_WMS_BASE_URL: 'http://wms.sim',
+  PRICING_RULES_FILE: '',
+  CURRENCY_RATES_FILE: './scenarios/fixtures/currency-rates.json',
+  CURRENCY_RATES_URL: '',
+  WTB_STAFF_ROLE_ID: '100000000000000040',
+  OFFER_MODERATION_CHANNEL_ID: '100000000000000050',
+  STORAGE_BACKEND: 'memory'
+};
+
+export function isSimulationEnabled(env = process.env) {
+  return ['1', 'true', 'yes'].includes(String(env.SIMULATION_MODE || '').trim().toLowerCase());
+}
+
+export function applySimulationEnv(env = process.env) {
+  Object.assign(env, SIMULATION_ENV);
+}
+
+let snowflakeCounter = 0n;
+
+function nextSnowflake() {
+  snowflakeCounter += 1n;
+  return String(1300000000000000000n + snowflakeCounter);
+}
+
+function toJSON(value) {
+  return value && typeof value.toJSON === 'function' ? value.toJSON() : value;
+}
+
+// discord.js components expose camelCase getters and toJSON(); mimic that over API data
+function wrapComponent(data) {
+  return { ...data, customId: data.custom_id, toJSON: () => data };
+}
+
+function wrapRow(data) {
+  return { ...data, components: (data.components || []).map(wrapComponent), toJSON: () => data };
+}
+
+function simError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/* ---------------- Fake Discord objects ---------------- */
+
+class SimulatedMessage {
+  constructor(channel, payload, author) {
+    this.id = nextSnowflake();
+    this.channel = channel;
+    this.channelId = channel.id;
+    this.guildId = channel.guildId;
+    this.author = author;
+    this.createdTimestamp = Date.now();
+    this.content = '';
+    this.embeds = [];
+    this.components = [];
+    this.files = [];
+    this.deleted = false;
+    this.apply(payload);
+  }
+
+  get url() {
+    return `https://discord.com/channels/${this.guildId || '@me'}/${this.channelId}/${this.id}`;
+  }
+
+  get createdAt() {
+    return new Date(this.createdTimestamp);
+  }
+
+  get attachments() {
+    return new Map(this.files.map((name, i) => [`${this.id}-${i}`, { name, url: `https://cdn.discord.sim/${this.id}/${name}` }]));
+  }
+
+  apply(payload) {
+    const p = typeof payload === 'string' ? { content: payload } : payload || {};
+
+    if ('content' in p) this.content = p.content ?? '';
+    if ('embeds' in p) this.embeds = (p.embeds || []).map(toJSON);
+    if ('components' in p) this.components = (p.components || []).map((row) => wrapRow(toJSON(row)));
+    if ('files' in p) this.files = (p.files || []).map((f) => (typeof f === 'string' ? f : f?.name || 'file'));
+  }
+
+  async edit(payload) {
+    if (this.deleted) throw simError('Unknown Message', 10008);
+    this.apply(payload);
+    this.channel.sim.record('edit', this);
+    return this;
+  }
+
+  async delete() {
+    this.deleted = true;
+    this.channel.messageMap.delete(this.id);
+    this.channel.sim.record('delete', this);
+  }
+
+  findButton({ label, customId }) {
+    for (const row of this.components) {
+      for (const component of row.components) {
+        if (customId && component.custom_id === customId) return component;
+        if (label && component.label === label) return component;
+      }
+    }
+    return null;
+  }
+
+  snapshot() {
+    const components = this.components.map((row) => toJSON(row));
+    return {
+      id: this.id,
+      channelId: this.channelId,
+      content: this.content,
+      embeds: this.embeds,
+      components,
+      files: this.files,
+      text: [this.content, JSON.stringify(this.embeds), JSON.stringify(components), ...this.files].join('\n')
+    };
+  }
+}
+
+class SimulatedChannel {
+  constructor(sim, { id, name, guild = null, parentId = null, permissionOverwrites = [], recipientId = null }) {
+    this.sim = sim;
+    this.id = id;
+    this.name = name;
+    this.guild = guild;
+    this.guildId = guild?.id || null;
+    this.parentId = parentId;
+    this.recipientId = recipientId;
+    this.messageMap = new Map();
+    this.deleted = false;
+
+    // { cache, edit } like discord.js' PermissionOverwriteManager; edits are merged as { [flag]: boolean }
+    const overwrites = new Map(permissionOverwrites.map((o) => [o.id?.id ?? o.id, { ...o, id: o.id?.id ?? o.id }]));
+    this.permissionOverwrites = {
+      cache: overwrites,
+      edit: async (target, options) => {
+        const id = target?.id ?? target;
+        const existing = overwrites.get(id) || { id };
+        overwrites.set(id, { ...existing, set: { ...existing.set, ...options } });
+        this.sim.record('permissions', this);
+        return this;
+      }
+    };
+
+    this.messages = {
+      // fetch(id) → one message; fetch({ limit, before }) → newest first, like the API
+      fetch: async (query) => {
+        if (typeof query !== 'string') {
+          const { limit = 50, before = null } = query || {};
+          const page = [...this.messageMap.values()]
+            .filter((m) => !before || BigInt(m.id) < BigInt(before))
+            .sort((a, b) => (BigInt(b.id) > BigInt(a.id) ? 1 : -1))
+            .slice(0, limit);
+          return new Map(page.map((m) => [m.id, m]));
+        }
+        const msg = this.messageMap.get(query);
+        if (!msg) throw simError('Unknown Message', 10008);
+        return msg;
+      }
+    };
+  }
+
+  isTextBased() {
+    return !this.deleted;
+  }
+
+  async send(payload) {
+    if (this.deleted) throw simError('Unknown Channel', 10003);
+    const msg = new SimulatedMessage(this, payload, this.sim.user);
+    this.messageMap.set(msg.id, msg);
+    this.sim.record(this.recipientId ? 'dm' : 'send', msg);
+    return msg;
+  }
+
+  async delete() {
+    this.deleted = true;
+    this.sim.channels.delete(this.id);
+    this.sim.record('channel_delete', this);
+  }
+
+  toString() {
+    return `<#${this.id}>`;
+  }
+}
+
+class SimulatedUser {
+  constructor(sim, id) {
+    this.sim = sim;
+    this.id = id;
+    this.username = `user-${id.slice(-4)}`;
+    this.tag = `${this.username}#0000`;
+    this.bot = false;
+  }
+
+  async send(payload) {
+    return this.sim.getDmChannel(this.id).send(payload);
+  }
+
+  toString() {
+    return `<@${this.id}>`;
+  }
+}
+
+class SimulatedGuild {
+  constructor(sim, id) {
+    this.id = id;
+    this.roles = { everyone: { id } };
+    this.members = { fetch: async (userId) => ({ id: userId, user: sim.getUser(userId) }) };
+    this.channels = {
+      create: async (opts) => {
+        const channel = sim.createChannel({
+          name: opts.name,
+          parentId: opts.parent?.id ?? opts.parent ?? null,
+          permissionOverwrites: opts.permissionOverwrites || []
+        });
+        sim.record('channel_create', channel);
+        return channel;
+      }
+    };
+    this.commands = { set: async (commands) => sim.setCommands(commands) };
+  }
+}
+
+/* ---------------- Fake client ---------------- */
+
+export class SimulatedDiscord extends EventEmitter {
+  constructor() {
+    super();
+    this.user = { id: '100000000000000099', tag: 'WTB Bot (simulated)#0000' };
+    this.guild = new SimulatedGuild(this, SIM_GUILD_ID);
+    // discord.js-shaped managers; the bot only calls .fetch() on them
+    this.channels = Object.assign(new Map(), { fetch: async (id) => this.getChannel(id) });
+    this.users = Object.assign(new Map(), { fetch: async (id) => this.getUser(id) });
+    this.guilds = { fetch: async (id) => (id === this.guild.id ? this.guild : null) };
+    this.application = { commands: { set: async (commands) => this.setCommands(commands) } };
+    this.journal = [];
+    this.pending = new Set();
+    this.commands = [];
+    this.outboundMocks = [];
+    this.lastModal = new Map(); // userId -> { modal, message }
+    this.lastReply = new Map(); // userId -> SimulatedMessage
+
+    this.ready = new Promise((resolve) => this.once(Events.ClientReady, () => resolve()));
+  }
+
+  on(event, listener) {
+    return super.on(event, (...args) => this.track(listener(...args)));
+  }
+
+  once(event, listener) {
+    return super.once(event, (...args) => this.track(listener(...args)));
+  }
+
+  track(result) {
+    if (!result || typeof result.then !== 'function') return;
+    const p = Promise.resolve(result).finally(() => this.pending.delete(p));
+    this.pending.add(p);
+  }
+
+  // Wait until every handler (and anything it awaited) has finished
+  async settle() {
+    while (this.pending.size) {
+      await Promise.allSettled([...this.pending]);
+    }
+  }
+
+  async login() {
+    setImmediate(() => this.emit(Events.ClientReady, this));
+    return 'simulated';
+  }
+
+  setCommands(commands) {
+    this.commands = commands.map(toJSON);
+    return this.commands;
+  }
+
+  record(type, target) {
+    this.journal.push({ type, target });
+  }
+
+  createChannel({ id = nextSnowflake(), name, parentId = null, permissionOverwrites = [] }) {
+    const channel = new SimulatedChannel(this, { id, name, guild: this.guild, parentId, permissionOverwrites });
+    this.channels.set(channel.id, channel);
+    return channel;
+  }
+
+  // Any id the bot asks for exists (text channels and categories alike)
+  getChannel(id) {
+    const key = String(id || '');
+    if (!key) throw simError('Unknown Channel', 10003);
+    return this.channels.get(key) || this.createChannel({ id: key, name: `sim-${key.slice(-4)}` });
+  }
+
+  getUser(id) {
+    const key = String(id);
+    if (!this.users.has(key)) this.users.set(key, new SimulatedUser(this, key));
+    return this.users.get(key);
+  }
+
+  getDmChannel(userId) {
+    const id = `dm-${userId}`;
+    if (!this.channels.has(id)) {
+      this.channels.set(id, new SimulatedChannel(this, { id, name: id, recipientId: userId }));
+    }
+    return this.channels.get(id);
+  }
+
+  findMessage(id) {
+    for (const channel of this.channels.values()) {
+      const msg = channel.messageMap.get(id);
+      if (msg) return msg;
+    }
+    return null;
+  }
+
+  reset() {
+    this.channels.clear();
+    this.users.clear();
+    this.journal = [];
+    this.outboundMocks = [];
+    this.lastModal.clear();
+    this.lastReply.clear();
+  }
+
+  /* ---- outbound HTTP ---- */
+
+  mockOutbound(mocks = {}) {
+    for (const [key, response] of Object.entries(mocks)) {
+      const [method, ...rest] = key.includes(' ') ? key.split(' ') : ['*', key];
+      this.outboundMocks.unshift({ method: method.toUpperCase(), match: rest.join(' '), response });
+    }
+  }
+
+  async fetch(url, options = {}) {
+    const method = String(options.method || 'GET').toUpperCase();
+    const body = typeof options.body === 'string' ? options.body : '';
+
+    const mock = this.outboundMocks.find(
+      (m) => (m.method === '*' || m.method === method) && String(url).includes(m.match)
+    );
+    const status = mock?.response?.status ?? 200;
+    const responseBody = mock?.response?.body ?? {};
+
+    this.record('outbound', { url: String(url), method, body, status });
+
+    if (mock?.response?.networkError) throw new Error(`Simulated network error for ${url}`);
+
+    return new Response(JSON.stringify(responseBody), {
+      status,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  /* ---- injected interactions ---- */
+
+  createInteraction(kind, { userId, message = null, channel = null, customId = null, component = null, fields = {}, commandName = null, options = {}, roles = [] }) {
+    const sim = this;
+    const user = this.getUser(userId);
+    const targetChannel = channel || message?.channel || null;
+    const replyChannel = this.getChannel(`ephemeral-${userId}`);
+
+    let replyMessage = null;
+
+    const pushReply = async (payload) => {
+      if (!replyMessage) {
+        replyMessage = await replyChannel.send(payload);
+      } else {
+        await replyMessage.edit(payload);
+      }
+      interaction.replies.push(replyMessage.snapshot());
+      sim.lastReply.set(userId, replyMessage);
+      return replyMessage;
+    };
+
+    const interaction = {
+      id: nextSnowflake(),
+      kind,
+      customId,
+      component,
+      commandName,
+      user,
+      member: { id: userId, user, roles: { cache: new Map(roles.map((id) => [String(id), { id: String(id) }])) } },
+      guildId: targetChannel?.guildId || null,
+      guild: targetChannel?.guildId ? this.guild : null,
+      channelId: targetChannel?.id || null,
+      channel: targetChannel,
+      message,
+      replied: false,
+      deferred: false,
+      replies: [],
+      modal: null,
+
+      isButton: () => kind === 'button',
+      isModalSubmit: () => kind === 'modal',
+      isChatInputCommand: () => kind === 'command',
+      isRepliable: () => true,
+
+      async deferReply() {
+        if (interaction.replied || interaction.deferred) throw simError('Interaction already acknowledged', 40060);
+        interaction.deferred = true;
+      },
+
+      async deferUpdate() {
+        if (interaction.replied || interaction.deferred) throw simError('Interaction already acknowledged', 40060);
+        interaction.deferred = true;
+      },
+
+      async reply(payload) {
+        if (interaction.replied || interaction.deferred) throw simError('Interaction already acknowledged', 40060);
+        interaction.replied = true;
+        return pushReply(payload);
+      },
+
+      async editReply(payload) {
+        if (!interaction.replied && !interaction.deferred) throw simError('Interaction not replied', 10062);
+        return pushReply(payload);
+      },
+
+      async followUp(payload) {
+        if (!interaction.replied && !interaction.deferred) throw simError('Interaction not replied', 10062);
+        const msg = await replyChannel.send(payload);
+        interaction.replies.push(msg.snapshot());
+        sim.lastReply.set(userId, msg);
+        return msg;
+      },
+
+      async showModal(modal) {
+        if (interaction.replied || interaction.deferred) throw simError('Interaction already acknowledged', 40060);
+        interaction.replied = true;
+        interaction.modal = toJSON(modal);
+        sim.lastModal.set(userId, { modal: interaction.modal, message });
+      },
+
+      fields: {
+        getTextInputValue: (id) => {
+          if (!(id in fields)) throw simError(`Modal field "${id}" was not submitted`, 'ModalSubmitInteractionFieldNotFound');
+          return String(fields[id]);
+        }
+      },
+
+      options: {
+        getString: (name, required = false) => {
+          if (options[name] === undefined && required) throw simError(`Missing option "${name}"`, 'CommandInteractionOptionNotFound');
+          return options[name] === undefined ? null : String(options[name]);
+        },
+        getBoolean: (name, required = false) => {
+          if (options[name] === undefined && required) throw simError(`Missing option "${name}"`, 'CommandInteractionOptionNotFound');
+          return options[name] === undefined ? null : options[name] === true || options[name] === 'true';
+        },
+        getInteger: (name, required = false) => {
+          if (options[name] === undefined && required) throw simError(`Missing option "${name}"`, 'CommandInteractionOptionNotFound');
+          return options[name] === undefined ? null : parseInt(options[name], 10);
+        },
+        getNumber: (name, required = false) => {
+          if (options[name] === undefined && required) throw simError(`Missing option "${name}"`, 'CommandInteractionOptionNotFound');
+          return options[name] === undefined ? null : Number(options[name]);
+        },
+        getUser: (name, required = false) => {
+          if (options[name] === undefined && required) throw simError(`Missing option "${name}"`, 'CommandInteractionOptionNotFound');
+          return options[name] === undefined ? null : sim.getUser(options[name]);
+        },
+        getSubcommand: (required = true) => {
+          if (options.subcommand === undefined && required) throw simError('Missing subcommand', 'CommandInteractionOptionNoSubcommand');
+          return options.subcommand ?? null;
+        }
+      }
+    };
+
+    return interaction;
+  }
+
+  async dispatch(interaction) {
+    this.emit(Events.InteractionCreate, interaction);
+    await this.settle();
+
+    if (!interaction.replied && !interaction.deferred) {
+      throw new Error(`Interaction ${interaction.customId || interaction.commandName} was never acknowledged`);
+    }
+
+    return interaction;
+  }
+
+  async runCommand({ userId, name, options = {}, channelId = null, roles = [] }) {
+    const registered = this.commands.find((c) => c.name === name);
+    if (!registered) throw new Error(`Slash command /${name} is not registered`);
+
+    const channel = channelId ? this.getChannel(channelId) : null;
+    return this.dispatch(this.createInteraction('command', { userId, channel, commandName: name, options, roles }));
+  }
+
+  async click({ userId, message, label, customId, roles = [] }) {
+    const component = message.findButton({ label, customId });
+    if (!component) throw new Error(`No button ${label || customId} on message ${message.id}`);
+    if (component.disabled) throw new Error(`Button ${component.label || component.custom_id} is disabled`);
+    if (!component.custom_id) throw new Error(`Button ${component.label} is a link button (${component.url})`);
+
+    return this.dispatch(
+      this.createInteraction('button', { userId, message, customId: component.custom_id, component: wrapComponent(component), roles })
+    );
+  }
+
+  async submitModal({ userId, fields = {}, roles = [] }) {
+    const open = this.lastModal.get(userId);
+    if (!open) throw new Error(`No modal is open for user ${userId}`);
+
+    const inputs = (open.modal.components || []).flatMap((row) => row.components || []);
+    for (const key of Object.keys(fields)) {
+      if (!inputs.some((input) => input.custom_id === key)) {
+        throw new Error(`Modal ${open.modal.custom_id} has no field "${key}"`);
+      }
+    }
+    for (const input of inputs) {
+      if (input.required && (fields[input.custom_id] === undefined || fields[input.custom_id] === '')) {
+        throw new Error(`Modal field "${input.custom_id}" is required`);
+      }
+    }
+
+    this.lastModal.delete(userId);
+
+    return this.dispatch(
+      this.createInteraction('modal', {
+        userId,
+        message: open.message,
+        channel: open.message?.channel || null,
+        customId: open.modal.custom_id,
+        fields,
+        roles
+      })
+    );
+  }
+}
+
+export function createSimulatedClient() {
+  return new SimulatedDiscord();
+}
+
+/* ---------------- Scenario runner ---------------- */
+
+function getPath(obj, pathStr) {
+  return String(pathStr)
+    .split('.')
+    .filter(Boolean)
+    .reduce((acc, key) => (acc == null ? undefined : acc[key]), obj);
+}
+
+function interpolate(value, vars) {
+  if (typeof value === 'string') {
+    const whole = value.match(/^\$\{([^}]+)\}$/);
+    if (whole) return getPath(vars, whole[1]);
+    return value.replace(/\$\{([^}]+)\}/g, (_, key) => String(getPath(vars, key) ?? ''));
+  }
+  if (Array.isArray(value)) return value.map((v) => interpolate(v, vars));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, interpolate(v, vars)]));
+  }
+  return value;
+}
+
+function partialMatch(actual, expected) {
+  if (expected === null || typeof expected !== 'object') return actual === expected;
+  if (actual === null || typeof actual !== 'object') return false;
+  return Object.entries(expected).every(([key, value]) => partialMatch(actual[key], value));
+}
+
+function allButtons(snapshot) {
+  return (snapshot.components || []).flatMap((row) => row.components || []);
+}
+
+const usedSignatures = new Set();
+
+function signedHeaders(callerKeys, caller, { method, url, body }) {
+  const key = callerKeys.get(caller);
+  if (!key) throw new Error(`No simulation key for caller "${caller}"`);
+
+  // Identical requests within the same second would be rejected as replays;
+  // step back a second (still inside the tolerance window) instead
+  let ts = Math.floor(Date.now() / 1000);
+  let signature;
+  do {
+    signature = crypto.createHmac('sha256', key).update(`${ts}.${method.toUpperCase()}.${url}.${body}`).digest('hex');
+    ts -= 1;
+  } while (usedSignatures.has(signature));
+  usedSignatures.add(signature);
+
+  const timestamp = String(ts + 1);
+
+  return {
+    'Content-Type': 'application/json',
+    'x-kc-caller': caller,
+    'x-kc-timestamp': timestamp,
+    'x-kc-signature': signature
+  };
+}
+
+function resolveMessage(sim, userId, target) {
+  if (target.message === 'lastReply') return sim.lastReply.get(userId) || null;
+
+  if (target.message === 'lastDm' || target.dm) {
+    const dm = sim.getDmChannel(userId);
+    const messages = [...dm.messageMap.values()].reverse();
+    return messages.find((m) => m.findButton(target)) || null;
+  }
+
+  if (target.message) return sim.findMessage(String(target.message));
+
+  if (target.channel) {
+    const channel = sim.channels.get(String(target.channel));
+    if (!channel) return null;
+    const messages = [...channel.messageMap.values()].reverse();
+    return messages.find((m) => m.findButton(target)) || null;
+  }
+
+  return null;
+}
+
+/**
+ * Collect what happened during a step from the simulator journal.
+ */
+function summarizeStep(sim, journalStart, extra = {}) {
+  const events = sim.journal.slice(journalStart);
+  const pick = (type) => events.filter((e) => e.type === type).map((e) => e.target);
+
+  return {
+    ...extra,
+    sent: pick('send').map((m) => m.snapshot()),
+    edited: pick('edit').map((m) => m.snapshot()),
+    deleted: pick('delete').map((m) => m.id),
+    dms: pick('dm').map((m) => ({ userId: m.channel.recipientId, ...m.snapshot() })),
+    channelsCreated: pick('channel_create').map((c) => ({
+      id: c.id,
+      name: c.name,
+      parentId: c.parentId,
+      permissionOverwrites: [...c.permissionOverwrites.cache.values()]
+    })),
+    channelsDeleted: pick('channel_delete').map((c) => c.id),
+    outbound: pick('outbound')
+  };
+}
+
+async function checkExpectations(expect = {}, result, { db }) {
+  const failures = [];
+  const fail = (msg) => failures.push(msg);
+
+  if (expect.status !== undefined && result.status !== expect.status) {
+    fail(`expected HTTP ${expect.status}, got ${result.status} ${JSON.stringify(result.json)}`);
+  }
+
+  if (expect.json && !partialMatch(result.json, expect.json)) {
+    fail(`response ${JSON.stringify(result.json)} does not match ${JSON.stringify(expect.json)}`);
+  }
+
+  if (expect.reply !== undefined) {
+    const replies = (result.replies || []).map((r) => r.text);
+    if (!replies.some((text) => text.includes(expect.reply))) {
+      fail(`no reply containing "${expect.reply}" (got ${JSON.stringify(replies)})`);
+    }
+  }
+
+  if (expect.modal !== undefined) {
+    const id = result.modal?.custom_id || '';
+    if (!id.includes(expect.modal)) fail(`expected modal "${expect.modal}", got "${id || 'none'}"`);
+  }
+
+  for (const want of expect.sent || []) {
+    const match = result.sent.find(
+      (m) => (!want.channel || m.channelId === String(want.channel)) && (!want.contains || m.text.includes(want.contains))
+    );
+    if (!match) fail(`no message sent matching ${JSON.stringify(want)}`);
+  }
+
+  for (const want of expect.edited || []) {
+    const match = result.edited.find((m) => {
+      if (want.message && m.id !== String(want.message)) return false;
+      if (want.contains && !m.text.includes(want.contains)) return false;
+      if (want.disabled !== undefined) {
+        const buttons = allButtons(m).filter((b) => b.custom_id);
+        if (!buttons.length || !buttons.every((b) => !!b.disabled === want.disabled)) return false;
+      }
+      return true;
+    });
+    if (!match) fail(`no message edited matching ${JSON.stringify(want)}`);
+  }
+
+  for (const want of expect.dms || []) {
+    const match = result.dms.find(
+      (m) => (!want.user || m.userId === String(want.user)) && (!want.contains || m.text.includes(want.contains))
+    );
+    if (!match) fail(`no DM matching ${JSON.stringify(want)}`);
+  }
+
+  if (expect.noDms && result.dms.length) fail(`expected no DMs, got ${result.dms.length}`);
+
+  // A number checks the count; a list partially matches each created channel (name, permissionOverwrites, ...)
+  if (Array.isArray(expect.channelsCreated)) {
+    if (!partialMatch(result.channelsCreated, { length: expect.channelsCreated.length, ...expect.channelsCreated })) {
+      fail(`channels created ${JSON.stringify(result.channelsCreated)} do not match ${JSON.stringify(expect.channelsCreated)}`);
+    }
+  } else if (expect.channelsCreated !== undefined && result.channelsCreated.length !== expect.channelsCreated) {
+    fail(`expected ${expect.channelsCreated} channel(s) created, got ${result.channelsCreated.length}`);
+  }
+
+  if (expect.channelsDeleted !== undefined && result.channelsDeleted.length !== expect.channelsDeleted) {
+    fail(`expected ${expect.channelsDeleted} channel(s) deleted, got ${result.channelsDeleted.length}`);
+  }
+
+  for (const want of expect.outbound || []) {
+    const match = result.outbound.find(
+      (o) =>
+        (!want.url || o.url.includes(want.url)) &&
+        (!want.method || o.method === want.method.toUpperCase()) &&
+        (!want.bodyContains || o.body.includes(want.bodyContains))
+    );
+    if (!match) fail(`no outbound request matching ${JSON.stringify(want)}`);
+  }
+
+  for (const want of [].concat(expect.record || [])) {
+    const repo = db[want.table];
+    const ref = want.id || JSON.stringify(want.where);
+
+    // `count` checks how many rows match `where` (e.g. no duplicate offers)
+    if (want.count !== undefined) {
+      const rows = repo ? await repo.list(want.where || {}) : [];
+      if (rows.length !== want.count) fail(`expected ${want.count} ${want.table} row(s) matching ${ref}, found ${rows.length}`);
+      if (!want.fields) continue;
+    }
+
+    const record = !repo ? null : want.id ? await repo.find(want.id) : await repo.findFirst(want.where || {});
+    if (!record) {
+      fail(`record ${want.table}/${ref} not found`);
+      continue;
+    }
+    for (const [field, value] of Object.entries(want.fields || {})) {
+      const actual = record.get(field);
+      if (!partialMatch(actual, value)) {
+        fail(`${want.table}/${ref} "${field}" is ${JSON.stringify(actual)}, expected ${JSON.stringify(value)}`);
+      }
+    }
+  }
+
+  return failures;
+}
+
+async function runStep(step, ctx) {
+  const { sim, baseUrl, callerKeys } = ctx;
+  const journalStart = sim.journal.length;
+
+  if (step.mock) {
+    sim.mockOutbound(step.mock);
+    return summarizeStep(sim, journalStart);
+  }
+
+  if (step.http) {
+    const [method, route] = step.http.split(' ');
+    const body = method === 'GET' ? '' : step.rawBody ?? JSON.stringify(step.body ?? {});
+    // `signedFor: "POST /other"` signs the request for a different route than it is sent to
+    const [signMethod, signUrl] = step.signedFor ? step.signedFor.split(' ') : [method, route];
+    const headers = step.unsigned
+      ? { 'Content-Type': 'application/json' }
+      : signedHeaders(callerKeys, step.caller || 'portal', { method: signMethod, url: signUrl, body });
+
+    const resp = await fetch(`${baseUrl}${route}`, { method, headers, body: method === 'GET' ? undefined : body });
+    const json = await resp.json().catch(() => null);
+    await sim.settle();
+
+    return summarizeStep(sim, journalStart, { status: resp.status, json });
+  }
+
+  if (step.command) {
+    const interaction = await sim.runCommand({
+      userId: step.user,
+      name: step.command,
+      options: step.options || {},
+      channelId: step.channel || null,
+      roles: step.roles || []
+    });
+    return summarizeStep(sim, journalStart, { replies: interaction.replies, modal: interaction.modal });
+  }
+
+  if (step.click) {
+    const message = resolveMessage(sim, step.user, step.click);
+    if (!message) throw new Error(`click: message not found for ${JSON.stringify(step.click)}`);
+
+    const interaction = await sim.click({
+      userId: step.user,
+      message,
+      label: step.click.label,
+      customId: step.click.customId,
+      roles: step.roles || []
+    });
+    return summarizeStep(sim, journalStart, { replies: interaction.replies, modal: interaction.modal });
+  }
+
+  if (step.submit) {
+    const interaction = await sim.submitModal({ userId: step.user, fields: step.submit, roles: step.roles || [] });
+    return summarizeStep(sim, journalStart, { replies: interaction.replies });
+  }
+
+  // Start every sub-step at once (e.g. two sellers submitting in the same instant)
+  // and wait for all of them; `json` holds each sub-step's response in order
+  if (step.concurrent) {
+    const results = await Promise.all(step.concurrent.map((sub) => runStep(sub, ctx)));
+    await sim.settle();
+    return summarizeStep(sim, journalStart, {
+      json: results.map((r) => r.json ?? null),
+      replies: results.flatMap((r) => r.replies || [])
+    });
+  }
+
+  // Put a bot message into a channel, e.g. one posted by an older version of the bot
+  if (step.post) {
+    const { channel, ...payload } = step.post;
+    const msg = await sim.getChannel(channel).send(payload);
+    return summarizeStep(sim, journalStart, { json: { messageId: msg.id, channelId: msg.channelId } });
+  }
+
+  if (step.task) {
+    const task = ctx.tasks[step.task];
+    if (!task) throw new Error(`Unknown task: ${step.task}`);
+    const json = await task();
+    await sim.settle();
+    return summarizeStep(sim, journalStart, { json });
+  }
+
+  if (step.wait) {
+    await new Promise((resolve) => setTimeout(resolve, Number(step.wait)));
+    await sim.settle();
+    return summarizeStep(sim, journalStart);
+  }
+
+  throw new Error(`Unknown step: ${JSON.stringify(step)}`);
+}
+
+// Stops at the first failing step; later steps usually depend on it
+async function runScenario(scenario, ctx) {
+  const { sim, db, onSeed } = ctx;
+
+  sim.reset();
+  db.reset(scenario.seed || {});
+  db.setLatency?.(scenario.storageLatencyMs || 0);
+  await onSeed();
+  sim.mockOutbound(scenario.outbound || {});
+
+  const vars = { env: process.env, ...(scenario.vars || {}) };
+
+  for (const [index, rawStep] of (scenario.steps || []).entries()) {
+    const step = interpolate(rawStep, vars);
+    const label = `  ${index + 1}. ${step.name || step.http || step.task || step.command || (step.post && 'post message') || (step.concurrent && `${step.concurrent.length} steps at once`) || (step.click && `click ${step.click.label || step.click.customId}`) || (step.submit && 'submit modal') || 'step'}`;
+
+    try {
+      const result = await runStep(step, ctx);
+      const problems = await checkExpectations(step.expect, result, ctx);
+
+      for (const [name, source] of Object.entries(step.save || {})) {
+        vars[name] = getPath(result, source);
+      }
+
+      if (problems.length) {
+        console.log(`❌${label}`);
+        for (const p of problems) console.log(`       - ${p}`);
+        return false;
+      }
+
+      console.log(`✅${label}`);
+    } catch (err) {
+      console.log(`❌${label}\n       - ${err.message}`);
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Run every scenario file in `dir` (or the single file it points to).
+ * Returns true when all steps passed.
+ */
+export async function runScenarios({ dir, sim, db, baseUrl, callerKeys, onSeed = async () => {}, tasks = {} }) {
+  await sim.ready;
+
+  const target = path.resolve(dir);
+  const files = fs.statSync(target).isDirectory()
+    ? fs.readdirSync(target).filter((f) => f.endsWith('.json')).sort().map((f) => path.join(target, f))
+    : [target];
+
+  let failedScenarios = 0;
+
+  for (const file of files) {
+    const scenario = JSON.parse(fs.readFileSync(file, 'utf8'));
+    console.log(`\n🎬 ${scenario.name || path.basename(file)}`);
+
+    const passed = await runScenario(scenario, { sim, db, baseUrl, callerKeys, onSeed, tasks });
+    if (!passed) failedScenarios += 1;
+  }
+
+  console.log(`\n${failedScenarios ? '❌' : '✅'} ${files.length - failedScenarios}/${files.length} scenario(s) passed`);
+  return failedScenarios === 0;
+}